@@ -17,6 +17,7 @@
  */
 
 const Vimeo = require('../index').Vimeo
+const generateState = require('../index').generateState
 const utilModule = require('util')
 let config = {}
 
@@ -46,6 +47,30 @@ const lib = new Vimeo(config.client_id, config.client_secret, config.access_toke
 const scopes = ['public', 'private', 'edit', 'interact']
 const callbackUrl = 'http://localhost:8080/oauth_callback'
 
+// Every link to Vimeo gets a new state, which protects the callback against cross-site request
+// forgery. It is kept in a cookie, so the callback is only accepted from the browser that followed
+// the link.
+function buildAuthorizationEndpoint (response) {
+  const state = generateState({ secret: config.client_secret })
+
+  response.setHeader('Set-Cookie', 'vimeo_state=' + state + '; Path=/oauth_callback; HttpOnly; SameSite=Lax')
+  return lib.buildAuthorizationEndpoint(callbackUrl, scopes, state)
+}
+
+// Reads the state kept in the cookie of the browser.
+function getState (request) {
+  const match = /(?:^|;\s*)vimeo_state=([^;]*)/.exec(request.headers.cookie || '')
+
+  return match ? match[1] : null
+}
+
+// Values written into pages must be escaped, as they can come from the query of the request.
+function escapeHtml (value) {
+  return String(value).replace(/[&<>"']/g, function (character) {
+    return '&#' + character.charCodeAt(0) + ';'
+  })
+}
+
 // The authorization process requires the user to be redirected back to a webpage, so we can start
 // up a simple HTTP server here.
 const server = httpModule.createServer(function (request, response) {
@@ -55,44 +80,35 @@ const server = httpModule.createServer(function (request, response) {
   // `http://localhost:8080/oauth_callback`. If they are not redirected you should check your apps
   // configuration at https://developer.vimeo.com/apps.
   if (url.pathname === '/oauth_callback') {
-    if (url.query.state !== 'abcdefg') {
-      throw new Error('invalid state')
-    }
-
-    if (!url.query.error) {
-      // At this state, a request to `/oauth_callback` without an error parameter, the user has been
-      // redirected back to the app and you can exchange the "code" parameter for an access token.
+    // The state must match the one in the cookie, and its signature must be valid. If the user
+    // accepted, the "code" parameter is then exchanged for an access token.
+    lib.handleAuthorizationCallback(request.url, {
+      redirectUri: callbackUrl,
+      state: getState(request),
+      stateSecret: config.client_secret
+    }, function (err, token) {
+      if (err) {
+        // At this state, something went wrong when you sent your user to Vimeo, or the state is
+        // invalid. The error should tell you more.
+        console.error('failed oauth callback request')
+        console.error(err)
+
+        response.setHeader('Content-Type', 'text/html')
+        response.write('<p>Your command line is currently unauthenticated. Please ' +
+          '<a href="' + escapeHtml(buildAuthorizationEndpoint(response)) + '">Link with Vimeo</a></p>')
+        response.write('<code>' + escapeHtml(err.error || err.message) + '</code>')
+        return response.end()
+      }
+
+      // At this state the code has been successfully exchanged for an access token.
       console.info('successful oauth callback request')
-      lib.accessToken(url.query.code, callbackUrl, function (err, token) {
-        if (err) {
-          return response.end('error=\n' + err)
-        }
-
-        if (token.access_token) {
-          // At this state the code has been successfully exchanged for an access token
-          lib.setAccessToken(token.access_token)
-          stateData.user = token.user
-          stateData.state = 'authorized'
-          response.statusCode = 302
-          response.setHeader('Location', '/')
-          response.end()
-        } else {
-          throw new Error('no access token provided')
-        }
-      })
-    } else {
-      // At this state, a request to `/oauth_callback` with an error parameter, something went wrong
-      // when you sent your user to Vimeo. The error parameter should tell you more.
-      console.error('failed oauth callback request')
-      console.error(url.query.error)
-
-      response.setHeader('Content-Type', 'text/html')
-      response.write('<p>Your command line is currently unauthenticated. Please ' +
-        '<a href="' + lib.buildAuthorizationEndpoint(callbackUrl, scopes, 'abcdefg') + '">' +
-        'Link with Vimeo</a></p>')
-      response.write('<code>' + JSON.stringify(url.query) + '</code>')
+      lib.setAccessToken(token.access_token)
+      stateData.user = token.user
+      stateData.state = 'authorized'
+      response.statusCode = 302
+      response.setHeader('Location', '/')
       response.end()
-    }
+    })
   } else {
     if (stateData.state !== 'authorized') {
       // At this state, any request where `stateData.state` has not been set to "authorized", we do
@@ -100,8 +116,7 @@ const server = httpModule.createServer(function (request, response) {
       console.info('HTTP request without access token.')
       response.setHeader('Content-Type', 'text/html')
       response.write('<p>Your command line is currently unauthenticated. Please ' +
-        '<a href="' + lib.buildAuthorizationEndpoint(callbackUrl, scopes, 'abcdefg') +
-        '">Link with Vimeo</a></p>')
+        '<a href="' + escapeHtml(buildAuthorizationEndpoint(response)) + '">Link with Vimeo</a></p>')
       response.end()
     } else {
       // At this state, `stateData.state` has been set to "authorized" when we retrieved the access
@@ -109,7 +124,7 @@ const server = httpModule.createServer(function (request, response) {
       console.info('HTTP request with access token.')
       response.setHeader('Content-Type', 'text/html')
       response.write('<p>Your command line is currently authorized with the user: <a href="' +
-        stateData.user.link + '">' + stateData.user.name + '</a>.</p>')
+        escapeHtml(stateData.user.link) + '">' + escapeHtml(stateData.user.name) + '</a>.</p>')
       response.write('<p>You can make API requests via the command line using the "request" ' +
         'function, or upload files using the "upload" function.</p>')
       response.write('<p>Try "request(\'/me\');"</p>')
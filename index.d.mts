@@ -0,0 +1,4 @@
+import * as vimeoModule from './index.js'
+
+export * from './index.js'
+export default vimeoModule
@@ -0,0 +1,593 @@
+/**
+ *   Copyright 2013 Vimeo
+ *
+ *   Licensed under the Apache License, Version 2.0 (the "License");
+ *   you may not use this file except in compliance with the License.
+ *   You may obtain a copy of the License at
+ *
+ *       http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *   Unless required by applicable law or agreed to in writing, software
+ *   distributed under the License is distributed on an "AS IS" BASIS,
+ *   WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *   See the License for the specific language governing permissions and
+ *   limitations under the License.
+ */
+
+/// <reference types="node" />
+
+import { EventEmitter } from 'events'
+import { Agent } from 'http'
+import { Readable } from 'stream'
+
+export type HttpMethod = 'GET' | 'HEAD' | 'OPTIONS' | 'POST' | 'PATCH' | 'PUT' | 'DELETE'
+
+export type Headers = Record<string, string | string[] | number | undefined>
+
+/**
+ * Retry policy, see `lib/retry.js`.
+ */
+export interface RetryPolicy {
+  maxAttempts?: number
+  minDelay?: number
+  maxDelay?: number
+  factor?: number
+  jitter?: boolean
+  statusCodes?: number[]
+  methods?: HttpMethod[]
+}
+
+export interface ThrottleOptions {
+  /** Number of requests to leave unused in each rate limit window. */
+  reserve?: number
+}
+
+export interface CacheEntry {
+  etag: string
+  statusCode: number
+  body: unknown
+  headers: Headers
+  expires: number
+}
+
+/**
+ * Store of the response cache. Every method can return a Promise.
+ */
+export interface CacheStore {
+  get (key: string): CacheEntry | undefined | Promise<CacheEntry | undefined>
+  set (key: string, entry: CacheEntry): void | Promise<void>
+  delete (key: string): void | Promise<void>
+}
+
+export interface CacheOptions {
+  store?: CacheStore
+  maxEntries?: number
+  /** Milliseconds during which a stored response is used without asking the API if it changed. */
+  ttl?: number
+}
+
+/**
+ * Options of a single HTTP request, as built by the client.
+ */
+export interface RequestOptions {
+  method: HttpMethod
+  protocol: string
+  host: string
+  port: number
+  path: string
+  headers: Headers
+  body?: string
+}
+
+/**
+ * How the body of a successful response is returned. By default JSON responses and responses
+ * without a content type are parsed, text and XML responses are strings, and other responses are
+ * Buffers. Responses with a 204 status code have a null body.
+ */
+export type ResponseType = 'json' | 'text' | 'buffer'
+
+export interface TracingOptions {
+  /** `Tracer` of `@opentelemetry/api`. Defaults to the tracer of the global tracer provider. */
+  tracer?: object
+}
+
+export type CassetteMode = 'record' | 'replay' | 'auto'
+
+export interface CassetteOptions {
+  /** Path of the cassette file. */
+  path: string
+  /** Defaults to `auto`, which replays the cassette if the file exists and records it otherwise. */
+  mode?: CassetteMode
+}
+
+export type LogLevel = 'debug' | 'warn' | 'error'
+
+export type LogFunction = (level: LogLevel, message: string, data: Record<string, unknown>) => void
+
+/** Logger such as `console`. Loggers without a method for a level use `log`. */
+export type Logger = Partial<Record<LogLevel | 'log', (message: string, data: Record<string, unknown>) => void>>
+
+export interface CallOptions {
+  timeout?: number
+  signal?: AbortSignal
+  responseType?: ResponseType
+  stream?: boolean
+}
+
+export type TransportCallback = (err: Error | null, response?: VimeoResponse) => void
+
+export type Transport = (requestOptions: RequestOptions, callOptions: CallOptions, done: TransportCallback) => void
+
+export type Middleware = (
+  requestOptions: RequestOptions,
+  next: (requestOptions?: RequestOptions) => Promise<VimeoResponse>,
+  options: VimeoRequestOptions
+) => Promise<VimeoResponse>
+
+export interface ClientOptions {
+  /** Protocol, host and port of the API, e.g. `https://api.vimeo.com`. */
+  baseUrl?: string
+  /** API version requested through the `Accept` header. */
+  apiVersion?: string
+  /** Appended to the `User-Agent` header. */
+  userAgent?: string
+  headers?: Headers
+  timeout?: number
+  agent?: Agent
+  maxSockets?: number
+  proxy?: string | false
+  retry?: boolean | RetryPolicy
+  throttle?: boolean | ThrottleOptions
+  cache?: boolean | CacheOptions
+  dedupe?: boolean
+  /** Create OpenTelemetry spans for requests and uploads, if `@opentelemetry/api` is installed. */
+  tracing?: boolean | TracingOptions
+  /** Record requests in a cassette file and replay them, for tests. Takes the path of the file. */
+  cassette?: string | CassetteOptions
+  /** Fail requests the access token lacks the scopes of with an `InsufficientScopeError`. */
+  checkScopes?: boolean
+  /** Scopes of the access token, for `checkScopes`. Looked up with `verifyToken` if not set. */
+  scope?: string | string[]
+  /** Logs requests with credentials redacted. Setting `DEBUG=vimeo*` logs to stderr. */
+  logger?: Logger | LogFunction
+  /** Also log request and response bodies. */
+  logBodies?: boolean
+  transport?: Transport
+}
+
+export interface VimeoRequestOptions {
+  path: string
+  method?: HttpMethod
+  hostname?: string
+  port?: number
+  protocol?: string
+  query?: Record<string, any>
+  headers?: Headers
+  body?: string
+  retry?: boolean | RetryPolicy
+  timeout?: number
+  signal?: AbortSignal
+  cache?: boolean
+  dedupe?: boolean
+  /** Scopes the request requires, checked with `checkScopes`. `false` skips the check. */
+  scope?: string | string[] | false
+  responseType?: ResponseType
+  /** Resolve once the headers arrive, with the body as a readable stream. */
+  stream?: boolean
+}
+
+export interface RateLimit {
+  limit: number | null
+  remaining: number
+  reset: Date | null
+}
+
+export interface ResponseMeta {
+  statusCode: number | null
+  headers: Headers
+  rateLimit: RateLimit | null
+  requestId: string | null
+  /** Milliseconds, including retries. */
+  elapsed: number
+  retries: number
+}
+
+export interface VimeoResponse<T = any> {
+  statusCode: number
+  body: T
+  headers: Headers
+  meta?: ResponseMeta
+}
+
+export type RequestCallback<T = any> = (err: Error | null, body: T, statusCode?: number, headers?: Headers) => void
+
+export interface PaginateOptions extends Omit<VimeoRequestOptions, 'path' | 'method' | 'stream'> {
+  per_page?: number
+  limit?: number
+  pages?: boolean
+}
+
+export interface AccessTokenResponse {
+  access_token: string
+  token_type: string
+  scope: string
+  user?: User
+  app?: { name: string, uri: string }
+}
+
+export type UploadParams = Record<string, any> & {
+  timeout?: number
+  signal?: AbortSignal
+}
+
+export type UploadCompleteCallback = (uri: string) => void
+export type UploadProgressCallback = (bytesUploaded: number, bytesTotal: number) => void
+export type UploadErrorCallback = (error: Error | string) => void
+
+export interface Paging {
+  next: string | null
+  previous: string | null
+  first: string
+  last: string
+}
+
+export interface Collection<T> {
+  total: number
+  page: number
+  per_page: number
+  paging: Paging
+  data: T[]
+}
+
+export interface PictureSize {
+  width: number
+  height: number
+  link: string
+  link_with_play_button?: string
+}
+
+export interface Picture {
+  uri: string | null
+  active: boolean
+  type: string
+  base_link: string
+  sizes: PictureSize[]
+  resource_key: string
+  default_picture: boolean
+}
+
+export interface User {
+  uri: string
+  name: string
+  link: string
+  location: string | null
+  bio: string | null
+  short_bio: string | null
+  created_time: string
+  pictures: Picture | null
+  websites: Array<{ name: string | null, link: string, description: string | null }>
+  account: string
+  resource_key: string
+  [key: string]: unknown
+}
+
+export interface Video {
+  uri: string
+  name: string
+  description: string | null
+  type: string
+  link: string
+  player_embed_url: string
+  duration: number
+  width: number
+  height: number
+  language: string | null
+  created_time: string
+  modified_time: string
+  release_time: string
+  content_rating: string[]
+  license: string | null
+  privacy: {
+    view: string
+    embed: string
+    download: boolean
+    add: boolean
+    comments: string
+  }
+  pictures: Picture
+  tags: Array<{ uri: string, name: string, tag: string, canonical: string }>
+  stats: { plays: number | null }
+  user: User
+  parent_folder: Folder | null
+  status: string
+  upload?: {
+    status: string
+    upload_link: string | null
+    approach: string | null
+    size: number | null
+  }
+  transcode?: { status: string }
+  resource_key: string
+  [key: string]: unknown
+}
+
+export interface Folder {
+  uri: string
+  name: string
+  link: string
+  created_time: string
+  modified_time: string
+  last_user_action_event_date: string | null
+  privacy: { view: string }
+  user: User
+  resource_key: string
+  [key: string]: unknown
+}
+
+/**
+ * Events emitted by the client. Headers never include the `Authorization` header, and durations
+ * are in milliseconds.
+ */
+export interface VimeoEvents {
+  request: { method: HttpMethod, path: string, headers: Headers, attempt: number }
+  response: { method: HttpMethod, path: string, statusCode: number, headers: Headers, duration: number, attempt: number }
+  retry: { method: HttpMethod, path: string, attempt: number, delay: number, error: Error }
+  error: { method: HttpMethod, path: string, statusCode: number | null, error: Error, duration: number, attempts: number }
+  rateLimit: RateLimit
+  tokenChanged: { hasToken: boolean }
+  'upload:start': { uri: string, size: number }
+  'upload:progress': { uri: string, bytesUploaded: number, bytesTotal: number }
+  'upload:complete': { uri: string, duration: number }
+  'upload:error': { uri: string, error: Error, duration: number }
+}
+
+export declare class Vimeo extends EventEmitter {
+  /** Clients using PKCE can have a null client secret. */
+  constructor (clientId: string, clientSecret: string | null, accessToken?: string | null, options?: ClientOptions)
+
+  on<E extends keyof VimeoEvents> (event: E, listener: (event: VimeoEvents[E]) => void): this
+  on (event: string | symbol, listener: (...args: any[]) => void): this
+  once<E extends keyof VimeoEvents> (event: E, listener: (event: VimeoEvents[E]) => void): this
+  once (event: string | symbol, listener: (...args: any[]) => void): this
+  off<E extends keyof VimeoEvents> (event: E, listener: (event: VimeoEvents[E]) => void): this
+  off (event: string | symbol, listener: (...args: any[]) => void): this
+
+  request (options: VimeoRequestOptions & { stream: true }): Promise<VimeoResponse<Readable>>
+  request (options: VimeoRequestOptions & { stream: true }, callback: RequestCallback<Readable>): void
+  request<T = any> (options: string | VimeoRequestOptions): Promise<VimeoResponse<T>>
+  request<T = any> (options: string | VimeoRequestOptions, callback: RequestCallback<T>): void
+
+  use (middleware: Middleware): this
+
+  paginate<T = any> (path: string, options: PaginateOptions & { pages: true }): AsyncGenerator<Collection<T>, void, unknown>
+  paginate<T = any> (path: string, options?: PaginateOptions): AsyncGenerator<T, void, unknown>
+
+  getRateLimit (): RateLimit | null
+
+  setAccessToken (accessToken: string | null, scope?: string | string[]): void
+
+  accessToken (code: string, redirectUri: string, codeVerifier?: string | Pkce): Promise<VimeoResponse<AccessTokenResponse>>
+  accessToken (code: string, redirectUri: string, fn: RequestCallback<AccessTokenResponse | null>): void
+  accessToken (code: string, redirectUri: string, codeVerifier: string | Pkce | undefined, fn: RequestCallback<AccessTokenResponse | null>): void
+
+  handleAuthorizationCallback<T = unknown> (url: string, options: AuthorizationCallbackOptions): Promise<VimeoResponse<AccessTokenResponse> & { stateData: T | null }>
+  handleAuthorizationCallback<T = unknown> (url: string, options: AuthorizationCallbackOptions, fn: AuthorizationCallback<T>): void
+
+  buildAuthorizationEndpoint (redirectUri: string, scope?: string | string[], state?: string, codeChallenge?: string | Pkce): string
+
+  generateClientCredentials (scope?: string | string[]): Promise<VimeoResponse<AccessTokenResponse>>
+  generateClientCredentials (scope: string | string[] | null | undefined, fn: RequestCallback<AccessTokenResponse | null>): void
+
+  verifyToken (): Promise<VimeoResponse<AccessTokenResponse>>
+  verifyToken (fn: RequestCallback<AccessTokenResponse | null>): void
+
+  revokeToken (): Promise<VimeoResponse<null>>
+  revokeToken (fn: RequestCallback<null>): void
+
+  upload (file: string, progressCallback?: UploadProgressCallback): Promise<string>
+  upload (file: string, params: UploadParams, progressCallback?: UploadProgressCallback): Promise<string>
+  upload (
+    file: string,
+    completeCallback: UploadCompleteCallback,
+    progressCallback: UploadProgressCallback | undefined,
+    errorCallback: UploadErrorCallback
+  ): void
+  upload (
+    file: string,
+    params: UploadParams,
+    completeCallback: UploadCompleteCallback,
+    progressCallback: UploadProgressCallback | undefined,
+    errorCallback: UploadErrorCallback
+  ): void
+
+  replace (file: string, videoUri: string, progressCallback?: UploadProgressCallback): Promise<string>
+  replace (file: string, videoUri: string, params: UploadParams, progressCallback?: UploadProgressCallback): Promise<string>
+  replace (
+    file: string,
+    videoUri: string,
+    completeCallback: UploadCompleteCallback,
+    progressCallback: UploadProgressCallback | undefined,
+    errorCallback: UploadErrorCallback
+  ): void
+  replace (
+    file: string,
+    videoUri: string,
+    params: UploadParams,
+    completeCallback: UploadCompleteCallback,
+    progressCallback: UploadProgressCallback | undefined,
+    errorCallback: UploadErrorCallback
+  ): void
+}
+
+export declare class VimeoApiError extends Error {
+  constructor (statusCode: number, headers?: Headers, body?: string, requestOptions?: Partial<RequestOptions>)
+
+  name: 'VimeoApiError'
+  statusCode: number
+  headers: Headers
+  body: string | undefined
+  error: string | null
+  error_code: number | null
+  developer_message: string | null
+  invalid_parameters: Array<{ field: string, error: string, error_code: number, developer_message: string }> | null
+  method: string | null
+  path: string | null
+  requestId: string | null
+  meta?: ResponseMeta
+}
+
+export declare class VimeoTimeoutError extends Error {
+  constructor (timeout: number, requestOptions?: Partial<RequestOptions>)
+
+  name: 'VimeoTimeoutError'
+  code: 'ETIMEDOUT'
+  timeout: number
+  method: string | null
+  path: string | null
+  meta?: ResponseMeta
+}
+
+export declare class VimeoAbortError extends Error {
+  constructor (requestOptions?: Partial<RequestOptions>)
+
+  name: 'VimeoAbortError'
+  code: 'ABORT_ERR'
+  method: string | null
+  path: string | null
+  meta?: ResponseMeta
+}
+
+export declare class VimeoOAuthError extends Error {
+  constructor (error: string, description?: string)
+
+  name: 'VimeoOAuthError'
+  /** OAuth error code, such as `access_denied`, or `invalid_state` and `expired_state`. */
+  error: string
+  error_description: string | null
+}
+
+export declare class InsufficientScopeError extends Error {
+  constructor (missingScopes: string[], scopes: string[], requestOptions?: RequestOptions)
+
+  name: 'InsufficientScopeError'
+  /** The scopes the access token lacks. */
+  missingScopes: string[]
+  /** The scopes of the access token. */
+  scopes: string[]
+  method: string | null
+  path: string | null
+}
+
+export interface FetchTransportOptions {
+  fetch?: (input: string, init?: any) => Promise<any>
+}
+
+/**
+ * Create a transport that sends requests with `fetch`. Requests, `accessToken` and
+ * `generateClientCredentials` then work without Node's `http`, `fs` and `crypto` modules, nor the
+ * `Buffer` and `process` globals. The `events`, `util`, `querystring` and `url` modules are still
+ * required, and uploads need Node.
+ */
+export declare function createFetchTransport (options?: FetchTransportOptions): Transport
+
+/**
+ * A PKCE code verifier and its challenge.
+ */
+export interface Pkce {
+  codeVerifier: string
+  codeChallenge: string
+  codeChallengeMethod: 'S256'
+}
+
+/**
+ * Generate a PKCE code verifier and its S256 challenge, for clients without a client secret.
+ */
+export declare function generatePkce (): Pkce
+
+export interface GenerateStateOptions {
+  /** Sign the state, so it expires and can carry data. It must still be kept for the user. */
+  secret?: string
+  /** Milliseconds during which a signed state is valid. Defaults to 10 minutes. */
+  expiresIn?: number
+  /** Data embedded in a signed state, such as the page to return to. */
+  data?: unknown
+}
+
+export interface VerifyStateOptions {
+  /** The state kept for the browser of the user, e.g. in their session or a cookie. */
+  expected: string
+  /** The secret a signed state was generated with. */
+  secret?: string
+}
+
+/**
+ * Generate the `state` of an authorization request. It must be kept for the browser of the user,
+ * e.g. in their session or an `HttpOnly` cookie, and provided to `verifyState` on the callback.
+ */
+export declare function generateState (options?: GenerateStateOptions): string
+
+/**
+ * Verify a state in constant time. Returns the data embedded in a signed state, and throws a
+ * `VimeoOAuthError` if the state is invalid.
+ */
+export declare function verifyState<T = unknown> (state: string | null | undefined, options: VerifyStateOptions): T | null
+
+export interface AuthorizationCallbackOptions {
+  /** Defaults to the callback URL without its query, if it is absolute. */
+  redirectUri?: string
+  /** The state kept for the browser of the user, e.g. in their session or a cookie. */
+  state: string
+  /** The secret a signed state was generated with. */
+  stateSecret?: string
+  codeVerifier?: string | Pkce
+}
+
+export type AuthorizationCallback<T = unknown> = (
+  err: Error | null,
+  body: AccessTokenResponse | null,
+  status?: number,
+  headers?: Headers,
+  stateData?: T | null
+) => void
+
+export interface RequestDefaults {
+  protocol: string
+  hostname: string
+  port: number
+  method: HttpMethod
+  query: Record<string, any>
+  headers: Headers
+}
+
+export interface AuthEndpoints {
+  authorization: string
+  accessToken: string
+  clientCredentials: string
+  verify: string
+  revoke: string
+}
+
+export declare const authEndpoints: AuthEndpoints
+
+/**
+ * Defaults of every request, unless overridden by the options of a client.
+ */
+export declare const request_defaults: RequestDefaults
+
+/**
+ * The exports of `lib/vimeo.js`.
+ */
+export declare const vimeo_module: {
+  Vimeo: typeof Vimeo
+  VimeoApiError: typeof VimeoApiError
+  VimeoTimeoutError: typeof VimeoTimeoutError
+  VimeoAbortError: typeof VimeoAbortError
+  VimeoOAuthError: typeof VimeoOAuthError
+  InsufficientScopeError: typeof InsufficientScopeError
+  createFetchTransport: typeof createFetchTransport
+  generatePkce: typeof generatePkce
+  generateState: typeof generateState
+  verifyState: typeof verifyState
+  request_defaults: RequestDefaults
+  authEndpoints: AuthEndpoints
+}
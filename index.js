@@ -16,3 +16,14 @@
 const vimeoModule = require('./lib/vimeo')
 module.exports.vimeo_module = vimeoModule
 module.exports.Vimeo = vimeoModule.Vimeo
+module.exports.VimeoApiError = vimeoModule.VimeoApiError
+module.exports.VimeoTimeoutError = vimeoModule.VimeoTimeoutError
+module.exports.VimeoAbortError = vimeoModule.VimeoAbortError
+module.exports.VimeoOAuthError = vimeoModule.VimeoOAuthError
+module.exports.InsufficientScopeError = vimeoModule.InsufficientScopeError
+module.exports.createFetchTransport = vimeoModule.createFetchTransport
+module.exports.generatePkce = vimeoModule.generatePkce
+module.exports.generateState = vimeoModule.generateState
+module.exports.verifyState = vimeoModule.verifyState
+module.exports.authEndpoints = vimeoModule.authEndpoints
+module.exports.request_defaults = vimeoModule.request_defaults
@@ -0,0 +1,37 @@
+/**
+ *   Copyright 2013 Vimeo
+ *
+ *   Licensed under the Apache License, Version 2.0 (the "License");
+ *   you may not use this file except in compliance with the License.
+ *   You may obtain a copy of the License at
+ *
+ *       http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *   Unless required by applicable law or agreed to in writing, software
+ *   distributed under the License is distributed on an "AS IS" BASIS,
+ *   WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *   See the License for the specific language governing permissions and
+ *   limitations under the License.
+ */
+
+// The ES module entry point re-exports the CommonJS build, so both entry points share the same
+// classes and the same `request_defaults`.
+import vimeoModule from './index.js'
+
+export const Vimeo = vimeoModule.Vimeo
+export const VimeoApiError = vimeoModule.VimeoApiError
+export const VimeoTimeoutError = vimeoModule.VimeoTimeoutError
+export const VimeoAbortError = vimeoModule.VimeoAbortError
+export const VimeoOAuthError = vimeoModule.VimeoOAuthError
+export const InsufficientScopeError = vimeoModule.InsufficientScopeError
+export const createFetchTransport = vimeoModule.createFetchTransport
+export const generatePkce = vimeoModule.generatePkce
+export const generateState = vimeoModule.generateState
+export const verifyState = vimeoModule.verifyState
+export const authEndpoints = vimeoModule.authEndpoints
+export const request_defaults = vimeoModule.request_defaults // eslint-disable-line camelcase
+export const vimeo_module = vimeoModule.vimeo_module // eslint-disable-line camelcase
+
+// Keeps `import vimeo from '@vimeo/vimeo'` working, as it did before the package had an ES module
+// entry point.
+export default vimeoModule
@@ -0,0 +1,157 @@
+'use strict'
+
+/**
+ *   Copyright 2013 Vimeo
+ *
+ *   Licensed under the Apache License, Version 2.0 (the "License");
+ *   you may not use this file except in compliance with the License.
+ *   You may obtain a copy of the License at
+ *
+ *       http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *   Unless required by applicable law or agreed to in writing, software
+ *   distributed under the License is distributed on an "AS IS" BASIS,
+ *   WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *   See the License for the specific language governing permissions and
+ *   limitations under the License.
+ */
+
+const urlModule = require('url')
+const httpModule = require('http')
+const httpsModule = require('https')
+const tlsModule = require('tls')
+
+/**
+ * Find the proxy a request should be sent through.
+ *
+ * Unless a proxy is provided, `HTTPS_PROXY` is used for https requests and `HTTP_PROXY` for http
+ * requests. Hosts listed in `NO_PROXY` are never proxied.
+ *
+ * @param  {string}         protocol  Protocol of the request (`https:` or `http:`).
+ * @param  {string}         hostname  Host of the request.
+ * @param  {integer}        port      Port of the request.
+ * @param  {string|boolean} [proxy]   (optional) Proxy URL, or `false` to never use a proxy.
+ * @param  {Object}         [env]     (optional) Environment variables. Defaults to `process.env`.
+ * @return {URL|null}
+ */
+module.exports.getProxy = function (protocol, hostname, port, proxy, env) {
+  env = env || process.env
+
+  if (proxy === false) {
+    return null
+  }
+
+  if (!proxy) {
+    proxy = protocol === 'https:'
+      ? env.HTTPS_PROXY || env.https_proxy
+      : env.HTTP_PROXY || env.http_proxy
+  }
+
+  if (!proxy || isExcluded(env.NO_PROXY || env.no_proxy, hostname, port)) {
+    return null
+  }
+
+  return new urlModule.URL(proxy)
+}
+
+/**
+ * Create an agent for requests made with `protocol`. If a proxy is provided, connections are
+ * tunneled through it with `CONNECT`.
+ *
+ * @param  {string}    protocol   Protocol of the requests (`https:` or `http:`).
+ * @param  {URL|null}  proxy      Proxy to tunnel connections through.
+ * @param  {Object}    [options]  (optional) Agent options, such as `keepAlive` and `maxSockets`.
+ * @return {http.Agent}
+ */
+module.exports.createAgent = function (protocol, proxy, options) {
+  const agent = protocol === 'https:' ? new httpsModule.Agent(options) : new httpModule.Agent(options)
+
+  if (proxy) {
+    agent.createConnection = function (connectOptions, callback) {
+      tunnel(protocol, proxy, connectOptions, callback)
+    }
+  }
+
+  return agent
+}
+
+/**
+ * Open a connection to the destination of a request through a proxy.
+ *
+ * @param {string}   protocol        Protocol of the request.
+ * @param {URL}      proxy
+ * @param {Object}   connectOptions  Connection options provided by the agent.
+ * @param {Function} callback        Called with `(err, socket)`.
+ */
+function tunnel (protocol, proxy, connectOptions, callback) {
+  const target = connectOptions.host + ':' + connectOptions.port
+  const headers = { Host: target }
+
+  if (proxy.username) {
+    const credentials = decodeURIComponent(proxy.username) + ':' + decodeURIComponent(proxy.password)
+    headers['Proxy-Authorization'] = 'Basic ' + Buffer.from(credentials).toString('base64')
+  }
+
+  const client = proxy.protocol === 'https:' ? httpsModule : httpModule
+  const req = client.request({
+    host: proxy.hostname,
+    port: proxy.port || (proxy.protocol === 'https:' ? 443 : 80),
+    method: 'CONNECT',
+    path: target,
+    headers,
+    agent: false
+  })
+
+  req.once('connect', function (res, socket) {
+    if (res.statusCode !== 200) {
+      socket.destroy()
+      return callback(new Error('Unable to connect to ' + target + ' through the proxy, which ' +
+        'responded with status code ' + res.statusCode + '.'))
+    }
+
+    if (protocol !== 'https:') {
+      return callback(null, socket)
+    }
+
+    callback(null, tlsModule.connect(Object.assign({}, connectOptions, { socket })))
+  })
+
+  req.once('error', callback)
+  req.end()
+}
+
+/**
+ * Check a host against a `NO_PROXY` list. Entries are separated by commas, can include a port,
+ * and match the host and its subdomains. `*` matches every host.
+ *
+ * @param  {string}  noProxy
+ * @param  {string}  hostname
+ * @param  {integer} port
+ * @return {boolean}
+ */
+function isExcluded (noProxy, hostname, port) {
+  if (!noProxy) {
+    return false
+  }
+
+  hostname = String(hostname).toLowerCase()
+
+  return noProxy.split(/[\s,]+/).some(function (entry) {
+    if (!entry) {
+      return false
+    }
+
+    if (entry === '*') {
+      return true
+    }
+
+    const parts = entry.toLowerCase().split(':')
+    const host = parts[0].replace(/^\*?\./, '')
+
+    if (parts[1] && parseInt(parts[1], 10) !== parseInt(port, 10)) {
+      return false
+    }
+
+    return hostname === host || hostname.endsWith('.' + host)
+  })
+}
@@ -0,0 +1,189 @@
+'use strict'
+
+/**
+ *   Copyright 2013 Vimeo
+ *
+ *   Licensed under the Apache License, Version 2.0 (the "License");
+ *   you may not use this file except in compliance with the License.
+ *   You may obtain a copy of the License at
+ *
+ *       http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *   Unless required by applicable law or agreed to in writing, software
+ *   distributed under the License is distributed on an "AS IS" BASIS,
+ *   WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *   See the License for the specific language governing permissions and
+ *   limitations under the License.
+ */
+
+/**
+ * In-memory store that evicts the least recently used entry once it is full.
+ *
+ * Any object with the same `get(key)`, `set(key, entry)` and `delete(key)` methods can be used as a
+ * cache store. Each method can return a Promise.
+ *
+ * @param {integer} [maxEntries]  (optional) Maximum number of entries. Defaults to 500.
+ */
+const MemoryStore = module.exports.MemoryStore = function MemoryStore (maxEntries) {
+  this._maxEntries = maxEntries || 500
+  this._entries = new Map()
+}
+
+MemoryStore.prototype.get = function (key) {
+  const entry = this._entries.get(key)
+
+  if (entry !== undefined) {
+    // Move the entry to the end of the map, which holds the most recently used entries.
+    this._entries.delete(key)
+    this._entries.set(key, entry)
+  }
+
+  return entry
+}
+
+MemoryStore.prototype.set = function (key, entry) {
+  this._entries.delete(key)
+  this._entries.set(key, entry)
+
+  while (this._entries.size > this._maxEntries) {
+    this._entries.delete(this._entries.keys().next().value)
+  }
+}
+
+MemoryStore.prototype.delete = function (key) {
+  this._entries.delete(key)
+}
+
+/**
+ * Conditional GET cache.
+ *
+ * Successful GET responses with an `ETag` are stored, keyed by the URL and the credentials of the
+ * request. When the same resource is requested again it is sent with `If-None-Match`, and a `304`
+ * response is answered with the stored response.
+ *
+ * @param {boolean|Object} options
+ * @param {Object}  [options.store]       (optional) Cache store. Defaults to a `MemoryStore`.
+ * @param {integer} [options.maxEntries]  (optional) Size of the default `MemoryStore`.
+ * @param {integer} [options.ttl]         (optional) Milliseconds during which a stored response is
+ *                                        used without asking the API if it changed. Defaults to 0.
+ */
+const Cache = module.exports.Cache = function Cache (options) {
+  options = typeof options === 'object' && options !== null ? options : {}
+
+  this.store = options.store || new MemoryStore(options.maxEntries)
+  this.ttl = options.ttl || 0
+}
+
+/**
+ * Build the key of a request. Credentials are hashed so they are never handed to the store.
+ *
+ * @param  {Object} requestOptions
+ * @param  {string} [responseType]  (optional) The `responseType` of the request.
+ * @return {string}
+ */
+Cache.prototype.getKey = function (requestOptions, responseType) {
+  return getKey(requestOptions, responseType)
+}
+
+/**
+ * Middleware serving GET requests from the cache. Disabled for a request with `cache: false`, and
+ * for streamed requests.
+ *
+ * @param  {Object}   requestOptions
+ * @param  {Function} next
+ * @param  {Object}   options  The options provided to `request`.
+ * @return {Promise}
+ */
+Cache.prototype.handle = function (requestOptions, next, options) {
+  if (requestOptions.method !== 'GET' || options.cache === false || options.stream) {
+    return next()
+  }
+
+  const store = this.store
+  const ttl = this.ttl
+  const key = this.getKey(requestOptions, options.responseType)
+
+  return Promise.resolve(store.get(key)).then(function (entry) {
+    if (entry && entry.expires > Date.now()) {
+      return copyResponse(entry)
+    }
+
+    // The validator is added to a copy of the headers, which may be shared with other requests of
+    // the caller.
+    const nextOptions = entry
+      ? Object.assign({}, requestOptions, {
+        headers: Object.assign({}, requestOptions.headers, { 'If-None-Match': entry.etag })
+      })
+      : requestOptions
+
+    return next(nextOptions).then(function (response) {
+      if (entry && response.statusCode === 304) {
+        entry.headers = Object.assign({}, entry.headers, response.headers)
+        entry.expires = Date.now() + ttl
+
+        return Promise.resolve(store.set(key, entry)).then(function () {
+          return copyResponse(entry)
+        })
+      }
+
+      if (response.statusCode === 200 && response.headers && response.headers.etag) {
+        return Promise.resolve(store.set(key, {
+          etag: response.headers.etag,
+          statusCode: response.statusCode,
+          body: response.body,
+          headers: response.headers,
+          expires: Date.now() + ttl
+        })).then(function () {
+          return copyResponse(response)
+        })
+      }
+
+      return response
+    })
+  })
+}
+
+/**
+ * Build a key identifying the method, URL, credentials and `responseType` of a request.
+ *
+ * @param  {Object} requestOptions
+ * @param  {string} [responseType]  (optional)
+ * @return {string}
+ */
+const getKey = module.exports.getKey = function (requestOptions, responseType) {
+  // Loaded here, so the client loads in runtimes without `crypto` when it does not cache.
+  return require('crypto').createHash('sha256')
+    .update(requestOptions.method + ' ')
+    .update(requestOptions.protocol + '//' + requestOptions.host + ':' + requestOptions.port + requestOptions.path)
+    .update('\n' + (requestOptions.headers.Authorization || ''))
+    .update('\n' + (responseType || ''))
+    .digest('hex')
+}
+
+/**
+ * Copy a response, so callers cannot modify what is stored or shared with other callers.
+ *
+ * @param  {Object} response
+ * @return {Object}
+ */
+const copyResponse = module.exports.copyResponse = function (response) {
+  let body = response.body
+
+  if (typeof Buffer === 'function' && Buffer.isBuffer(body)) {
+    body = Buffer.from(body)
+  } else if (body !== null && typeof body === 'object') {
+    body = JSON.parse(JSON.stringify(body))
+  }
+
+  const copy = {
+    statusCode: response.statusCode,
+    body,
+    headers: Object.assign({}, response.headers)
+  }
+
+  if (response.meta) {
+    copy.meta = Object.assign({}, response.meta)
+  }
+
+  return copy
+}
@@ -0,0 +1,273 @@
+'use strict'
+
+/**
+ *   Copyright 2013 Vimeo
+ *
+ *   Licensed under the Apache License, Version 2.0 (the "License");
+ *   you may not use this file except in compliance with the License.
+ *   You may obtain a copy of the License at
+ *
+ *       http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *   Unless required by applicable law or agreed to in writing, software
+ *   distributed under the License is distributed on an "AS IS" BASIS,
+ *   WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *   See the License for the specific language governing permissions and
+ *   limitations under the License.
+ */
+
+const fs = require('fs')
+const path = require('path')
+const qsModule = require('querystring')
+const errors = require('./errors')
+const redact = require('./redact')
+
+const modes = module.exports.modes = ['record', 'replay', 'auto']
+
+/**
+ * Records the interactions of a client with the API in a cassette file, and replays them, so tests
+ * of applications built on the client run without network access or credentials.
+ *
+ *     const client = new Vimeo(clientId, clientSecret, accessToken, {
+ *       cassette: { path: 'test/fixtures/videos.json', mode: 'replay' }
+ *     })
+ *
+ * -  record  Every request is sent, and the cassette is overwritten with the interactions.
+ * -  replay  No request is sent. Requests without a recorded interaction fail.
+ * -  auto    Replays the cassette if the file exists, and records it otherwise.
+ *
+ * Requests match an interaction on their method, path, query and body. Identical requests replay
+ * their interactions in the order they were recorded, and the last one once all were replayed.
+ *
+ * Credentials never reach the file: request headers are not recorded, and the `Authorization`
+ * header, fields such as `access_token`, `client_secret` or `upload_link`, and any occurrence of
+ * the secrets of the client are scrubbed. Requests made with `stream: true` are not recorded.
+ *
+ * @param {string|Object} options         Path of the cassette file, or options.
+ * @param {string}        options.path    Path of the cassette file.
+ * @param {string}        [options.mode]  (optional) `record`, `replay` or `auto`. Defaults to `auto`.
+ * @param {Function}      [secrets]       (optional) Returns the values to scrub, such as the client
+ *                                        secret.
+ */
+const Cassette = module.exports.Cassette = function Cassette (options, secrets) {
+  options = typeof options === 'string' ? { path: options } : options || {}
+
+  if (!options.path) {
+    throw new TypeError('The cassette requires a path.')
+  }
+
+  const mode = options.mode || 'auto'
+
+  if (modes.indexOf(mode) === -1) {
+    throw new TypeError('The cassette mode must be one of ' + modes.join(', ') + '.')
+  }
+
+  this.path = options.path
+  this.secrets = secrets || function () {
+    return []
+  }
+
+  if (mode === 'auto') {
+    this.mode = fs.existsSync(this.path) ? 'replay' : 'record'
+  } else {
+    this.mode = mode
+  }
+
+  this.interactions = this.mode === 'replay' ? load(this.path) : []
+  this._replayed = []
+}
+
+/**
+ * Middleware recording or replaying a request.
+ *
+ * @param  {Object}   requestOptions
+ * @param  {Function} next
+ * @param  {Object}   options  The options provided to `request`.
+ * @return {Promise}
+ */
+Cassette.prototype.handle = function (requestOptions, next, options) {
+  if (this.mode === 'replay') {
+    return this.replay(requestOptions, options)
+  }
+
+  if (options.stream) {
+    return next()
+  }
+
+  const _self = this
+  const request = this._serializeRequest(requestOptions)
+
+  return next().then(function (response) {
+    _self.record(request, {
+      statusCode: response.statusCode,
+      headers: response.headers,
+      body: response.body
+    })
+
+    return response
+  }, function (err) {
+    // Only responses of the API are recorded, not network errors.
+    if (err instanceof errors.VimeoApiError) {
+      _self.record(request, {
+        statusCode: err.statusCode,
+        headers: err.headers,
+        body: err.body
+      })
+    }
+
+    throw err
+  })
+}
+
+/**
+ * Answer a request with its recorded interaction.
+ *
+ * @param  {Object}  requestOptions
+ * @param  {Object}  options  The options provided to `request`.
+ * @return {Promise} Resolves with the recorded response, or rejects with the recorded error.
+ */
+Cassette.prototype.replay = function (requestOptions, options) {
+  if (options.stream) {
+    return Promise.reject(new Error('Streamed responses can not be replayed.'))
+  }
+
+  const request = this._serializeRequest(requestOptions)
+  const key = JSON.stringify(request)
+  const matches = []
+
+  this.interactions.forEach(function (interaction, index) {
+    if (JSON.stringify(interaction.request) === key) {
+      matches.push(index)
+    }
+  })
+
+  if (!matches.length) {
+    return Promise.reject(new Error('No interaction of the cassette ' + this.path + ' matches ' +
+      request.method + ' ' + request.path + '.'))
+  }
+
+  const replayed = this._replayed
+  const index = matches.filter(function (index) {
+    return replayed.indexOf(index) === -1
+  })[0]
+
+  if (index !== undefined) {
+    replayed.push(index)
+  }
+
+  const response = deserializeBody(this.interactions[index !== undefined ? index : matches[matches.length - 1]].response)
+
+  if (response.statusCode >= 400) {
+    return Promise.reject(new errors.VimeoApiError(response.statusCode, response.headers, response.body, requestOptions))
+  }
+
+  return Promise.resolve(response)
+}
+
+/**
+ * Add an interaction to the cassette, and save it.
+ *
+ * @param {Object} request   Request, as serialized by `_serializeRequest`.
+ * @param {Object} response  `{ statusCode, headers, body }`.
+ */
+Cassette.prototype.record = function (request, response) {
+  const secrets = this.secrets()
+
+  this.interactions.push({
+    request,
+    response: serializeBody({
+      statusCode: response.statusCode,
+      headers: redact.value(redact.headers(response.headers), secrets),
+      body: response.body
+    }, secrets)
+  })
+
+  fs.mkdirSync(path.dirname(this.path), { recursive: true })
+  fs.writeFileSync(this.path, JSON.stringify({ interactions: this.interactions }, null, 2) + '\n')
+}
+
+/**
+ * @param  {Object} requestOptions
+ * @return {Object} The parts of a request it is matched on, scrubbed.
+ */
+Cassette.prototype._serializeRequest = function (requestOptions) {
+  const secrets = this.secrets()
+  const index = requestOptions.path.indexOf('?')
+
+  return {
+    method: requestOptions.method,
+    path: index === -1 ? requestOptions.path : requestOptions.path.slice(0, index),
+    query: sortKeys(redact.value(Object.assign({}, index === -1 ? {} : qsModule.parse(requestOptions.path.slice(index + 1))), secrets)),
+    body: sortKeys(redact.body(requestOptions.body || null, secrets))
+  }
+}
+
+/**
+ * @param  {string} file
+ * @return {Object[]} Interactions of a cassette file.
+ */
+function load (file) {
+  let cassette
+
+  try {
+    cassette = JSON.parse(fs.readFileSync(file, 'utf8'))
+  } catch (e) {
+    throw new Error('Unable to read the cassette ' + file + '. [' + e.message + ']')
+  }
+
+  return cassette.interactions || []
+}
+
+/**
+ * Scrub a response, and encode binary bodies as base64.
+ *
+ * @param  {Object}   response
+ * @param  {string[]} secrets
+ * @return {Object}
+ */
+function serializeBody (response, secrets) {
+  if (Buffer.isBuffer(response.body)) {
+    return Object.assign({}, response, { body: response.body.toString('base64'), encoding: 'base64' })
+  }
+
+  return Object.assign({}, response, { body: redact.value(response.body, secrets) })
+}
+
+/**
+ * @param  {Object} response  Recorded response.
+ * @return {Object} A copy of the response, with binary bodies decoded.
+ */
+function deserializeBody (response) {
+  const body = response.encoding === 'base64'
+    ? Buffer.from(response.body, 'base64')
+    : JSON.parse(JSON.stringify(response.body === undefined ? null : response.body))
+
+  return {
+    statusCode: response.statusCode,
+    headers: Object.assign({}, response.headers),
+    body
+  }
+}
+
+/**
+ * @param  {*} value
+ * @return {*} A copy of the value with the keys of its objects sorted, so it has a stable JSON
+ *             representation.
+ */
+function sortKeys (value) {
+  if (Array.isArray(value)) {
+    return value.map(sortKeys)
+  }
+
+  if (value && typeof value === 'object') {
+    const sorted = {}
+
+    Object.keys(value).sort().forEach(function (key) {
+      sorted[key] = sortKeys(value[key])
+    })
+
+    return sorted
+  }
+
+  return value
+}
@@ -0,0 +1,64 @@
+'use strict'
+
+/**
+ *   Copyright 2013 Vimeo
+ *
+ *   Licensed under the Apache License, Version 2.0 (the "License");
+ *   you may not use this file except in compliance with the License.
+ *   You may obtain a copy of the License at
+ *
+ *       http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *   Unless required by applicable law or agreed to in writing, software
+ *   distributed under the License is distributed on an "AS IS" BASIS,
+ *   WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *   See the License for the specific language governing permissions and
+ *   limitations under the License.
+ */
+
+const cacheModule = require('./cache')
+
+/**
+ * Coalesces identical GET requests made while one of them is in flight, so a single request is
+ * sent to the API. Every caller receives its own copy of the response.
+ *
+ * Requests are identical when they have the same URL, credentials, `responseType`, `timeout` and
+ * `retry` policy, as the request sent is the one of the first caller. Requests with a `signal` or
+ * made with `stream: true` are never coalesced, so aborting a request never fails the requests of
+ * other callers.
+ */
+const Deduplicator = module.exports = function Deduplicator () {
+  this._pending = new Map()
+}
+
+/**
+ * Middleware coalescing GET requests. Disabled for a request with `dedupe: false`.
+ *
+ * @param  {Object}   requestOptions
+ * @param  {Function} next
+ * @param  {Object}   options  The options provided to `request`.
+ * @return {Promise}
+ */
+Deduplicator.prototype.handle = function (requestOptions, next, options) {
+  if (requestOptions.method !== 'GET' || options.dedupe === false || options.stream || options.signal) {
+    return next()
+  }
+
+  const pending = this._pending
+  const key = cacheModule.getKey(requestOptions, options.responseType) + '\n' +
+    JSON.stringify([options.timeout, options.retry])
+  let request = pending.get(key)
+
+  if (!request) {
+    request = next()
+    pending.set(key, request)
+
+    const clear = function () {
+      pending.delete(key)
+    }
+
+    request.then(clear, clear)
+  }
+
+  return request.then(cacheModule.copyResponse)
+}
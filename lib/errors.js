@@ -0,0 +1,174 @@
+'use strict'
+
+/**
+ *   Copyright 2013 Vimeo
+ *
+ *   Licensed under the Apache License, Version 2.0 (the "License");
+ *   you may not use this file except in compliance with the License.
+ *   You may obtain a copy of the License at
+ *
+ *       http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *   Unless required by applicable law or agreed to in writing, software
+ *   distributed under the License is distributed on an "AS IS" BASIS,
+ *   WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *   See the License for the specific language governing permissions and
+ *   limitations under the License.
+ */
+
+const utilModule = require('util')
+
+/**
+ * Error used when the Vimeo API responds with a status code of 400 or greater.
+ *
+ * The response body is parsed for the standard API error fields (`error`, `error_code`,
+ * `developer_message`, `invalid_parameters`). If the body is not valid JSON those fields are null
+ * and the raw body is still available on `body`.
+ *
+ * https://developer.vimeo.com/api/guides/error-codes
+ *
+ * @param {integer} statusCode        HTTP status code of the response.
+ * @param {Object}  headers           Response headers.
+ * @param {string}  body              Raw response body.
+ * @param {Object}  [requestOptions]  (optional) The options the request was made with.
+ */
+const VimeoApiError = module.exports.VimeoApiError = function VimeoApiError (statusCode, headers, body, requestOptions) {
+  let parsed = null
+
+  try {
+    parsed = body ? JSON.parse(body) : null
+  } catch (e) {
+    parsed = null
+  }
+
+  if (parsed === null || typeof parsed !== 'object') {
+    parsed = {}
+  }
+
+  headers = headers || {}
+  requestOptions = requestOptions || {}
+
+  this.message = parsed.error || 'Request failed with status code ' + statusCode
+  this.statusCode = statusCode
+  this.headers = headers
+  this.body = body
+  this.error = parsed.error || null
+  this.error_code = parsed.error_code || null
+  this.developer_message = parsed.developer_message || null
+  this.invalid_parameters = parsed.invalid_parameters || null
+  this.method = requestOptions.method || null
+  this.path = requestOptions.path || null
+  this.requestId = headers['x-request-id'] || null
+
+  captureStackTrace(this, VimeoApiError)
+}
+
+utilModule.inherits(VimeoApiError, Error)
+
+VimeoApiError.prototype.name = 'VimeoApiError'
+
+/**
+ * Error used when a request does not complete within its `timeout`.
+ *
+ * @param {integer} timeout           The timeout, in milliseconds.
+ * @param {Object}  [requestOptions]  (optional) The options the request was made with.
+ */
+const VimeoTimeoutError = module.exports.VimeoTimeoutError = function VimeoTimeoutError (timeout, requestOptions) {
+  requestOptions = requestOptions || {}
+
+  this.message = 'Request timed out after ' + timeout + 'ms.'
+  this.code = 'ETIMEDOUT'
+  this.timeout = timeout
+  this.method = requestOptions.method || null
+  this.path = requestOptions.path || null
+
+  captureStackTrace(this, VimeoTimeoutError)
+}
+
+utilModule.inherits(VimeoTimeoutError, Error)
+
+VimeoTimeoutError.prototype.name = 'VimeoTimeoutError'
+
+/**
+ * Error used when a request is cancelled through its `signal`.
+ *
+ * @param {Object} [requestOptions]  (optional) The options the request was made with.
+ */
+const VimeoAbortError = module.exports.VimeoAbortError = function VimeoAbortError (requestOptions) {
+  requestOptions = requestOptions || {}
+
+  this.message = 'Request was aborted.'
+  this.code = 'ABORT_ERR'
+  this.method = requestOptions.method || null
+  this.path = requestOptions.path || null
+
+  captureStackTrace(this, VimeoAbortError)
+}
+
+utilModule.inherits(VimeoAbortError, Error)
+
+VimeoAbortError.prototype.name = 'VimeoAbortError'
+
+/**
+ * Error used when the authorization callback is invalid: the user denied access, or the `state`
+ * is missing, does not match or expired.
+ *
+ * https://datatracker.ietf.org/doc/html/rfc6749#section-4.1.2.1
+ *
+ * @param {string} error          OAuth error code, such as `access_denied`, or `invalid_state` and
+ *                                `expired_state` for invalid states.
+ * @param {string} [description]  (optional) Human readable description of the error.
+ */
+const VimeoOAuthError = module.exports.VimeoOAuthError = function VimeoOAuthError (error, description) {
+  this.message = description || error
+  this.error = error
+  this.error_description = description || null
+
+  captureStackTrace(this, VimeoOAuthError)
+}
+
+utilModule.inherits(VimeoOAuthError, Error)
+
+VimeoOAuthError.prototype.name = 'VimeoOAuthError'
+
+/**
+ * Error used when the access token of the client lacks a scope a request requires, before the
+ * request is sent. See the `checkScopes` option of the client.
+ *
+ * https://developer.vimeo.com/api/authentication#supported-scopes
+ *
+ * @param {string[]} missingScopes     The scopes the access token lacks.
+ * @param {string[]} scopes            The scopes of the access token.
+ * @param {Object}   [requestOptions]  (optional) The options the request was made with.
+ */
+const InsufficientScopeError = module.exports.InsufficientScopeError = function InsufficientScopeError (missingScopes, scopes, requestOptions) {
+  requestOptions = requestOptions || {}
+
+  this.message = 'The access token is missing the ' + missingScopes.join(', ') + ' scope' +
+    (missingScopes.length > 1 ? 's' : '') + ' required by ' + requestOptions.method + ' ' +
+    (requestOptions.path || '').split('?')[0] + '.'
+  this.missingScopes = missingScopes
+  this.scopes = scopes
+  this.method = requestOptions.method || null
+  this.path = requestOptions.path || null
+
+  captureStackTrace(this, InsufficientScopeError)
+}
+
+utilModule.inherits(InsufficientScopeError, Error)
+
+InsufficientScopeError.prototype.name = 'InsufficientScopeError'
+
+/**
+ * Set the stack of an error, with `Error.captureStackTrace` in runtimes that have it.
+ *
+ * @param {Error}    error
+ * @param {Function} constructor  Omitted from the stack.
+ */
+function captureStackTrace (error, constructor) {
+  if (typeof Error.captureStackTrace === 'function') {
+    Error.captureStackTrace(error, constructor)
+  } else {
+    error.stack = new Error(error.message).stack
+  }
+}
@@ -0,0 +1,737 @@
+'use strict'
+
+/**
+ *   Copyright 2013 Vimeo
+ *
+ *   Licensed under the Apache License, Version 2.0 (the "License");
+ *   you may not use this file except in compliance with the License.
+ *   You may obtain a copy of the License at
+ *
+ *       http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *   Unless required by applicable law or agreed to in writing, software
+ *   distributed under the License is distributed on an "AS IS" BASIS,
+ *   WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *   See the License for the specific language governing permissions and
+ *   limitations under the License.
+ */
+
+const httpModule = require('http')
+const qsModule = require('querystring')
+const urlModule = require('url')
+const oauth = require('./oauth')
+
+const TUS_VERSION = '1.0.0'
+
+/**
+ * In-process HTTP server emulating the endpoints of the Vimeo API used by this client, to test
+ * applications end to end without network access.
+ *
+ *     const FakeServer = require('@vimeo/vimeo/lib/fakeserver')
+ *
+ *     const server = new FakeServer()
+ *     const baseUrl = await server.start()
+ *     const client = new Vimeo('id', 'secret', 'token', { baseUrl })
+ *
+ *     await client.upload('video.mp4', { name: 'Video' })
+ *     await server.close()
+ *
+ * Emulated endpoints:
+ *
+ * -  GET /oauth/authorize, which redirects to the `redirect_uri` with a code and the `state`, as if
+ *    the user accepted.
+ * -  POST /oauth/access_token and POST /oauth/authorize/client, with Basic authentication. Codes
+ *    are also exchanged with a client identifier and a PKCE code verifier. Codes issued with a
+ *    `code_challenge` require the matching code verifier, and codes the server did not issue are
+ *    only exchanged by clients with a secret and without a code verifier.
+ * -  GET /oauth/verify and DELETE /tokens. Revoked tokens are rejected by every endpoint.
+ * -  GET /me.
+ * -  GET /me/videos (paginated with `page` and `per_page`) and POST /me/videos, which creates a
+ *    video and answers with a tus upload attempt (`upload.upload_link`).
+ * -  GET, PATCH and DELETE /videos/{id}, and POST /videos/{id}/versions.
+ * -  HEAD, PATCH and OPTIONS on upload links, following the tus 1.0.0 protocol. A video is
+ *    available once all its bytes are uploaded.
+ *
+ * Every other request requires an `Authorization` header. The `fields` query parameter filters the
+ * top level fields of responses. Failures are injected with `fail`.
+ *
+ * @param {Object}   [options]
+ * @param {string}   [options.clientId]      (optional) Client identifier accepted by the OAuth
+ *                                           endpoints. Any client is accepted by default.
+ * @param {string}   [options.clientSecret]  (optional) Client secret accepted by the OAuth endpoints.
+ * @param {string}   [options.scope]         (optional) Scopes of the access tokens the server did
+ *                                           not issue, such as the one the client is created with.
+ *                                           Defaults to `public private`.
+ * @param {Object[]} [options.videos]        (optional) Videos the user already has.
+ */
+const FakeServer = module.exports = function FakeServer (options) {
+  options = options || {}
+
+  this.clientId = options.clientId || null
+  this.clientSecret = options.clientSecret || null
+  this.scope = options.scope || 'public private'
+  this.baseUrl = null
+  this.requests = []
+  this.videos = new Map()
+  this.uploads = new Map()
+  this.tokens = new Map()
+  this.codes = new Map()
+  this.revokedTokens = new Set()
+  this.user = { uri: '/users/1', name: 'Fake User', link: 'https://vimeo.com/user1', account: 'basic' }
+
+  this._server = null
+  this._sockets = new Set()
+  this._failures = []
+  this._nextId = 1
+  ;(options.videos || []).forEach(this.addVideo, this)
+}
+
+/**
+ * Start listening on a random local port.
+ *
+ * @return {Promise} Resolves with the base URL of the server, to use as the `baseUrl` option of
+ *                   the client.
+ */
+FakeServer.prototype.start = function () {
+  const _self = this
+
+  this._server = httpModule.createServer(this._handle.bind(this))
+  this._server.on('connection', function (socket) {
+    _self._sockets.add(socket)
+    socket.on('close', function () {
+      _self._sockets.delete(socket)
+    })
+  })
+
+  return new Promise(function (resolve, reject) {
+    _self._server.once('error', reject)
+    _self._server.listen(0, '127.0.0.1', function () {
+      _self.baseUrl = 'http://127.0.0.1:' + _self._server.address().port
+      resolve(_self.baseUrl)
+    })
+  })
+}
+
+/**
+ * Stop the server, closing any open connection.
+ *
+ * @return {Promise}
+ */
+FakeServer.prototype.close = function () {
+  const server = this._server
+
+  if (!server) {
+    return Promise.resolve()
+  }
+
+  this._server = null
+  this._sockets.forEach(function (socket) {
+    socket.destroy()
+  })
+
+  return new Promise(function (resolve) {
+    server.close(function () {
+      resolve()
+    })
+  })
+}
+
+/**
+ * Make the next matching requests fail.
+ *
+ *     server.fail({ method: 'GET', path: '/me', status: 429, headers: { 'retry-after': '1' } })
+ *     server.fail({ method: 'PATCH', path: /^\/upload\//, drop: true })
+ *
+ * @param {Object}        failure
+ * @param {string}        [failure.method]   (optional) Method of the requests. Any by default.
+ * @param {string|RegExp} [failure.path]     (optional) Path of the requests, without the query.
+ *                                           Any by default.
+ * @param {integer}       [failure.status]   (optional) Status code of the response. Defaults to 500.
+ * @param {Object}        [failure.headers]  (optional) Headers of the response.
+ * @param {Object}        [failure.body]     (optional) Body of the response. Defaults to an API
+ *                                           error.
+ * @param {boolean}       [failure.drop]     (optional) Destroy the connection instead of responding.
+ * @param {integer}       [failure.times]    (optional) Number of requests to fail. Defaults to 1.
+ * @return {FakeServer}
+ */
+FakeServer.prototype.fail = function (failure) {
+  this._failures.push(Object.assign({ times: 1 }, failure))
+  return this
+}
+
+/**
+ * Add a video to the account of the user.
+ *
+ * @param  {Object} [properties]  (optional) Fields of the video, such as its `name`.
+ * @return {Object} The video.
+ */
+FakeServer.prototype.addVideo = function (properties) {
+  const id = this._nextId++
+  const video = Object.assign({
+    uri: '/videos/' + id,
+    name: 'Untitled',
+    description: null,
+    link: 'https://vimeo.com/' + id,
+    status: 'available',
+    privacy: { view: 'anybody' },
+    created_time: new Date().toISOString()
+  }, properties)
+
+  this.videos.set(video.uri, video)
+  return video
+}
+
+/**
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse}  res
+ */
+FakeServer.prototype._handle = function (req, res) {
+  const _self = this
+  const chunks = []
+
+  req.on('data', function (chunk) {
+    chunks.push(chunk)
+  })
+
+  req.on('end', function () {
+    const url = new urlModule.URL(req.url, _self.baseUrl)
+    const request = {
+      method: req.method,
+      path: url.pathname,
+      query: qsModule.parse(url.search.slice(1)),
+      headers: req.headers,
+      body: Buffer.concat(chunks)
+    }
+
+    _self.requests.push(request)
+
+    const failure = _self._takeFailure(request)
+
+    if (failure && failure.drop) {
+      return req.socket.destroy()
+    }
+
+    if (failure) {
+      return send(res, failure.status || 500, failure.body || apiError(failure.status || 500), failure.headers)
+    }
+
+    try {
+      _self._route(request, res)
+    } catch (err) {
+      send(res, 500, apiError(500, err.message))
+    }
+  })
+}
+
+/**
+ * @param  {Object} request
+ * @return {Object|undefined} The first failure matching the request, which is used up.
+ */
+FakeServer.prototype._takeFailure = function (request) {
+  const failure = this._failures.find(function (failure) {
+    return (!failure.method || failure.method.toUpperCase() === request.method) &&
+      (!failure.path || (failure.path instanceof RegExp ? failure.path.test(request.path) : failure.path === request.path))
+  })
+
+  if (failure && --failure.times <= 0) {
+    this._failures.splice(this._failures.indexOf(failure), 1)
+  }
+
+  return failure
+}
+
+/**
+ * @param {Object}              request
+ * @param {http.ServerResponse} res
+ */
+FakeServer.prototype._route = function (request, res) {
+  const method = request.method
+  const path = request.path
+  let match
+
+  if (/^\/upload\//.test(path)) {
+    return this._handleTus(request, res)
+  }
+
+  if (method === 'GET' && path === '/oauth/authorize') {
+    return this._authorize(request, res)
+  }
+
+  if (method === 'POST' && (path === '/oauth/access_token' || path === '/oauth/authorize/client')) {
+    return this._handleToken(request, res)
+  }
+
+  const token = parseBearerToken(request.headers.authorization)
+
+  if (!request.headers.authorization || this.revokedTokens.has(token)) {
+    return send(res, 401, apiError(401, 'You must provide a valid authenticated access token.'))
+  }
+
+  if (method === 'GET' && path === '/oauth/verify') {
+    return this._verifyToken(request, res, token)
+  }
+
+  if (method === 'DELETE' && path === '/tokens') {
+    if (token) {
+      this.tokens.delete(token)
+      this.revokedTokens.add(token)
+    }
+
+    return send(res, 204)
+  }
+
+  if (method === 'GET' && path === '/me') {
+    return this._respond(request, res, 200, this.user)
+  }
+
+  if (path === '/me/videos') {
+    if (method === 'GET') {
+      return this._respond(request, res, 200, this._listVideos(request))
+    }
+
+    if (method === 'POST') {
+      return this._createVideo(request, res)
+    }
+  }
+
+  if ((match = /^\/videos\/(\d+)(\/versions)?$/.exec(path))) {
+    const video = this.videos.get('/videos/' + match[1])
+
+    if (!video) {
+      return send(res, 404, apiError(404, 'The requested video couldn\'t be found.'))
+    }
+
+    if (match[2] && method === 'POST') {
+      return this._createVersion(request, res, video)
+    }
+
+    if (!match[2] && method === 'GET') {
+      return this._respond(request, res, 200, video)
+    }
+
+    if (!match[2] && method === 'PATCH') {
+      Object.assign(video, parseBody(request))
+      return this._respond(request, res, 200, video)
+    }
+
+    if (!match[2] && method === 'DELETE') {
+      this.videos.delete(video.uri)
+      return send(res, 204)
+    }
+  }
+
+  send(res, 404, apiError(404, 'The requested page couldn\'t be found.'))
+}
+
+/**
+ * GET /oauth/authorize. Issues a code for the client, bound to its redirect URI and PKCE code
+ * challenge.
+ *
+ * @param {Object}              request
+ * @param {http.ServerResponse} res
+ */
+FakeServer.prototype._authorize = function (request, res) {
+  const query = request.query
+
+  if (query.response_type !== 'code' || !query.client_id || !query.redirect_uri ||
+    (this.clientId && query.client_id !== this.clientId) ||
+    (query.code_challenge_method && ['S256', 'plain'].indexOf(query.code_challenge_method) === -1)) {
+    return send(res, 400, { error: 'invalid_request', error_description: 'The authorization request is invalid.' })
+  }
+
+  const code = 'fake-code-' + this._nextId++
+  const location = new urlModule.URL(query.redirect_uri)
+
+  this.codes.set(code, {
+    clientId: query.client_id,
+    redirectUri: query.redirect_uri,
+    scope: query.scope || 'public',
+    codeChallenge: query.code_challenge || null,
+    codeChallengeMethod: query.code_challenge ? query.code_challenge_method || 'plain' : null
+  })
+
+  location.searchParams.set('code', code)
+
+  if (query.state) {
+    location.searchParams.set('state', query.state)
+  }
+
+  send(res, 302, null, { Location: location.toString() })
+}
+
+/**
+ * POST /oauth/access_token and POST /oauth/authorize/client.
+ *
+ * @param {Object}              request
+ * @param {http.ServerResponse} res
+ */
+FakeServer.prototype._handleToken = function (request, res) {
+  const body = parseBody(request)
+  let credentials = parseBasicAuth(request.headers.authorization)
+
+  // Public clients exchange codes with their identifier, and the PKCE code verifier is checked
+  // against the code.
+  const isPublic = !credentials && request.path === '/oauth/access_token' && body.client_id && body.code_verifier
+
+  if (isPublic) {
+    credentials = { clientId: body.client_id, clientSecret: null }
+  }
+
+  if (!credentials ||
+    (this.clientId && credentials.clientId !== this.clientId) ||
+    (!isPublic && this.clientSecret && credentials.clientSecret !== this.clientSecret)) {
+    return send(res, 401, { error: 'invalid_client', error_description: 'The client credentials are invalid.' })
+  }
+
+  const grantType = request.path === '/oauth/access_token' ? 'authorization_code' : 'client_credentials'
+
+  if (body.grant_type !== grantType) {
+    return send(res, 400, { error: 'unsupported_grant_type', error_description: 'The grant type must be ' + grantType + '.' })
+  }
+
+  if (grantType === 'authorization_code' && !body.code) {
+    return send(res, 400, { error: 'invalid_request', error_description: 'The authorization code is missing.' })
+  }
+
+  // Codes are used once.
+  const grant = grantType === 'authorization_code' ? this.codes.get(body.code) : null
+  this.codes.delete(body.code)
+
+  if (grantType === 'authorization_code' && !isValidGrant(grant, credentials, body)) {
+    return send(res, 400, { error: 'invalid_grant', error_description: 'The authorization code or code verifier is invalid.' })
+  }
+
+  const token = {
+    access_token: 'fake-token-' + this._nextId++,
+    token_type: 'bearer',
+    scope: body.scope || 'public'
+  }
+
+  if (grantType === 'authorization_code') {
+    token.scope = grant ? grant.scope : 'public private'
+    token.user = this.user
+  }
+
+  this.tokens.set(token.access_token, token)
+  send(res, 200, token)
+}
+
+/**
+ * GET /oauth/verify.
+ *
+ * @param {Object}              request
+ * @param {http.ServerResponse} res
+ * @param {string|null}         accessToken  Bearer token of the request.
+ */
+FakeServer.prototype._verifyToken = function (request, res, accessToken) {
+  if (!accessToken) {
+    return send(res, 401, apiError(401, 'You must provide a valid authenticated access token.'))
+  }
+
+  const token = this.tokens.get(accessToken) || { access_token: accessToken, token_type: 'bearer', scope: this.scope, user: this.user }
+
+  this._respond(request, res, 200, Object.assign({ app: { name: 'Fake App', uri: '/apps/1' } }, token))
+}
+
+/**
+ * GET /me/videos.
+ *
+ * @param  {Object} request
+ * @return {Object} A page of the videos of the user.
+ */
+FakeServer.prototype._listVideos = function (request) {
+  const videos = Array.from(this.videos.values())
+  const perPage = Math.max(1, parseInt(request.query.per_page, 10) || 25)
+  const page = Math.max(1, parseInt(request.query.page, 10) || 1)
+  const last = Math.max(1, Math.ceil(videos.length / perPage))
+  const query = Object.assign({}, request.query)
+
+  const pagePath = function (number) {
+    return request.path + '?' + qsModule.stringify(Object.assign(query, { page: number, per_page: perPage }))
+  }
+
+  return {
+    total: videos.length,
+    page,
+    per_page: perPage,
+    paging: {
+      next: page < last ? pagePath(page + 1) : null,
+      previous: page > 1 ? pagePath(page - 1) : null,
+      first: pagePath(1),
+      last: pagePath(last)
+    },
+    data: videos.slice((page - 1) * perPage, page * perPage)
+  }
+}
+
+/**
+ * POST /me/videos.
+ *
+ * @param {Object}              request
+ * @param {http.ServerResponse} res
+ */
+FakeServer.prototype._createVideo = function (request, res) {
+  const body = parseBody(request)
+  const upload = this._createUpload(body.upload)
+
+  if (!upload) {
+    return send(res, 400, apiError(400, 'The upload approach must be tus, with the size of the file.'))
+  }
+
+  const properties = Object.assign({}, body, { status: 'uploading' })
+  delete properties.upload
+
+  const video = this.addVideo(properties)
+  upload.video = video
+  video.upload = upload.attempt
+
+  this._respond(request, res, 200, video)
+}
+
+/**
+ * POST /videos/{id}/versions.
+ *
+ * @param {Object}              request
+ * @param {http.ServerResponse} res
+ * @param {Object}              video
+ */
+FakeServer.prototype._createVersion = function (request, res, video) {
+  const body = parseBody(request)
+  const upload = this._createUpload(body.upload)
+
+  if (!upload) {
+    return send(res, 400, apiError(400, 'The upload approach must be tus, with the size of the file.'))
+  }
+
+  upload.video = video
+  upload.fileName = body.file_name || null
+  video.status = 'uploading'
+  video.upload = upload.attempt
+
+  this._respond(request, res, 201, {
+    uri: video.uri + '/versions/' + upload.id,
+    file_name: upload.fileName,
+    upload: upload.attempt
+  })
+}
+
+/**
+ * @param  {Object} [attempt]  The `upload` parameter of a request.
+ * @return {Object|null} The upload, or null if the parameter is not a tus upload.
+ */
+FakeServer.prototype._createUpload = function (attempt) {
+  if (!attempt || attempt.approach !== 'tus' || !(parseInt(attempt.size, 10) >= 0)) {
+    return null
+  }
+
+  const id = this._nextId++
+  const upload = {
+    id,
+    size: parseInt(attempt.size, 10),
+    offset: 0,
+    data: Buffer.alloc(0),
+    video: null,
+    attempt: {
+      approach: 'tus',
+      status: 'in_progress',
+      size: parseInt(attempt.size, 10),
+      upload_link: this.baseUrl + '/upload/' + id
+    }
+  }
+
+  this.uploads.set(id, upload)
+  return upload
+}
+
+/**
+ * tus requests on upload links: https://tus.io/protocols/resumable-upload
+ *
+ * @param {Object}              request
+ * @param {http.ServerResponse} res
+ */
+FakeServer.prototype._handleTus = function (request, res) {
+  const upload = this.uploads.get(parseInt(request.path.split('/')[2], 10))
+  const headers = { 'Tus-Resumable': TUS_VERSION }
+
+  if (request.method === 'OPTIONS') {
+    return send(res, 204, null, Object.assign(headers, { 'Tus-Version': TUS_VERSION }))
+  }
+
+  if (!upload) {
+    return send(res, 404, null, headers)
+  }
+
+  if (request.method === 'HEAD') {
+    return send(res, 200, null, Object.assign(headers, {
+      'Upload-Offset': upload.offset,
+      'Upload-Length': upload.size,
+      'Cache-Control': 'no-store'
+    }))
+  }
+
+  if (request.method !== 'PATCH') {
+    return send(res, 405, null, headers)
+  }
+
+  if (request.headers['content-type'] !== 'application/offset+octet-stream') {
+    return send(res, 415, null, headers)
+  }
+
+  if (parseInt(request.headers['upload-offset'], 10) !== upload.offset) {
+    return send(res, 409, null, headers)
+  }
+
+  if (upload.offset + request.body.length > upload.size) {
+    return send(res, 413, null, headers)
+  }
+
+  upload.data = Buffer.concat([upload.data, request.body])
+  upload.offset += request.body.length
+
+  if (upload.offset === upload.size) {
+    upload.attempt.status = 'complete'
+    upload.video.status = 'available'
+  }
+
+  send(res, 204, null, Object.assign(headers, { 'Upload-Offset': upload.offset }))
+}
+
+/**
+ * Send a JSON response, filtered by the `fields` query parameter.
+ *
+ * @param {Object}              request
+ * @param {http.ServerResponse} res
+ * @param {integer}             status
+ * @param {Object}              body
+ */
+FakeServer.prototype._respond = function (request, res, status, body) {
+  const fields = request.query.fields ? String(request.query.fields).split(',') : null
+
+  if (fields && Array.isArray(body.data)) {
+    body = Object.assign({}, body, {
+      data: body.data.map(function (item) {
+        return pick(item, fields)
+      })
+    })
+  } else if (fields) {
+    body = pick(body, fields)
+  }
+
+  send(res, status, body)
+}
+
+/**
+ * @param {http.ServerResponse} res
+ * @param {integer}             status
+ * @param {Object}              [body]
+ * @param {Object}              [headers]
+ */
+function send (res, status, body, headers) {
+  const data = body ? JSON.stringify(body) : ''
+
+  headers = Object.assign({}, body ? { 'Content-Type': 'application/vnd.vimeo.*+json' } : {}, headers)
+
+  res.writeHead(status, headers)
+  res.end(data)
+}
+
+/**
+ * @param  {integer} status
+ * @param  {string}  [message]
+ * @return {Object}  Body of an API error.
+ */
+function apiError (status, message) {
+  return {
+    error: message || httpModule.STATUS_CODES[status] || 'Error',
+    developer_message: message || httpModule.STATUS_CODES[status] || 'Error',
+    error_code: status
+  }
+}
+
+/**
+ * @param  {Object} request
+ * @return {Object} The JSON body of a request, or its query.
+ */
+function parseBody (request) {
+  if (!request.body.length) {
+    return Object.assign({}, request.query)
+  }
+
+  try {
+    return JSON.parse(request.body.toString('utf8'))
+  } catch (e) {
+    return qsModule.parse(request.body.toString('utf8'))
+  }
+}
+
+/**
+ * Check an authorization code exchange against the code issued by `_authorize`.
+ *
+ * @param  {Object|undefined} grant        The code, as issued.
+ * @param  {Object}           credentials  `{ clientId, clientSecret }` of the client.
+ * @param  {Object}           body         Body of the exchange.
+ * @return {boolean}
+ */
+function isValidGrant (grant, credentials, body) {
+  if (!grant) {
+    return Boolean(credentials.clientSecret) && !body.code_verifier
+  }
+
+  if (grant.clientId !== credentials.clientId || grant.redirectUri !== body.redirect_uri) {
+    return false
+  }
+
+  if (!grant.codeChallenge || !body.code_verifier) {
+    return !grant.codeChallenge && !body.code_verifier
+  }
+
+  const challenge = grant.codeChallengeMethod === 'S256'
+    ? oauth.generateCodeChallenge(body.code_verifier)
+    : body.code_verifier
+
+  return challenge === grant.codeChallenge
+}
+
+/**
+ * @param  {string} [header]  `Authorization` header.
+ * @return {Object|null} `{ clientId, clientSecret }` of Basic authentication.
+ */
+function parseBasicAuth (header) {
+  const match = /^Basic (.+)$/.exec(header || '')
+
+  if (!match) {
+    return null
+  }
+
+  const credentials = Buffer.from(match[1], 'base64').toString('utf8')
+  const index = credentials.indexOf(':')
+
+  return { clientId: credentials.slice(0, index), clientSecret: credentials.slice(index + 1) }
+}
+
+/**
+ * @param  {string} [header]  `Authorization` header.
+ * @return {string|null} The access token of Bearer authentication.
+ */
+function parseBearerToken (header) {
+  const match = /^Bearer (.+)$/.exec(header || '')
+
+  return match ? match[1] : null
+}
+
+/**
+ * @param  {Object}   object
+ * @param  {string[]} fields
+ * @return {Object}   The fields of the object.
+ */
+function pick (object, fields) {
+  const picked = {}
+
+  fields.forEach(function (field) {
+    if (object[field] !== undefined) {
+      picked[field] = object[field]
+    }
+  })
+
+  return picked
+}
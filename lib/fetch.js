@@ -0,0 +1,168 @@
+'use strict'
+
+/**
+ *   Copyright 2013 Vimeo
+ *
+ *   Licensed under the Apache License, Version 2.0 (the "License");
+ *   you may not use this file except in compliance with the License.
+ *   You may obtain a copy of the License at
+ *
+ *       http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *   Unless required by applicable law or agreed to in writing, software
+ *   distributed under the License is distributed on an "AS IS" BASIS,
+ *   WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *   See the License for the specific language governing permissions and
+ *   limitations under the License.
+ */
+
+/* global fetch, AbortController */
+
+const errors = require('./errors')
+const responseModule = require('./response')
+
+const defaultPorts = { 'https:': 443, 'http:': 80 }
+
+/**
+ * Create a transport that sends requests with `fetch`, for runtimes without Node's `http` module
+ * such as Cloudflare Workers, Deno or browsers.
+ *
+ *     const client = new Vimeo(clientId, clientSecret, accessToken, {
+ *       transport: createFetchTransport()
+ *     })
+ *
+ * With a transport, requests, `accessToken` and `generateClientCredentials` do not need Node's
+ * `http`, `https`, `fs` or `crypto` modules, nor the `Buffer` and `process` globals. The client
+ * still requires the `events`, `util`, `querystring` and `url` modules, which Deno, Workers with
+ * Node.js compatibility and bundlers provide. Uploads, cassettes, the cache, deduplication, PKCE
+ * and OAuth states need Node. With `stream: true`, the body is the `ReadableStream` of the `fetch`
+ * response.
+ *
+ * @param  {Object}   [options]
+ * @param  {Function} [options.fetch]  (optional) `fetch` implementation. Defaults to the global
+ *                                     `fetch`.
+ * @return {Function} Transport to provide as the `transport` option of the client.
+ */
+module.exports = function createFetchTransport (options) {
+  options = options || {}
+
+  const fetchFn = options.fetch || (typeof fetch === 'function' ? fetch : null)
+
+  return function fetchTransport (requestOptions, callOptions, done) {
+    if (!fetchFn) {
+      return done(new Error('fetch is not available, provide an implementation with the `fetch` option.'))
+    }
+
+    const signal = callOptions.signal
+    const controller = new AbortController()
+    let complete = false
+    let timer = null
+    let cancelError = null
+
+    const finish = function (err, response) {
+      if (complete) {
+        return
+      }
+
+      complete = true
+      clearTimeout(timer)
+
+      // The signal keeps cancelling a streamed body after the request completes.
+      if (signal && !(response && callOptions.stream)) {
+        signal.removeEventListener('abort', onAbort)
+      }
+
+      done(err, response)
+    }
+
+    const cancel = function (err) {
+      cancelError = err
+      controller.abort()
+      finish(err)
+    }
+
+    const onAbort = function () {
+      cancel(new errors.VimeoAbortError(requestOptions))
+    }
+
+    if (signal) {
+      if (signal.aborted) {
+        return onAbort()
+      }
+
+      signal.addEventListener('abort', onAbort)
+    }
+
+    if (callOptions.timeout) {
+      timer = setTimeout(function () {
+        cancel(new errors.VimeoTimeoutError(callOptions.timeout, requestOptions))
+      }, callOptions.timeout)
+    }
+
+    // `fetch` sets the length of the body itself, and refuses to send some requests that set it.
+    const headers = Object.assign({}, requestOptions.headers)
+    delete headers['Content-Length']
+
+    fetchFn(buildUrl(requestOptions), {
+      method: requestOptions.method,
+      headers,
+      body: requestOptions.body || undefined,
+      signal: controller.signal
+    }).then(function (res) {
+      const responseHeaders = {}
+      res.headers.forEach(function (value, name) {
+        responseHeaders[name.toLowerCase()] = value
+      })
+
+      if (callOptions.stream && res.status < 400) {
+        return finish(null, { statusCode: res.status, body: res.body, headers: responseHeaders })
+      }
+
+      const type = res.status >= 400 ? 'text' : responseModule.getType(responseHeaders, callOptions.responseType)
+      const read = type === 'buffer' ? readBinary(res) : res.text()
+
+      return read.then(function (data) {
+        if (res.status >= 400) {
+          return finish(new errors.VimeoApiError(res.status, responseHeaders, data, requestOptions))
+        }
+
+        let body
+
+        try {
+          body = responseModule.parse(res.status, type, data)
+        } catch (err) {
+          return finish(err)
+        }
+
+        finish(null, { statusCode: res.status, body, headers: responseHeaders })
+      })
+    }).catch(function (err) {
+      finish(cancelError || err)
+    })
+  }
+}
+
+/**
+ * @param  {Response} res
+ * @return {Promise}  The body of a response, as a Buffer where available and a Uint8Array otherwise.
+ */
+function readBinary (res) {
+  return res.arrayBuffer().then(function (data) {
+    return typeof Buffer === 'function' ? Buffer.from(data) : new Uint8Array(data)
+  })
+}
+
+/**
+ * @param  {Object} requestOptions
+ * @return {string} URL of a request.
+ */
+function buildUrl (requestOptions) {
+  const protocol = requestOptions.protocol === 'http:' ? 'http:' : 'https:'
+  let url = protocol + '//' + requestOptions.host
+
+  if (requestOptions.port && parseInt(requestOptions.port, 10) !== defaultPorts[protocol]) {
+    url += ':' + requestOptions.port
+  }
+
+  return url + requestOptions.path
+}
@@ -0,0 +1,268 @@
+'use strict'
+
+/**
+ *   Copyright 2013 Vimeo
+ *
+ *   Licensed under the Apache License, Version 2.0 (the "License");
+ *   you may not use this file except in compliance with the License.
+ *   You may obtain a copy of the License at
+ *
+ *       http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *   Unless required by applicable law or agreed to in writing, software
+ *   distributed under the License is distributed on an "AS IS" BASIS,
+ *   WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *   See the License for the specific language governing permissions and
+ *   limitations under the License.
+ */
+
+const qsModule = require('querystring')
+const utilModule = require('util')
+const redact = require('./redact')
+
+/**
+ * Logs the requests of a client: method, URL, query, status code and duration, and optionally the
+ * request and response bodies.
+ *
+ * Credentials are never logged: the `Authorization` header (Bearer and Basic), `client_secret`,
+ * `access_token`, `refresh_token` and `code` fields and query parameters, and upload links are
+ * redacted, as is any occurrence of the secrets of the client.
+ *
+ * Messages are logged as `logger[level](message, data)`, with `debug` for requests and responses,
+ * `warn` for retries and `error` for failed requests. A function is called as `logger(level,
+ * message, data)` instead.
+ *
+ * @param {Object|Function} logger            Logger such as `console`, or a function.
+ * @param {Object}          [options]
+ * @param {boolean}         [options.bodies]  (optional) Log request and response bodies.
+ * @param {Function}        [options.secrets] (optional) Returns the values that must never be
+ *                                            logged, such as the client secret.
+ */
+const Logger = module.exports.Logger = function Logger (logger, options) {
+  options = options || {}
+
+  this.logger = logger
+  this.bodies = options.bodies === true
+  this.secrets = options.secrets || function () {
+    return []
+  }
+}
+
+/**
+ * Create the logger of a client. The `DEBUG` environment variable enables logging to stderr when
+ * it matches `vimeo` (e.g. `DEBUG=vimeo*`), and bodies when it matches `vimeo:body`.
+ *
+ * @param  {Object}          options
+ * @param  {Object|Function} [options.logger]     (optional) Logger, see `Logger`.
+ * @param  {boolean}         [options.logBodies]  (optional) Log request and response bodies.
+ * @param  {Function}        secrets              Returns the values that must never be logged.
+ * @param  {string}          [debug]              (optional) Value of the `DEBUG` environment
+ *                                                variable.
+ * @return {Logger|null}     Null if logging is disabled.
+ */
+module.exports.create = function (options, secrets, debug) {
+  if (options.logger) {
+    return new Logger(options.logger, { bodies: options.logBodies, secrets })
+  }
+
+  if (isDebugEnabled('vimeo', debug)) {
+    return new Logger(writeToStderr, {
+      bodies: options.logBodies || isDebugEnabled('vimeo:body', debug),
+      secrets
+    })
+  }
+
+  return null
+}
+
+/**
+ * @param {Object}  requestOptions  Options built by `_buildRequestOptions`.
+ * @param {integer} attempt
+ */
+Logger.prototype.request = function (requestOptions, attempt) {
+  const url = this._url(requestOptions)
+  const data = {
+    method: requestOptions.method,
+    url,
+    query: this._query(requestOptions.path),
+    headers: redact.headers(requestOptions.headers),
+    attempt
+  }
+
+  if (this.bodies && requestOptions.body) {
+    data.body = this._body(requestOptions.body)
+  }
+
+  this._log('debug', requestOptions.method + ' ' + url, data)
+}
+
+/**
+ * @param {Object}  requestOptions
+ * @param {Object}  response        Response, or error with a response.
+ * @param {integer} duration        Milliseconds the attempt took.
+ * @param {integer} attempt
+ */
+Logger.prototype.response = function (requestOptions, response, duration, attempt) {
+  const url = this._url(requestOptions)
+  const headers = response.headers || {}
+  const data = {
+    method: requestOptions.method,
+    url,
+    statusCode: response.statusCode,
+    requestId: headers['x-request-id'] || null,
+    duration,
+    attempt
+  }
+
+  if (this.bodies && response.body !== undefined) {
+    data.body = this._body(response.body)
+  }
+
+  this._log('debug', requestOptions.method + ' ' + url + ' ' + response.statusCode + ' ' + duration + 'ms', data)
+}
+
+/**
+ * @param {Object}  requestOptions
+ * @param {integer} attempt  The attempt that failed.
+ * @param {integer} delay    Milliseconds before the next attempt.
+ * @param {Error}   [err]
+ */
+Logger.prototype.retry = function (requestOptions, attempt, delay, err) {
+  const url = this._url(requestOptions)
+  const reason = err ? this._error(err) : 'rate limited'
+
+  this._log('warn', requestOptions.method + ' ' + url + ' failed (' + reason + '), retrying in ' + delay + 'ms', {
+    method: requestOptions.method,
+    url,
+    attempt,
+    delay,
+    error: reason
+  })
+}
+
+/**
+ * @param {Object}  requestOptions
+ * @param {Error}   err
+ * @param {integer} duration  Milliseconds the request took, including retries.
+ * @param {integer} attempts
+ */
+Logger.prototype.failure = function (requestOptions, err, duration, attempts) {
+  const url = this._url(requestOptions)
+  const reason = this._error(err)
+
+  this._log('error', requestOptions.method + ' ' + url + ' failed (' + reason + ') ' + duration + 'ms', {
+    method: requestOptions.method,
+    url,
+    statusCode: err.statusCode || null,
+    error: reason,
+    duration,
+    attempts
+  })
+}
+
+/**
+ * @param {string} level
+ * @param {string} message
+ * @param {Object} data
+ */
+Logger.prototype._log = function (level, message, data) {
+  if (typeof this.logger === 'function') {
+    return this.logger(level, message, data)
+  }
+
+  const log = this.logger[level] || this.logger.log
+
+  if (typeof log === 'function') {
+    log.call(this.logger, message, data)
+  }
+}
+
+/**
+ * @param  {Object} requestOptions
+ * @return {string} Redacted URL of a request.
+ */
+Logger.prototype._url = function (requestOptions) {
+  const defaultPort = requestOptions.protocol === 'https:' ? 443 : 80
+  let url = requestOptions.protocol + '//' + requestOptions.host
+
+  if (requestOptions.port && parseInt(requestOptions.port, 10) !== defaultPort) {
+    url += ':' + requestOptions.port
+  }
+
+  return redact.value(url + redact.path(requestOptions.path), this.secrets())
+}
+
+/**
+ * @param  {string} path
+ * @return {Object} Redacted query parameters of a path.
+ */
+Logger.prototype._query = function (path) {
+  const index = path.indexOf('?')
+
+  return redact.value(Object.assign({}, index === -1 ? {} : qsModule.parse(path.slice(index + 1))), this.secrets())
+}
+
+/**
+ * @param  {*} body  Request or response body.
+ * @return {*} A redacted copy of the body, or a description of bodies that are not logged as is.
+ */
+Logger.prototype._body = function (body) {
+  if (typeof Buffer === 'function' && Buffer.isBuffer(body)) {
+    return '[Buffer ' + body.length + ' bytes]'
+  }
+
+  if (body && typeof body.pipe === 'function') {
+    return '[Stream]'
+  }
+
+  return redact.body(body, this.secrets())
+}
+
+/**
+ * @param  {Error|string} err
+ * @return {string} Redacted description of an error.
+ */
+Logger.prototype._error = function (err) {
+  const description = err instanceof Error ? err.name + ': ' + err.message : String(err)
+
+  return redact.value(description, this.secrets())
+}
+
+/**
+ * Whether a debug namespace is enabled by the `DEBUG` environment variable. Patterns are separated
+ * by commas or spaces, `*` is a wildcard and a leading `-` excludes the namespaces it matches.
+ *
+ * @param  {string}  namespace
+ * @param  {string}  [debug]  (optional) Value of `DEBUG`.
+ * @return {boolean}
+ */
+const isDebugEnabled = module.exports.isDebugEnabled = function (namespace, debug) {
+  let included = false
+  let excluded = false
+
+  String(debug || '').split(/[\s,]+/).forEach(function (pattern) {
+    const exclude = pattern[0] === '-'
+    const source = (exclude ? pattern.slice(1) : pattern).replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*')
+
+    if (source && new RegExp('^' + source + '$').test(namespace)) {
+      if (exclude) {
+        excluded = true
+      } else {
+        included = true
+      }
+    }
+  })
+
+  return included && !excluded
+}
+
+/**
+ * Logger used with `DEBUG`.
+ *
+ * @param {string} level
+ * @param {string} message
+ * @param {Object} data
+ */
+function writeToStderr (level, message, data) {
+  process.stderr.write('vimeo ' + level + ' ' + message + ' ' + utilModule.inspect(data, { depth: 4, breakLength: Infinity }) + '\n')
+}
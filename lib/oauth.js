@@ -0,0 +1,184 @@
+'use strict'
+
+/**
+ *   Copyright 2013 Vimeo
+ *
+ *   Licensed under the Apache License, Version 2.0 (the "License");
+ *   you may not use this file except in compliance with the License.
+ *   You may obtain a copy of the License at
+ *
+ *       http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *   Unless required by applicable law or agreed to in writing, software
+ *   distributed under the License is distributed on an "AS IS" BASIS,
+ *   WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *   See the License for the specific language governing permissions and
+ *   limitations under the License.
+ */
+
+const errors = require('./errors')
+
+/**
+ * Node's `crypto` module, loaded when first used so the client loads in runtimes without it.
+ *
+ * @return {Object}
+ */
+function crypto () {
+  return require('crypto')
+}
+
+/**
+ * @param  {Buffer} buffer
+ * @return {string} The buffer, encoded as base64url without padding.
+ */
+function base64Url (buffer) {
+  return buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+
+/**
+ * Generate a PKCE code verifier: 43 characters from the unreserved set of RFC 7636.
+ *
+ * https://datatracker.ietf.org/doc/html/rfc7636#section-4.1
+ *
+ * @return {string}
+ */
+const generateCodeVerifier = module.exports.generateCodeVerifier = function () {
+  return base64Url(crypto().randomBytes(32))
+}
+
+/**
+ * Derive the S256 code challenge of a PKCE code verifier.
+ *
+ * @param  {string} codeVerifier
+ * @return {string}
+ */
+const generateCodeChallenge = module.exports.generateCodeChallenge = function (codeVerifier) {
+  return base64Url(crypto().createHash('sha256').update(codeVerifier).digest())
+}
+
+/**
+ * Generate a PKCE code verifier and its S256 challenge, for clients that cannot keep a client
+ * secret, such as desktop and mobile apps.
+ *
+ * The challenge is sent with `buildAuthorizationEndpoint`, and the verifier, which must stay on the
+ * device until then, with `accessToken`.
+ *
+ * @return {Object} `{ codeVerifier, codeChallenge, codeChallengeMethod }`.
+ */
+module.exports.generatePkce = function () {
+  const codeVerifier = generateCodeVerifier()
+
+  return {
+    codeVerifier,
+    codeChallenge: generateCodeChallenge(codeVerifier),
+    codeChallengeMethod: 'S256'
+  }
+}
+
+/**
+ * Generate the `state` of an authorization request, which protects the redirect URI against
+ * cross-site request forgery.
+ *
+ * The state is a random string, which must be kept for the browser of the user (e.g. in their
+ * session, or an `HttpOnly` cookie) and provided to `verifyState` on the callback: this is what
+ * binds the callback to the user who started the authorization. With a secret the state is also
+ * signed with HMAC-SHA256 and expires, and it can carry data such as the page to return to.
+ *
+ * @param  {Object}  [options]
+ * @param  {string}  [options.secret]     (optional) Secret used to sign the state, such as the
+ *                                        client secret of the app.
+ * @param  {integer} [options.expiresIn]  (optional) Milliseconds during which a signed state is
+ *                                        valid. Defaults to 10 minutes.
+ * @param  {*}       [options.data]       (optional) Data embedded in a signed state. It is
+ *                                        readable by the user, but cannot be altered.
+ * @return {string}
+ */
+module.exports.generateState = function (options) {
+  options = options || {}
+
+  const nonce = base64Url(crypto().randomBytes(32))
+
+  if (!options.secret) {
+    return nonce
+  }
+
+  const payload = base64Url(Buffer.from(JSON.stringify({
+    nonce,
+    expires: Date.now() + (options.expiresIn || 10 * 60 * 1000),
+    data: options.data === undefined ? null : options.data
+  })))
+
+  return payload + '.' + sign(payload, options.secret)
+}
+
+/**
+ * Verify the `state` received on the redirect URI, comparing it in constant time with the state
+ * kept for the browser of the user.
+ *
+ * @param  {string} state              The state received.
+ * @param  {Object} options
+ * @param  {string} options.expected   The state kept for the browser of the user.
+ * @param  {string} [options.secret]   (optional) The secret a signed state was generated with.
+ * @return {*}      The data embedded in a signed state, or null.
+ * @throws {VimeoOAuthError} With the code `invalid_state` if the state does not match, or
+ *                           `expired_state` if a signed state expired.
+ */
+module.exports.verifyState = function (state, options) {
+  options = options || {}
+
+  if (typeof state !== 'string' || !state) {
+    throw new errors.VimeoOAuthError('invalid_state', 'The state is missing.')
+  }
+
+  if (!options.expected || !safeEqual(state, options.expected)) {
+    throw new errors.VimeoOAuthError('invalid_state', 'The state does not match.')
+  }
+
+  if (!options.secret) {
+    return null
+  }
+
+  const parts = state.split('.')
+
+  if (parts.length !== 2 || !safeEqual(parts[1], sign(parts[0], options.secret))) {
+    throw new errors.VimeoOAuthError('invalid_state', 'The state signature is invalid.')
+  }
+
+  let payload
+
+  try {
+    payload = JSON.parse(Buffer.from(parts[0], 'base64').toString('utf8'))
+  } catch (e) {
+    throw new errors.VimeoOAuthError('invalid_state', 'The state is malformed.')
+  }
+
+  if (!payload || typeof payload.expires !== 'number' || payload.expires <= Date.now()) {
+    throw new errors.VimeoOAuthError('expired_state', 'The state expired.')
+  }
+
+  return payload.data === undefined ? null : payload.data
+}
+
+/**
+ * @param  {string} value
+ * @param  {string} secret
+ * @return {string} HMAC-SHA256 signature of the value, encoded as base64url.
+ */
+function sign (value, secret) {
+  return base64Url(crypto().createHmac('sha256', secret).update(value).digest())
+}
+
+/**
+ * Compare strings in constant time. They are hashed first, so their lengths are not compared.
+ *
+ * @param  {string}  a
+ * @param  {string}  b
+ * @return {boolean}
+ */
+function safeEqual (a, b) {
+  const hash = function (value) {
+    return crypto().createHash('sha256').update(String(value)).digest()
+  }
+
+  return crypto().timingSafeEqual(hash(a), hash(b))
+}
@@ -0,0 +1,161 @@
+'use strict'
+
+/**
+ *   Copyright 2013 Vimeo
+ *
+ *   Licensed under the Apache License, Version 2.0 (the "License");
+ *   you may not use this file except in compliance with the License.
+ *   You may obtain a copy of the License at
+ *
+ *       http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *   Unless required by applicable law or agreed to in writing, software
+ *   distributed under the License is distributed on an "AS IS" BASIS,
+ *   WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *   See the License for the specific language governing permissions and
+ *   limitations under the License.
+ */
+
+/**
+ * This object keeps track of the rate limit window reported by the API, and optionally holds
+ * requests back once the window is exhausted until it resets.
+ *
+ * https://developer.vimeo.com/guidelines/rate-limiting
+ *
+ * @param {boolean|Object} [throttle]          (optional) Queue requests instead of sending them
+ *                                             when the window is exhausted.
+ * @param {integer}        [throttle.reserve]  (optional) Number of requests to leave unused in each
+ *                                             window. Defaults to 0.
+ */
+const RateLimiter = module.exports = function RateLimiter (throttle) {
+  this._queue = []
+
+  if (throttle) {
+    this.throttle = true
+    this.reserve = throttle.reserve || 0
+  }
+}
+
+RateLimiter.prototype.throttle = false
+RateLimiter.prototype.reserve = 0
+RateLimiter.prototype.state = null
+RateLimiter.prototype._inFlight = 0
+RateLimiter.prototype._timer = null
+
+/**
+ * Read the rate limit window from a set of response headers.
+ *
+ * @param  {Object} headers
+ * @return {Object|null} `{ limit, remaining, reset }`, or null if the headers have no rate limit.
+ */
+RateLimiter.parseHeaders = function (headers) {
+  if (!headers || headers['x-ratelimit-remaining'] === undefined) {
+    return null
+  }
+
+  const reset = Date.parse(headers['x-ratelimit-reset'])
+
+  return {
+    limit: parseInt(headers['x-ratelimit-limit'], 10) || null,
+    remaining: parseInt(headers['x-ratelimit-remaining'], 10),
+    reset: isNaN(reset) ? null : new Date(reset)
+  }
+}
+
+/**
+ * Run a request now, or once the rate limit window allows it.
+ *
+ * Every scheduled request must call `release` when it completes.
+ *
+ * @param {Function} fn  Function that sends the request.
+ */
+RateLimiter.prototype.schedule = function (fn) {
+  if (!this.throttle) {
+    this._inFlight++
+    return fn()
+  }
+
+  this._queue.push(fn)
+  this._drain()
+}
+
+/**
+ * Record the end of a request and update the window from its response headers.
+ *
+ * @param {Object} [headers]  (optional) Response headers.
+ */
+RateLimiter.prototype.release = function (headers) {
+  this._inFlight = Math.max(0, this._inFlight - 1)
+  this.update(headers)
+  this._drain()
+}
+
+/**
+ * Update the window from a set of response headers.
+ *
+ * @param {Object} [headers]  (optional) Response headers.
+ */
+RateLimiter.prototype.update = function (headers) {
+  const state = RateLimiter.parseHeaders(headers)
+
+  if (state) {
+    this.state = state
+  }
+}
+
+/**
+ * Send as many queued requests as the current window allows.
+ */
+RateLimiter.prototype._drain = function () {
+  while (this._queue.length) {
+    const wait = this._getWait()
+
+    if (wait > 0) {
+      if (!this._timer) {
+        this._timer = setTimeout(() => {
+          this._timer = null
+          this._drain()
+        }, wait)
+      }
+
+      return
+    }
+
+    // Requests are held until an in-flight request tells us more about the window.
+    if (wait < 0) {
+      return
+    }
+
+    this._inFlight++
+    this._queue.shift()()
+  }
+}
+
+/**
+ * @return {integer} 0 if a request can be sent now, the number of milliseconds until the window
+ *                   resets, or -1 if we have to wait for a request in flight to complete.
+ */
+RateLimiter.prototype._getWait = function () {
+  const state = this.state
+
+  // Until we know the window, only send one request at a time.
+  if (!state) {
+    return this._inFlight === 0 ? 0 : -1
+  }
+
+  if (state.reset && state.reset.getTime() <= Date.now()) {
+    // The window has reset, so the full limit is available again.
+    state.remaining = state.limit === null ? state.remaining : state.limit
+    state.reset = null
+  }
+
+  if (state.remaining - this._inFlight > this.reserve) {
+    return 0
+  }
+
+  if (state.reset) {
+    return state.reset.getTime() - Date.now()
+  }
+
+  return this._inFlight === 0 ? 0 : -1
+}
@@ -0,0 +1,154 @@
+'use strict'
+
+/**
+ *   Copyright 2013 Vimeo
+ *
+ *   Licensed under the Apache License, Version 2.0 (the "License");
+ *   you may not use this file except in compliance with the License.
+ *   You may obtain a copy of the License at
+ *
+ *       http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *   Unless required by applicable law or agreed to in writing, software
+ *   distributed under the License is distributed on an "AS IS" BASIS,
+ *   WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *   See the License for the specific language governing permissions and
+ *   limitations under the License.
+ */
+
+const qsModule = require('querystring')
+
+const REDACTED = module.exports.REDACTED = '[REDACTED]'
+
+/**
+ * Fields and query parameters holding credentials, or links that grant access without them.
+ */
+const sensitiveKeys = module.exports.sensitiveKeys = [
+  'authorization',
+  'client_secret',
+  'access_token',
+  'refresh_token',
+  'code',
+  'code_verifier',
+  'upload_link'
+]
+
+/**
+ * @param  {string}  key
+ * @return {boolean}
+ */
+function isSensitive (key) {
+  return sensitiveKeys.indexOf(String(key).toLowerCase()) !== -1
+}
+
+/**
+ * @param  {Object} headers
+ * @return {Object} A copy of the headers, without the credentials of the request.
+ */
+module.exports.headers = function (headers) {
+  const redacted = Object.assign({}, headers)
+
+  Object.keys(redacted).forEach(function (name) {
+    if (isSensitive(name)) {
+      redacted[name] = REDACTED
+    }
+  })
+
+  return redacted
+}
+
+/**
+ * @param  {string} path  Path of a request, with its query string.
+ * @return {string} The path, with the values of sensitive query parameters redacted.
+ */
+module.exports.path = function (path) {
+  const index = path.indexOf('?')
+
+  if (index === -1) {
+    return path
+  }
+
+  const query = path.slice(index + 1).split('&').map(function (pair) {
+    const name = decodeURIComponent(pair.split('=')[0].replace(/\+/g, ' '))
+
+    return isSensitive(name) ? pair.split('=')[0] + '=' + encodeURIComponent(REDACTED) : pair
+  })
+
+  return path.slice(0, index + 1) + query.join('&')
+}
+
+/**
+ * @param  {string} link  URL that grants access on its own, such as the `upload_link` of a video.
+ * @return {string} The protocol, host and port of the link, with its path and query redacted.
+ */
+module.exports.link = function (link) {
+  return new URL(link).origin + '/' + REDACTED
+}
+
+/**
+ * Copy a value, such as a request or response body, redacting sensitive fields at any depth and
+ * any occurrence of the provided secrets in strings.
+ *
+ * @param  {*}        input
+ * @param  {string[]} [secrets]  (optional) Values that are never logged, such as the client secret.
+ * @return {*}
+ */
+const value = module.exports.value = function (input, secrets) {
+  secrets = (secrets || []).filter(Boolean)
+
+  if (typeof input === 'string') {
+    return secrets.reduce(function (result, secret) {
+      return result.split(secret).join(REDACTED)
+    }, input)
+  }
+
+  if (Array.isArray(input)) {
+    return input.map(function (item) {
+      return value(item, secrets)
+    })
+  }
+
+  if (input && typeof input === 'object' && Object.getPrototypeOf(input) === Object.prototype) {
+    const redacted = {}
+
+    Object.keys(input).forEach(function (key) {
+      redacted[key] = isSensitive(key) ? REDACTED : value(input[key], secrets)
+    })
+
+    return redacted
+  }
+
+  return input
+}
+
+/**
+ * Parse a request or response body, so its fields can be redacted: JSON strings, and form-encoded
+ * strings such as the body of `accessToken` requests, become objects.
+ *
+ * @param  {*} body
+ * @return {*} The parsed body, or the body itself.
+ */
+const parseBody = module.exports.parseBody = function (body) {
+  if (typeof body !== 'string') {
+    return body
+  }
+
+  try {
+    return JSON.parse(body)
+  } catch (e) {}
+
+  if (/^[^=&\s]+=[^&\s]*(&[^=&\s]+=[^&\s]*)*$/.test(body)) {
+    return Object.assign({}, qsModule.parse(body))
+  }
+
+  return body
+}
+
+/**
+ * @param  {*}        body
+ * @param  {string[]} [secrets]  (optional) Values that are never logged, such as the client secret.
+ * @return {*} A copy of a body parsed with `parseBody`, with its sensitive fields redacted.
+ */
+module.exports.body = function (body, secrets) {
+  return value(parseBody(body), secrets)
+}
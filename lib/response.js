@@ -0,0 +1,82 @@
+'use strict'
+
+/**
+ *   Copyright 2013 Vimeo
+ *
+ *   Licensed under the Apache License, Version 2.0 (the "License");
+ *   you may not use this file except in compliance with the License.
+ *   You may obtain a copy of the License at
+ *
+ *       http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *   Unless required by applicable law or agreed to in writing, software
+ *   distributed under the License is distributed on an "AS IS" BASIS,
+ *   WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *   See the License for the specific language governing permissions and
+ *   limitations under the License.
+ */
+
+const types = module.exports.types = ['json', 'text', 'buffer']
+
+/**
+ * Decide how the body of a response is returned.
+ *
+ * -  json    Parsed as JSON. Used for JSON content types, and for responses without a content type.
+ * -  text    Returned as a string. Used for `text/*` and XML content types.
+ * -  buffer  Returned as a Buffer. Used for any other content type.
+ *
+ * @param  {Object} headers         Response headers.
+ * @param  {string} [responseType]  (optional) `json`, `text` or `buffer` to ignore the content type.
+ * @return {string}
+ */
+module.exports.getType = function (headers, responseType) {
+  if (types.indexOf(responseType) !== -1) {
+    return responseType
+  }
+
+  const contentType = headers && headers['content-type']
+
+  if (!contentType) {
+    return 'json'
+  }
+
+  const mime = String(contentType).split(';')[0].trim().toLowerCase()
+
+  if (mime === 'application/json' || /\+json$/.test(mime)) {
+    return 'json'
+  }
+
+  if (/^text\//.test(mime) || mime === 'application/xml' || /\+xml$/.test(mime)) {
+    return 'text'
+  }
+
+  return 'buffer'
+}
+
+/**
+ * Turn the body of a successful response into the value returned to the caller. Responses without
+ * content (204) have a null body.
+ *
+ * @param  {integer}       statusCode
+ * @param  {string}        type  Type returned by `getType`.
+ * @param  {string|Buffer} data  Raw body. Binary bodies can also be a Uint8Array.
+ * @return {*}
+ * @throws {SyntaxError}   If a JSON body cannot be parsed.
+ */
+module.exports.parse = function (statusCode, type, data) {
+  if (statusCode === 204) {
+    return null
+  }
+
+  if (type === 'buffer') {
+    return typeof data === 'string' ? Buffer.from(data) : data
+  }
+
+  data = typeof data === 'string' ? data : data.toString('utf8')
+
+  if (type === 'text') {
+    return data
+  }
+
+  return data.length ? JSON.parse(data) : {}
+}
@@ -0,0 +1,151 @@
+'use strict'
+
+/**
+ *   Copyright 2013 Vimeo
+ *
+ *   Licensed under the Apache License, Version 2.0 (the "License");
+ *   you may not use this file except in compliance with the License.
+ *   You may obtain a copy of the License at
+ *
+ *       http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *   Unless required by applicable law or agreed to in writing, software
+ *   distributed under the License is distributed on an "AS IS" BASIS,
+ *   WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *   See the License for the specific language governing permissions and
+ *   limitations under the License.
+ */
+
+/**
+ * The policy used when retries are enabled with `retry: true`. Any of these values can be
+ * overridden by passing an object instead.
+ *
+ * -  maxAttempts   Total number of attempts, including the first request.
+ * -  minDelay      Delay (ms) before the first retry. Doubled (by `factor`) on every attempt.
+ * -  maxDelay      Upper bound (ms) for a single delay. If the API asks us to wait longer than this
+ *                  through `Retry-After` or `X-RateLimit-Reset`, the error is returned instead.
+ * -  factor        Exponential backoff multiplier.
+ * -  jitter        Randomize each delay between half and all of its value.
+ * -  statusCodes   Response status codes that will be retried.
+ * -  methods       HTTP methods that will be retried. Only idempotent methods by default.
+ */
+const defaults = module.exports.defaults = {
+  maxAttempts: 3,
+  minDelay: 1000,
+  maxDelay: 30000,
+  factor: 2,
+  jitter: true,
+  statusCodes: [429, 500, 502, 503],
+  methods: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE']
+}
+
+/**
+ * Merge a client policy and a per-request policy into the policy to use for a request.
+ *
+ * Either value can be `true` (use the defaults), `false` (disable retries), an object of
+ * overrides, or undefined. The per-request value wins over the client value.
+ *
+ * @param  {boolean|Object} [clientPolicy]
+ * @param  {boolean|Object} [requestPolicy]
+ * @return {Object|null}    The policy, or null if the request should not be retried.
+ */
+module.exports.resolvePolicy = function (clientPolicy, requestPolicy) {
+  if (requestPolicy === false || (requestPolicy === undefined && !clientPolicy)) {
+    return null
+  }
+
+  const policy = Object.assign({}, defaults)
+
+  if (typeof clientPolicy === 'object' && clientPolicy !== null) {
+    Object.assign(policy, clientPolicy)
+  }
+
+  if (typeof requestPolicy === 'object' && requestPolicy !== null) {
+    Object.assign(policy, requestPolicy)
+  }
+
+  return policy
+}
+
+/**
+ * Determine if a failed request should be attempted again.
+ *
+ * @param  {Object}  policy
+ * @param  {string}  method   HTTP method of the request.
+ * @param  {integer} attempt  Number of attempts made so far.
+ * @param  {Error}   err      The error the last attempt failed with.
+ * @return {boolean}
+ */
+module.exports.shouldRetry = function (policy, method, attempt, err) {
+  if (!policy || !err || attempt >= policy.maxAttempts) {
+    return false
+  }
+
+  if (policy.methods.indexOf(method) === -1) {
+    return false
+  }
+
+  return policy.statusCodes.indexOf(err.statusCode) !== -1
+}
+
+/**
+ * Calculate how long to wait before the next attempt.
+ *
+ * `Retry-After` is always honored. `X-RateLimit-Reset` is honored when we have been rate limited.
+ * Otherwise an exponential backoff is used.
+ *
+ * @param  {Object}  policy
+ * @param  {integer} attempt  Number of attempts made so far.
+ * @param  {Error}   err      The error the last attempt failed with.
+ * @return {integer}          Delay in milliseconds, or -1 if the delay would exceed `maxDelay`.
+ */
+module.exports.getDelay = function (policy, attempt, err) {
+  const headers = err.headers || {}
+  let delay = null
+
+  if (headers['retry-after'] !== undefined) {
+    delay = parseRetryAfter(headers['retry-after'])
+  } else if (err.statusCode === 429 && headers['x-ratelimit-reset'] !== undefined) {
+    delay = parseDate(headers['x-ratelimit-reset'])
+  }
+
+  if (delay !== null) {
+    return delay > policy.maxDelay ? -1 : delay
+  }
+
+  delay = Math.min(policy.maxDelay, policy.minDelay * Math.pow(policy.factor, attempt - 1))
+
+  if (policy.jitter) {
+    delay = delay / 2 + Math.random() * delay / 2
+  }
+
+  return Math.round(delay)
+}
+
+/**
+ * `Retry-After` is either a number of seconds, or an HTTP date.
+ *
+ * @param  {string} value
+ * @return {integer|null}
+ */
+function parseRetryAfter (value) {
+  if (/^\d+$/.test(String(value).trim())) {
+    return parseInt(value, 10) * 1000
+  }
+
+  return parseDate(value)
+}
+
+/**
+ * @param  {string} value
+ * @return {integer|null}  Milliseconds until the date, or null if it could not be parsed.
+ */
+function parseDate (value) {
+  const time = Date.parse(value)
+
+  if (isNaN(time)) {
+    return null
+  }
+
+  return Math.max(0, time - Date.now())
+}
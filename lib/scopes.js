@@ -0,0 +1,180 @@
+'use strict'
+
+/**
+ *   Copyright 2013 Vimeo
+ *
+ *   Licensed under the Apache License, Version 2.0 (the "License");
+ *   you may not use this file except in compliance with the License.
+ *   You may obtain a copy of the License at
+ *
+ *       http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *   Unless required by applicable law or agreed to in writing, software
+ *   distributed under the License is distributed on an "AS IS" BASIS,
+ *   WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *   See the License for the specific language governing permissions and
+ *   limitations under the License.
+ */
+
+const errors = require('./errors')
+
+/**
+ * Scopes required by common endpoints of the API, for requests made without a `scope` option. The
+ * first matching rule applies, and requests matching none, or sent to another host such as signed
+ * upload links, are not checked.
+ *
+ * https://developer.vimeo.com/api/authentication#supported-scopes
+ */
+const rules = module.exports.rules = [
+  // Uploads, and replacements of the source file of videos.
+  { methods: ['POST'], path: /^\/(me|users\/[^/]+)\/videos$|^\/videos\/[^/]+\/versions$/, scope: 'upload' },
+  // Likes, comments, follows, subscriptions and the watch later queue.
+  { methods: ['POST', 'PUT', 'PATCH', 'DELETE'], path: /^\/(me|users\/[^/]+)\/(likes|watchlater|following|channels|groups)\/|^\/videos\/[^/]+\/comments(\/|$)/, scope: 'interact' },
+  // Deletion of videos, showcases, folders, channels and groups.
+  { methods: ['DELETE'], path: /^\/videos\/[^/]+$|^\/(me|users\/[^/]+)\/(albums|projects)\/[^/]+$|^\/(channels|groups)\/[^/]+$/, scope: 'delete' },
+  // Edition of videos, users, and their showcases, folders, portfolios, channels and groups.
+  { methods: ['PATCH', 'PUT'], path: /^\/videos\/[^/]+(\/|$)|^\/(me|users\/[^/]+)(\/(albums|projects|portfolios)\/.*)?$|^\/(albums|channels|groups)\/[^/]+(\/|$)/, scope: 'edit' }
+]
+
+/**
+ * @param  {string|string[]} scope  Scopes, separated by spaces as in token responses.
+ * @return {string[]}
+ */
+const parse = module.exports.parse = function (scope) {
+  if (Array.isArray(scope)) {
+    return scope.slice()
+  }
+
+  return String(scope).split(/[\s,]+/).filter(Boolean)
+}
+
+/**
+ * @param  {string} method
+ * @param  {string} path    Path of the request, with or without its query.
+ * @return {string|null} The scope an endpoint requires, according to `rules`.
+ */
+const getRequiredScope = module.exports.getRequiredScope = function (method, path) {
+  path = path.split('?')[0]
+
+  const rule = rules.find(function (rule) {
+    return rule.methods.indexOf(method) !== -1 && rule.path.test(path)
+  })
+
+  return rule ? rule.scope : null
+}
+
+/**
+ * Fails requests the access token of the client lacks the scopes of before they are sent, with an
+ * `InsufficientScopeError`, rather than letting the API answer with a 403 error.
+ *
+ * The scopes of the token are provided by the client, from the `scope` of token responses. When
+ * they are unknown, they are looked up with `verify` before the first request that requires one.
+ * The scopes of the last token issued to the client are kept until it is set.
+ *
+ * @param {string|string[]} [scope]   (optional) Scopes of the access token, if known.
+ * @param {Function}        verify    Resolves with the scopes of the access token.
+ * @param {string}          hostname  Host of the API. `rules` only apply to its requests.
+ */
+const ScopeGuard = module.exports.ScopeGuard = function ScopeGuard (scope, verify, hostname) {
+  this.scopes = scope ? parse(scope) : null
+  this.hostname = hostname
+  this._verify = verify
+  this._verifying = null
+  this._issued = null
+}
+
+/**
+ * Set the scopes of the access token, e.g. when it changes.
+ *
+ * @param {string|string[]|null} scope          Scopes of the access token, or null if they are
+ *                                              unknown.
+ * @param {string}               [accessToken]  (optional) The access token. Its scopes are used if
+ *                                              it is the token passed to `issued`.
+ */
+ScopeGuard.prototype.set = function (scope, accessToken) {
+  if (!scope && this._issued && accessToken && this._issued.accessToken === accessToken) {
+    scope = this._issued.scope
+  }
+
+  this.scopes = scope ? parse(scope) : null
+  this._verifying = null
+}
+
+/**
+ * Keep the scopes of an access token the client was issued, from the `scope` of the token
+ * response, until it is set.
+ *
+ * @param {string} accessToken
+ * @param {string} scope
+ */
+ScopeGuard.prototype.issued = function (accessToken, scope) {
+  this._issued = accessToken && scope ? { accessToken, scope } : null
+}
+
+/**
+ * Middleware checking the scopes of requests. The scopes a request requires are set with its
+ * `scope` option, or `scope: false` to not check them, and otherwise follow `rules` for requests to
+ * the API.
+ *
+ * @param  {Object}   requestOptions
+ * @param  {Function} next
+ * @param  {Object}   options  The options provided to `request`.
+ * @return {Promise}
+ */
+ScopeGuard.prototype.handle = function (requestOptions, next, options) {
+  let required = options.scope
+
+  if (required === undefined) {
+    required = requestOptions.host === this.hostname
+      ? getRequiredScope(requestOptions.method, requestOptions.path)
+      : null
+  }
+
+  if (!required) {
+    return next()
+  }
+
+  return this._getScopes().then(function (scopes) {
+    const missing = parse(required).filter(function (scope) {
+      return scopes.indexOf(scope) === -1
+    })
+
+    if (missing.length) {
+      throw new errors.InsufficientScopeError(missing, scopes, requestOptions)
+    }
+
+    return next()
+  })
+}
+
+/**
+ * @return {Promise} Resolves with the scopes of the access token, verifying it if they are unknown.
+ *                   Concurrent requests share the verification.
+ */
+ScopeGuard.prototype._getScopes = function () {
+  if (this.scopes) {
+    return Promise.resolve(this.scopes)
+  }
+
+  if (!this._verifying) {
+    const _self = this
+    const verifying = this._verifying = this._verify().then(function (scope) {
+      const scopes = parse(scope || [])
+
+      // The token may have changed during the verification.
+      if (_self._verifying === verifying) {
+        _self.scopes = scopes
+      }
+
+      return scopes
+    }, function (err) {
+      if (_self._verifying === verifying) {
+        _self._verifying = null
+      }
+
+      throw err
+    })
+  }
+
+  return this._verifying
+}
@@ -0,0 +1,261 @@
+'use strict'
+
+/**
+ *   Copyright 2013 Vimeo
+ *
+ *   Licensed under the Apache License, Version 2.0 (the "License");
+ *   you may not use this file except in compliance with the License.
+ *   You may obtain a copy of the License at
+ *
+ *       http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *   Unless required by applicable law or agreed to in writing, software
+ *   distributed under the License is distributed on an "AS IS" BASIS,
+ *   WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *   See the License for the specific language governing permissions and
+ *   limitations under the License.
+ */
+
+const packageJson = require('../package.json')
+const redact = require('./redact')
+
+let otel
+
+/**
+ * Load `@opentelemetry/api`, which is an optional dependency.
+ *
+ * @return {Object|null} The API, or null if it is not installed.
+ */
+const loadApi = module.exports.loadApi = function () {
+  if (otel === undefined) {
+    try {
+      otel = require('@opentelemetry/api')
+    } catch (e) {
+      otel = null
+    }
+  }
+
+  return otel
+}
+
+/**
+ * OpenTelemetry integration. Creates a client span for every request and upload, and propagates
+ * the trace context to the API through the propagator registered with `@opentelemetry/api`.
+ *
+ * Spans follow the OpenTelemetry semantic conventions for HTTP clients, with the Vimeo request id
+ * (`vimeo.request_id`) and the remaining rate limit (`vimeo.ratelimit.remaining`). URLs are
+ * redacted like in logs, see `lib/redact.js`.
+ *
+ * @param {Object} api              `@opentelemetry/api`.
+ * @param {Object} [options]
+ * @param {Object} [options.tracer] (optional) Tracer creating the spans. Defaults to the tracer
+ *                                  of the global tracer provider.
+ */
+const Tracing = module.exports.Tracing = function Tracing (api, options) {
+  options = typeof options === 'object' && options !== null ? options : {}
+
+  this.api = api
+  this.tracer = options.tracer || api.trace.getTracer(packageJson.name, packageJson.version)
+}
+
+/**
+ * Create a tracing integration, if `@opentelemetry/api` is installed.
+ *
+ * @param  {boolean|Object} options  Options of `Tracing`.
+ * @return {Tracing|null}
+ */
+module.exports.create = function (options) {
+  const api = loadApi()
+
+  return api ? new Tracing(api, options) : null
+}
+
+/**
+ * Middleware creating a span for a request.
+ *
+ * @param  {Object}   requestOptions
+ * @param  {Function} next
+ * @return {Promise}
+ */
+Tracing.prototype.handle = function (requestOptions, next) {
+  const api = this.api
+  const span = this.tracer.startSpan(requestOptions.method, {
+    kind: api.SpanKind.CLIENT,
+    attributes: {
+      'http.request.method': requestOptions.method,
+      'server.address': requestOptions.host,
+      'server.port': parseInt(requestOptions.port, 10),
+      'url.full': buildUrl(requestOptions.protocol, requestOptions.host, requestOptions.port, redact.path(requestOptions.path)),
+      'url.path': requestOptions.path.split('?')[0]
+    }
+  }, api.context.active())
+  const context = api.trace.setSpan(api.context.active(), span)
+
+  api.propagation.inject(context, requestOptions.headers)
+
+  return api.context.with(context, next).then(function (response) {
+    setResponseAttributes(span, response.statusCode, response.headers)
+
+    if (response.meta && response.meta.retries) {
+      span.setAttribute('http.request.resend_count', response.meta.retries)
+    }
+
+    span.end()
+    return response
+  }, function (err) {
+    setResponseAttributes(span, err.statusCode, err.headers)
+
+    if (err.meta && err.meta.retries) {
+      span.setAttribute('http.request.resend_count', err.meta.retries)
+    }
+
+    setError(api, span, err)
+    span.end()
+    throw err
+  })
+}
+
+/**
+ * Run an upload in a span. The span ends when the upload completes or fails.
+ *
+ * @param {string}   name        Name of the span.
+ * @param {Object}   attributes
+ * @param {Function} onComplete  Called with the URI of the video once the upload completes.
+ * @param {Function} onError     Called with the error if the upload fails.
+ * @param {Function} run         Starts the upload, called as `run(onComplete, onError)` in the
+ *                               context of the span.
+ */
+Tracing.prototype.traceUpload = function (name, attributes, onComplete, onError, run) {
+  const api = this.api
+  const span = this.tracer.startSpan(name, { kind: api.SpanKind.CLIENT, attributes }, api.context.active())
+
+  const complete = function (uri) {
+    span.setAttribute('vimeo.video.uri', uri)
+    span.end()
+    return onComplete(uri)
+  }
+
+  const fail = function (err) {
+    setError(api, span, err)
+    span.end()
+    return onError(err)
+  }
+
+  api.context.with(api.trace.setSpan(api.context.active(), span), function () {
+    run(complete, fail)
+  })
+}
+
+/**
+ * Wrap a tus HTTP stack, so every request it sends (such as the PATCH requests that upload each
+ * chunk) has a span, child of the context active when the stack is wrapped.
+ *
+ * Upload links grant access on their own, so spans only record their protocol, host and port.
+ *
+ * @param  {Object} httpStack
+ * @return {Object}
+ */
+Tracing.prototype.wrapHttpStack = function (httpStack) {
+  const api = this.api
+  const tracer = this.tracer
+  const parentContext = api.context.active()
+
+  return {
+    createRequest: function (method, url) {
+      const request = httpStack.createRequest(method, url)
+      const send = request.send.bind(request)
+
+      request.send = function (body) {
+        const parsedUrl = new URL(url)
+        const span = tracer.startSpan(method, {
+          kind: api.SpanKind.CLIENT,
+          attributes: {
+            'http.request.method': method,
+            'server.address': parsedUrl.hostname,
+            'server.port': parseInt(parsedUrl.port, 10) || (parsedUrl.protocol === 'https:' ? 443 : 80),
+            'url.full': redact.link(url)
+          }
+        }, parentContext)
+        const headers = {}
+
+        api.propagation.inject(api.trace.setSpan(parentContext, span), headers)
+        Object.keys(headers).forEach(function (name) {
+          request.setHeader(name, headers[name])
+        })
+
+        return send(body).then(function (response) {
+          const statusCode = response.getStatus()
+          span.setAttribute('http.response.status_code', statusCode)
+
+          if (statusCode >= 400) {
+            span.setAttribute('error.type', String(statusCode))
+            span.setStatus({ code: api.SpanStatusCode.ERROR })
+          }
+
+          span.end()
+          return response
+        }, function (err) {
+          setError(api, span, err)
+          span.end()
+          throw err
+        })
+      }
+
+      return request
+    },
+
+    getName: function () {
+      return httpStack.getName()
+    }
+  }
+}
+
+/**
+ * @param {Span}    span
+ * @param {integer} [statusCode]
+ * @param {Object}  [headers]
+ */
+function setResponseAttributes (span, statusCode, headers) {
+  headers = headers || {}
+
+  if (statusCode) {
+    span.setAttribute('http.response.status_code', statusCode)
+  }
+
+  if (headers['x-request-id']) {
+    span.setAttribute('vimeo.request_id', headers['x-request-id'])
+  }
+
+  if (headers['x-ratelimit-remaining'] !== undefined) {
+    span.setAttribute('vimeo.ratelimit.remaining', parseInt(headers['x-ratelimit-remaining'], 10))
+  }
+}
+
+/**
+ * @param {Object}       api
+ * @param {Span}         span
+ * @param {Error|string} err
+ */
+function setError (api, span, err) {
+  const message = err instanceof Error ? err.message : String(err)
+
+  span.setAttribute('error.type', err && err.statusCode ? String(err.statusCode) : (err && err.name) || 'Error')
+  span.setStatus({ code: api.SpanStatusCode.ERROR, message })
+
+  if (err instanceof Error) {
+    span.recordException(err)
+  }
+}
+
+/**
+ * @param  {string}  protocol
+ * @param  {string}  host
+ * @param  {integer} port
+ * @param  {string}  path
+ * @return {string}
+ */
+function buildUrl (protocol, host, port, path) {
+  const defaultPort = protocol === 'https:' ? 443 : 80
+
+  return protocol + '//' + host + (port && parseInt(port, 10) !== defaultPort ? ':' + port : '') + path
+}
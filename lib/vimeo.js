@@ -15,13 +15,36 @@
  *   See the License for the specific language governing permissions and
  *   limitations under the License.
  */
+/* global TextEncoder, btoa, queueMicrotask */
+
+// Node's `http`, `https`, `fs` and `path` modules, tus, the proxy agents and cassettes are only
+// loaded when they are used, so the client loads with a transport in runtimes without them.
 const qsModule = require('querystring')
 const urlModule = require('url')
-const httpModule = require('http')
-const httpsModule = require('https')
-const fs = require('fs')
-const path = require('path')
-const tus = require('tus-js-client')
+const EventEmitter = require('events')
+const utilModule = require('util')
+const errors = require('./errors')
+const retry = require('./retry')
+const RateLimiter = require('./ratelimiter')
+const Cache = require('./cache').Cache
+const Deduplicator = require('./dedupe')
+const createFetchTransport = require('./fetch')
+const responseModule = require('./response')
+const tracingModule = require('./tracing')
+const loggerModule = require('./logger')
+const redact = require('./redact')
+const oauth = require('./oauth')
+const ScopeGuard = require('./scopes').ScopeGuard
+
+const VimeoApiError = module.exports.VimeoApiError = errors.VimeoApiError
+module.exports.VimeoTimeoutError = errors.VimeoTimeoutError
+module.exports.VimeoAbortError = errors.VimeoAbortError
+module.exports.VimeoOAuthError = errors.VimeoOAuthError
+module.exports.InsufficientScopeError = errors.InsufficientScopeError
+module.exports.createFetchTransport = createFetchTransport
+module.exports.generatePkce = oauth.generatePkce
+module.exports.generateState = oauth.generateState
+module.exports.verifyState = oauth.verifyState
 
 module.exports.request_defaults = {
   protocol: 'https:',
@@ -38,28 +61,205 @@ module.exports.request_defaults = {
 const authEndpoints = module.exports.authEndpoints = {
   authorization: '/oauth/authorize',
   accessToken: '/oauth/access_token',
-  clientCredentials: '/oauth/authorize/client'
+  clientCredentials: '/oauth/authorize/client',
+  verify: '/oauth/verify',
+  revoke: '/tokens'
 }
 
 /**
  * This object is used to interface with the Vimeo API.
  *
+ * The client is an EventEmitter. Events never include credentials, such as the access token or the
+ * `Authorization` header.
+ *
+ * -  request       `{ method, path, headers, attempt }` before each attempt of a request is sent.
+ * -  response      `{ method, path, statusCode, headers, duration, attempt }` when an attempt
+ *                  receives a response, including error responses.
+ * -  retry         `{ method, path, attempt, delay, error }` when a failed attempt will be retried.
+ * -  error         `{ method, path, statusCode, error, duration, attempts }` when a request fails.
+ *                  Only emitted if there are listeners.
+ * -  rateLimit     `{ limit, remaining, reset }` when a response reports the rate limit window.
+ * -  tokenChanged  `{ hasToken }` when the access token is changed with `setAccessToken`, or removed
+ *                  with `revokeToken`.
+ * -  upload:start, upload:progress, upload:complete and upload:error
+ *                  `{ uri, size }`, `{ uri, bytesUploaded, bytesTotal }`, `{ uri, duration }` and
+ *                  `{ uri, error, duration }` for the tus upload of a file.
+ *
+ * Durations are in milliseconds. Responses served by middleware, such as the cache, emit no events.
+ *
  * @param {string} clientId     OAuth 2 Client Identifier
  * @param {string} clientSecret OAuth 2 Client Secret
  * @param {string} [accessToken]  OAuth 2 Optional pre-authorized access token
+ * @param {Object} [options]      (optional) Client configuration. Unless set here, requests use
+ *                                `request_defaults`.
+ * @param {string} [options.baseUrl]     Protocol, host and port of the API, e.g.
+ *                                       `https://api.vimeo.com`.
+ * @param {string} [options.apiVersion]  API version requested through the `Accept` header.
+ * @param {string} [options.userAgent]   Appended to the `User-Agent` header.
+ * @param {Object} [options.headers]     Headers sent with every request.
+ * @param {integer} [options.timeout]    Milliseconds after which a request is aborted with a
+ *                                       `VimeoTimeoutError`. Can be overridden per request.
+ * @param {http.Agent} [options.agent]  Agent used for requests made with its protocol, instead of
+ *                                       the keep-alive agents of the client.
+ * @param {integer} [options.maxSockets] Maximum number of sockets of the keep-alive agents.
+ * @param {string|boolean} [options.proxy]  Proxy URL to tunnel requests and uploads through.
+ *                                          Defaults to `HTTPS_PROXY` (or `HTTP_PROXY`), unless the
+ *                                          host is listed in `NO_PROXY`. `false` disables proxies.
+ * @param {boolean|Object} [options.retry]  Retry failed requests. `true` uses the default policy,
+ *                                          an object overrides parts of it. See `lib/retry.js`.
+ * @param {boolean|Object} [options.throttle]  Hold requests back once the rate limit window is
+ *                                             exhausted, instead of sending them. See
+ *                                             `lib/ratelimiter.js`.
+ * @param {boolean|Object} [options.cache]  Cache GET responses and revalidate them with their
+ *                                          `ETag`. `true` uses an in-memory store, an object sets
+ *                                          `store`, `maxEntries` or `ttl`. See `lib/cache.js`.
+ * @param {boolean} [options.dedupe]  Send a single request for identical GET requests made while
+ *                                    one of them is in flight. See `lib/dedupe.js`.
+ * @param {boolean|Object} [options.tracing]  Create OpenTelemetry spans for requests and uploads,
+ *                                            if `@opentelemetry/api` is installed. An object can
+ *                                            set the `tracer`. See `lib/tracing.js`.
+ * @param {boolean} [options.checkScopes]  Fail requests the access token lacks the scopes of, such as
+ *                                        uploads without the `upload` scope, with an
+ *                                        `InsufficientScopeError` before they are sent. See
+ *                                        `lib/scopes.js`.
+ * @param {string|string[]} [options.scope]  Scopes of the access token, for `checkScopes`. If not
+ *                                           set, they are looked up with `verifyToken`.
+ * @param {string|Object} [options.cassette]  Record requests in a cassette file and replay them,
+ *                                            for tests. See `lib/cassette.js`.
+ * @param {Object|Function} [options.logger]  Logs requests, e.g. `console`. See `lib/logger.js`.
+ *                                            Setting `DEBUG=vimeo*` logs to stderr.
+ * @param {boolean} [options.logBodies]  Also log request and response bodies.
+ * @param {Function} [options.transport]  Sends requests instead of Node's `http` module. Called as
+ *                                        `transport(requestOptions, { timeout, signal }, done)`,
+ *                                        see `_performRequest`. `createFetchTransport()` returns a
+ *                                        transport for runtimes with `fetch`.
  */
-const Vimeo = module.exports.Vimeo = function Vimeo (clientId, clientSecret, accessToken) {
+const Vimeo = module.exports.Vimeo = function Vimeo (clientId, clientSecret, accessToken, options) {
+  const _self = this
+  const secrets = function () {
+    return getSecrets(_self)
+  }
+
+  EventEmitter.call(this)
+
   this._clientId = clientId
   this._clientSecret = clientSecret
 
   if (accessToken) {
     this._accessToken = accessToken
   }
+
+  options = options || {}
+
+  this._requestDefaults = buildRequestDefaults(options)
+
+  if (options.retry) {
+    this._retry = options.retry
+  }
+
+  this._rateLimiter = new RateLimiter(options.throttle)
+  this._middleware = []
+
+  if (options.cache) {
+    this._cache = new Cache(options.cache)
+  }
+
+  if (options.dedupe) {
+    this._deduplicator = new Deduplicator()
+  }
+
+  if (options.tracing) {
+    this._tracing = tracingModule.create(options.tracing)
+  }
+
+  if (options.checkScopes) {
+    this._scopeGuard = new ScopeGuard(options.scope, function () {
+      return _self.verifyToken().then(function (response) {
+        return response.body.scope
+      })
+    }, this._getRequestDefaults().hostname)
+  }
+
+  this._agents = {}
+  this._agentOptions = { keepAlive: true }
+
+  if (options.maxSockets) {
+    this._agentOptions.maxSockets = options.maxSockets
+  }
+
+  if (options.agent) {
+    this._agent = options.agent
+  }
+
+  if (options.proxy !== undefined) {
+    this._proxy = options.proxy
+  }
+
+  if (options.transport) {
+    this._transport = options.transport
+  }
+
+  if (options.cassette) {
+    const Cassette = require('./cassette').Cassette
+    this._cassette = new Cassette(options.cassette, secrets)
+  }
+
+  this._logger = loggerModule.create(options, secrets, typeof process === 'object' && process.env ? process.env.DEBUG : undefined)
 }
 
+utilModule.inherits(Vimeo, EventEmitter)
+
 Vimeo.prototype._clientId = null
 Vimeo.prototype._clientSecret = null
 Vimeo.prototype._accessToken = null
+Vimeo.prototype._requestDefaults = null
+Vimeo.prototype._retry = null
+Vimeo.prototype._rateLimiter = null
+Vimeo.prototype._middleware = null
+Vimeo.prototype._cache = null
+Vimeo.prototype._deduplicator = null
+Vimeo.prototype._tracing = null
+Vimeo.prototype._scopeGuard = null
+Vimeo.prototype._agent = null
+Vimeo.prototype._agents = null
+Vimeo.prototype._agentOptions = null
+Vimeo.prototype._proxy = null
+Vimeo.prototype._transport = null
+Vimeo.prototype._logger = null
+Vimeo.prototype._cassette = null
+
+/**
+ * Build the request defaults of a client from its options.
+ *
+ * @param  {Object} options
+ * @return {Object}
+ */
+function buildRequestDefaults (options) {
+  const defaults = {
+    headers: Object.assign({}, options.headers)
+  }
+
+  if (options.baseUrl) {
+    const baseUrl = new urlModule.URL(options.baseUrl)
+    defaults.protocol = baseUrl.protocol
+    defaults.hostname = baseUrl.hostname
+    defaults.port = baseUrl.port ? parseInt(baseUrl.port, 10) : (baseUrl.protocol === 'https:' ? 443 : 80)
+  }
+
+  if (options.apiVersion) {
+    defaults.headers.Accept = 'application/vnd.vimeo.*+json;version=' + options.apiVersion
+  }
+
+  if (options.userAgent) {
+    defaults.userAgent = options.userAgent
+  }
+
+  if (options.timeout) {
+    defaults.timeout = options.timeout
+  }
+
+  return defaults
+}
 
 /**
  * Performs an API call.
@@ -83,6 +283,18 @@ Vimeo.prototype._accessToken = null
  *    - path (can include a querystring)
  *    - method
  *    - body (will be applied to request body if POST with content type that is not application/x-www-form-urlencoded or application/json)
+ *    - retry (`true`, `false` or a retry policy, overrides the retry policy of the client for this request)
+ *    - timeout (milliseconds, overrides the timeout of the client for this request. Applies to each attempt)
+ *    - signal (an `AbortSignal` that cancels the request)
+ *    - cache (`false` skips the response cache of the client for this request)
+ *    - dedupe (`false` always sends this request, even if an identical request is in flight)
+ *    - scope (scopes the request requires, checked with the `checkScopes` option of the client.
+ *      `false` skips the check. By default the scopes of common endpoints are required)
+ *    - responseType (`json`, `text` or `buffer`. By default JSON responses and responses without a
+ *      content type are parsed, `text/*` and XML responses are strings, and other responses are
+ *      Buffers. Responses with a 204 status code have a null body)
+ *    - stream (`true` to complete the request as soon as the response headers arrive, with the body
+ *      as a readable stream. Error responses are still read entirely)
  *
  * -  Callback (optional)
  *    The callback takes two parameters, `err` and `json`.
@@ -90,13 +302,21 @@ Vimeo.prototype._accessToken = null
  *    If an error has not occured, your callback will be called as `callback(null, json)`;
  *    If not passed in, a Promise will be returned.
  *
+ *    If the API responds with a status code of 400 or greater, `err` (or the rejection of the
+ *    Promise) is a `VimeoApiError` exposing `statusCode`, `headers`, `error`, `error_code`,
+ *    `developer_message`, `invalid_parameters`, `method`, `path` and `requestId`. Requests that time
+ *    out fail with a `VimeoTimeoutError`, and cancelled requests with a `VimeoAbortError`. Requests
+ *    the access token lacks the scopes of fail with an `InsufficientScopeError`.
+ *
+ *    The Promise resolves with `{ statusCode, body, headers, meta }`. `meta` is also set on errors
+ *    and holds `statusCode`, `headers`, `rateLimit` (`{ limit, remaining, reset }` or null),
+ *    `requestId`, `elapsed` (milliseconds, including retries) and `retries`.
+ *
  * @param {string|Object} options   String path (default GET), or object with `method`, path`,
  *                                  `host`, `port`, `query`, `body`, or `headers`.
  * @param {Function} [callback]     (optional) Called when complete, `function (err, json)`. If not passed in, a Promise will be returned.
  */
 Vimeo.prototype.request = function (options, callback) {
-  let client = null
-
   // If a URL was provided, build an options object.
   if (typeof options === 'string') {
     options = urlModule.parse(options, true) // eslint-disable-line n/no-deprecated-api
@@ -115,6 +335,16 @@ Vimeo.prototype.request = function (options, callback) {
     }
   }
 
+  if (options.responseType !== undefined && responseModule.types.indexOf(options.responseType) === -1) {
+    const error = new TypeError('responseType must be one of ' + responseModule.types.join(', ') + '.')
+
+    if (callback === undefined) {
+      return new Promise((resolve, reject) => reject(error))
+    }
+
+    return callback(error)
+  }
+
   // Add leading slash to path if missing
   if (options.path.charAt(0) !== '/') {
     options.path = '/' + options.path
@@ -123,8 +353,6 @@ Vimeo.prototype.request = function (options, callback) {
   // Turn the provided options into options that are valid for `client.request`.
   const requestOptions = this._buildRequestOptions(options)
 
-  client = requestOptions.protocol === 'https:' ? httpsModule : httpModule
-
   if (['POST', 'PATCH', 'PUT', 'DELETE'].indexOf(requestOptions.method) !== -1) {
     if (requestOptions.headers['Content-Type'] === 'application/json') {
       requestOptions.body = JSON.stringify(options.query)
@@ -135,7 +363,7 @@ Vimeo.prototype.request = function (options, callback) {
     }
 
     if (requestOptions.body) {
-      requestOptions.headers['Content-Length'] = Buffer.byteLength(requestOptions.body, 'utf8')
+      requestOptions.headers['Content-Length'] = byteLength(requestOptions.body)
     } else {
       requestOptions.headers['Content-Length'] = 0
     }
@@ -143,58 +371,443 @@ Vimeo.prototype.request = function (options, callback) {
 
   if (callback === undefined) {
     return new Promise((resolve, reject) => {
-      const req = client.request(requestOptions, this._handleRequest(resolve, reject))
+      this._dispatch(requestOptions, options, function (err, response) {
+        if (err) {
+          return reject(err)
+        }
 
-      if (requestOptions.body) {
-        req.write(requestOptions.body)
-      }
+        resolve(response)
+      })
+    })
+  }
+
+  // Perform the Vimeo API request
+  this._dispatch(requestOptions, options, function (err, response) {
+    if (err) {
+      return callback(err, err.body, err.statusCode, err.headers)
+    }
+
+    callback(null, response.body, response.statusCode, response.headers)
+  })
+}
+
+/**
+ * Add a middleware to every request made through `request`.
+ *
+ * A middleware is called as `middleware(requestOptions, next, options)`, before the request is sent, and
+ * must return a Promise of the response (`{ statusCode, body, headers }`). Middleware run in the
+ * order they were added.
+ *
+ * -  `requestOptions` are the options the request will be sent with (`method`, `path`, `host`,
+ *    `headers`, `body`...) and can be modified.
+ * -  `next([requestOptions])` sends the request through the remaining middleware and returns a
+ *    Promise of the response, which can be transformed before being returned. If `next` is never
+ *    called, the response returned by the middleware is used instead of sending the request.
+ * -  `options` are the options provided to `request`.
+ *
+ *     vimeo.use(async (requestOptions, next) => {
+ *       requestOptions.headers['X-Trace-Id'] = traceId
+ *       return next(requestOptions)
+ *     })
+ *
+ * @param  {Function} middleware
+ * @return {Vimeo}
+ */
+Vimeo.prototype.use = function (middleware) {
+  if (typeof middleware !== 'function') {
+    throw new TypeError('Middleware must be a function.')
+  }
+
+  this._middleware.push(middleware)
+
+  return this
+}
+
+/**
+ * Send a request through the middleware, then to the API.
+ *
+ * @param {Object}   requestOptions  Options built by `_buildRequestOptions`.
+ * @param {Object}   options         The options provided to `request`.
+ * @param {Function} done            Called with `(err, response)` once the request completes.
+ */
+Vimeo.prototype._dispatch = function (requestOptions, options, done) {
+  const _self = this
+  const middleware = this._middleware.slice()
+  const start = Date.now()
+
+  // The cassette records the requests as they are sent, after any other middleware.
+  if (this._cassette) {
+    middleware.push(this._cassette.handle.bind(this._cassette))
+  }
+
+  if (this._deduplicator) {
+    middleware.unshift(this._deduplicator.handle.bind(this._deduplicator))
+  }
+
+  if (this._cache) {
+    middleware.unshift(this._cache.handle.bind(this._cache))
+  }
+
+  if (this._scopeGuard) {
+    middleware.unshift(this._scopeGuard.handle.bind(this._scopeGuard))
+  }
 
-      req.on('error', function (e) {
-        reject(e)
+  if (this._tracing) {
+    middleware.unshift(this._tracing.handle.bind(this._tracing))
+  }
+
+  if (!middleware.length) {
+    return this._sendRequest(requestOptions, options, done)
+  }
+
+  const run = function (index, currentOptions) {
+    if (index === middleware.length) {
+      return new Promise(function (resolve, reject) {
+        _self._sendRequest(currentOptions, options, function (err, response) {
+          if (err) {
+            return reject(err)
+          }
+
+          resolve(response)
+        })
       })
+    }
 
-      req.end()
+    return Promise.resolve().then(function () {
+      return middleware[index](currentOptions, function (nextOptions) {
+        return run(index + 1, nextOptions || currentOptions)
+      }, options)
     })
-  } else {
-    // Perform the Vimeo API request
-    const req = client.request(requestOptions, this._handleRequest(callback))
-    if (requestOptions.body) {
-      req.write(requestOptions.body)
+  }
+
+  // `done` is called outside of the Promise chain, so errors thrown by callbacks are not swallowed.
+  // Responses that did not come from `_sendRequest`, such as cached responses, get their metadata here.
+  run(0, requestOptions).then(function (response) {
+    if (!response) {
+      return nextTick(done, new TypeError('Middleware must return a response.'))
     }
 
-    req.on('error', function (e) {
-      callback(e)
+    setMeta(response, start, 0)
+    nextTick(done, null, response)
+  }, function (err) {
+    setMeta(err, start, 0)
+    nextTick(done, err)
+  })
+}
+
+/**
+ * Send a request, retrying it according to the retry policy of the client and of the request.
+ *
+ * @param {Object}   requestOptions  Options built by `_buildRequestOptions`.
+ * @param {Object}   options         The options provided to `request`.
+ * @param {Function} done            Called with `(err, response)` once the final attempt completes.
+ */
+Vimeo.prototype._sendRequest = function (requestOptions, options, done) {
+  const _self = this
+  const policy = retry.resolvePolicy(this._retry, options.retry)
+  const callOptions = {
+    timeout: options.timeout !== undefined ? options.timeout : this._getRequestDefaults().timeout,
+    signal: options.signal,
+    responseType: options.responseType,
+    stream: options.stream === true
+  }
+  const start = Date.now()
+  let attempt = 0
+  let retryTimer = null
+  let inFlight = false
+  let complete = false
+
+  const finish = function (err, response) {
+    if (complete) {
+      return
+    }
+
+    complete = true
+
+    if (callOptions.signal) {
+      callOptions.signal.removeEventListener('abort', onAbort)
+    }
+
+    setMeta(err || response, start, Math.max(0, attempt - 1))
+
+    if (err && _self._logger) {
+      _self._logger.failure(requestOptions, err, Date.now() - start, attempt)
+    }
+
+    if (err && _self.listenerCount('error')) {
+      _self.emit('error', {
+        method: requestOptions.method,
+        path: requestOptions.path,
+        statusCode: err.statusCode || null,
+        error: err,
+        duration: Date.now() - start,
+        attempts: attempt
+      })
+    }
+
+    done(err, response)
+  }
+
+  // Requests in flight are aborted by `_performRequest`, this only covers requests waiting to be
+  // retried or held back by the rate limiter.
+  const onAbort = function () {
+    if (inFlight) {
+      return
+    }
+
+    clearTimeout(retryTimer)
+    finish(new errors.VimeoAbortError(requestOptions))
+  }
+
+  const send = function () {
+    if (complete) {
+      return _self._rateLimiter.release()
+    }
+
+    const attemptStart = Date.now()
+    attempt++
+    inFlight = true
+
+    _self.emit('request', {
+      method: requestOptions.method,
+      path: requestOptions.path,
+      headers: redact.headers(requestOptions.headers),
+      attempt
+    })
+
+    if (_self._logger) {
+      _self._logger.request(requestOptions, attempt)
+    }
+
+    _self._performRequest(requestOptions, callOptions, function (err, response) {
+      const result = err || response || {}
+      inFlight = false
+      _self._rateLimiter.release(result.headers)
+
+      if (result.statusCode) {
+        _self.emit('response', {
+          method: requestOptions.method,
+          path: requestOptions.path,
+          statusCode: result.statusCode,
+          headers: result.headers,
+          duration: Date.now() - attemptStart,
+          attempt
+        })
+
+        if (_self._logger) {
+          _self._logger.response(requestOptions, result, Date.now() - attemptStart, attempt)
+        }
+      }
+
+      if (RateLimiter.parseHeaders(result.headers)) {
+        _self.emit('rateLimit', _self.getRateLimit())
+      }
+
+      if (retry.shouldRetry(policy, requestOptions.method, attempt, err)) {
+        const delay = retry.getDelay(policy, attempt, err)
+
+        if (delay >= 0) {
+          _self.emit('retry', { method: requestOptions.method, path: requestOptions.path, attempt, delay, error: err })
+
+          if (_self._logger) {
+            _self._logger.retry(requestOptions, attempt, delay, err)
+          }
+
+          retryTimer = setTimeout(schedule, delay)
+          return
+        }
+      }
+
+      finish(err, response)
     })
+  }
+
+  const schedule = function () {
+    _self._rateLimiter.schedule(send)
+  }
+
+  if (callOptions.signal) {
+    if (callOptions.signal.aborted) {
+      return finish(new errors.VimeoAbortError(requestOptions))
+    }
 
-    req.end()
+    callOptions.signal.addEventListener('abort', onAbort)
   }
+
+  schedule()
+}
+
+/**
+ * Perform a single HTTP request, through the transport of the client if it has one.
+ *
+ * `response` is `{ statusCode, body, headers }`, with the body parsed according to its content type
+ * and lowercase header names. Responses with a status code of 400 or greater are errors (`VimeoApiError`).
+ *
+ * @param {Object}      requestOptions        Options built by `_buildRequestOptions`.
+ * @param {Object}      callOptions
+ * @param {integer}     [callOptions.timeout] (optional) Milliseconds after which the request is
+ *                                            aborted with a `VimeoTimeoutError`.
+ * @param {AbortSignal} [callOptions.signal]  (optional) Aborts the request with a `VimeoAbortError`.
+ * @param {string}      [callOptions.responseType]  (optional) Forces how the body is returned, see
+ *                                                  `lib/response.js`.
+ * @param {boolean}     [callOptions.stream]  (optional) Complete the request once the headers arrive,
+ *                                            with the response stream as the body. The signal still
+ *                                            aborts the stream.
+ * @param {Function}    done                  Called with `(err, response)` when the request
+ *                                            completes.
+ */
+Vimeo.prototype._performRequest = function (requestOptions, callOptions, done) {
+  if (this._transport) {
+    return this._transport(requestOptions, callOptions, done)
+  }
+
+  const client = require(requestOptions.protocol === 'https:' ? 'https' : 'http')
+  const signal = callOptions.signal
+  let complete = false
+  let timer = null
+
+  const finish = function (err, response) {
+    if (complete) {
+      return
+    }
+
+    complete = true
+    clearTimeout(timer)
+
+    if (signal) {
+      signal.removeEventListener('abort', onAbort)
+
+      if (response && callOptions.stream) {
+        abortStreamOnSignal(response.body, signal, requestOptions)
+      }
+    }
+
+    done(err, response)
+  }
+
+  const httpOptions = Object.assign({
+    agent: this._getAgent(requestOptions.protocol, requestOptions.host, requestOptions.port)
+  }, requestOptions)
+
+  const req = client.request(httpOptions, this._handleRequest(function (response) {
+    finish(null, response)
+  }, function (err) {
+    finish(err)
+  }, requestOptions, callOptions))
+
+  const onAbort = function () {
+    const err = new errors.VimeoAbortError(requestOptions)
+    req.destroy(err)
+    finish(err)
+  }
+
+  if (requestOptions.body) {
+    req.write(requestOptions.body)
+  }
+
+  req.on('error', function (e) {
+    finish(e)
+  })
+
+  if (callOptions.timeout) {
+    timer = setTimeout(function () {
+      const err = new errors.VimeoTimeoutError(callOptions.timeout, requestOptions)
+      req.destroy(err)
+      finish(err)
+    }, callOptions.timeout)
+  }
+
+  if (signal) {
+    signal.addEventListener('abort', onAbort)
+  }
+
+  req.end()
+}
+
+/**
+ * Get the agent to send a request with. Unless a custom agent was provided, requests use keep-alive
+ * agents, which tunnel through a proxy when one applies to the destination.
+ *
+ * @param  {string}  protocol
+ * @param  {string}  hostname
+ * @param  {integer} [port]
+ * @return {http.Agent}
+ */
+Vimeo.prototype._getAgent = function (protocol, hostname, port) {
+  protocol = protocol === 'https:' ? 'https:' : 'http:'
+
+  if (this._agent && this._agent.protocol === protocol) {
+    return this._agent
+  }
+
+  const agentModule = require('./agent')
+  const proxy = agentModule.getProxy(protocol, hostname, port || (protocol === 'https:' ? 443 : 80), this._proxy)
+  const key = protocol + (proxy ? proxy.href : '')
+
+  if (!this._agents[key]) {
+    this._agents[key] = agentModule.createAgent(protocol, proxy, this._agentOptions)
+  }
+
+  return this._agents[key]
 }
 
 /**
  * Creates the standard request handler for http requests
  *
+ * Failed API calls (status code >= 400) are reported with a `VimeoApiError`. The body of successful
+ * calls is returned according to its content type, see `lib/response.js`.
+ *
  * @param  {Function} callback
- * @param  {Function} [reject] (optional) used when called inside a Promise
+ * @param  {Function} [reject]          (optional) used when called inside a Promise
+ * @param  {Object}   [requestOptions]  (optional) The request options, used to describe the request
+ *                                      on errors.
+ * @param  {Object}   [options]         (optional)
+ * @param  {string}   [options.responseType]  (optional) `json`, `text` or `buffer` to ignore the
+ *                                            content type of the response.
+ * @param  {boolean}  [options.stream]  (optional) Call back as soon as the headers arrive, with the
+ *                                      response stream as the body.
  * @return {Function}
  */
-Vimeo.prototype._handleRequest = function (callback, reject) {
+Vimeo.prototype._handleRequest = function (callback, reject, requestOptions, options) {
   const isPromise = reject !== undefined
   reject = reject || callback
+  options = options || {}
 
   return function (res) {
-    res.setEncoding('utf8')
+    if (options.stream && res.statusCode < 400) {
+      if (isPromise) {
+        const callbackData = { statusCode: res.statusCode, body: res, headers: res.headers }
+        return callback(callbackData)
+      }
 
+      return callback(null, res, res.statusCode, res.headers)
+    }
+
+    const type = res.statusCode >= 400 ? 'text' : responseModule.getType(res.headers, options.responseType)
+    const chunks = []
     let buffer = ''
 
-    res.on('readable', function () {
-      buffer += res.read() || ''
-    })
+    if (type === 'buffer') {
+      res.on('readable', function () {
+        const chunk = res.read()
+
+        if (chunk) {
+          chunks.push(chunk)
+        }
+      })
+    } else {
+      res.setEncoding('utf8')
+
+      res.on('readable', function () {
+        buffer += res.read() || ''
+      })
+    }
 
     if (res.statusCode >= 400) {
       // Failed api calls should wait for the response to end and then call the callback or the reject fn if passed in with an
       // error.
       res.on('end', function () {
-        const err = new Error(buffer)
+        const err = new VimeoApiError(res.statusCode, res.headers, buffer, requestOptions)
         reject(err, buffer, res.statusCode, res.headers)
       })
     } else {
@@ -202,8 +815,12 @@ Vimeo.prototype._handleRequest = function (callback, reject) {
       // the response body.
       let body = null
       res.on('end', function () {
+        if (type === 'buffer') {
+          buffer = Buffer.concat(chunks)
+        }
+
         try {
-          body = buffer.length ? JSON.parse(buffer) : {}
+          body = responseModule.parse(res.statusCode, type, buffer)
 
           if (isPromise) {
             const callbackData = { statusCode: res.statusCode, body, headers: res.headers }
@@ -233,8 +850,7 @@ Vimeo.prototype._buildRequestOptions = function (options) {
   if (this._accessToken) {
     requestOptions.headers.Authorization = 'Bearer ' + this._accessToken
   } else if (this._clientId && this._clientSecret) {
-    const basicToken = Buffer.from(this._clientId + ':' + this._clientSecret)
-    requestOptions.headers.Authorization = 'Basic ' + basicToken.toString('base64')
+    requestOptions.headers.Authorization = 'Basic ' + base64(this._clientId + ':' + this._clientSecret)
   }
 
   if (['POST', 'PATCH', 'PUT', 'DELETE'].indexOf(requestOptions.method) !== -1 &&
@@ -258,11 +874,12 @@ Vimeo.prototype._buildRequestOptions = function (options) {
  * @return {Object}
  */
 Vimeo.prototype._applyDefaultRequestOptions = function (options) {
+  const defaults = this._getRequestDefaults()
   const requestOptions = {
-    protocol: options.protocol || module.exports.request_defaults.protocol,
-    host: options.hostname || module.exports.request_defaults.hostname,
-    port: options.port || module.exports.request_defaults.port,
-    method: options.method || module.exports.request_defaults.method,
+    protocol: options.protocol || defaults.protocol,
+    host: options.hostname || defaults.hostname,
+    port: options.port || defaults.port,
+    method: options.method || defaults.method,
     headers: options.headers || {},
     body: '',
     path: options.path
@@ -271,10 +888,10 @@ Vimeo.prototype._applyDefaultRequestOptions = function (options) {
   let key = null
 
   // Apply the default headers
-  if (module.exports.request_defaults.headers) {
-    for (key in module.exports.request_defaults.headers) {
+  if (defaults.headers) {
+    for (key in defaults.headers) {
       if (!requestOptions.headers[key]) {
-        requestOptions.headers[key] = module.exports.request_defaults.headers[key]
+        requestOptions.headers[key] = defaults.headers[key]
       }
     }
   }
@@ -282,6 +899,27 @@ Vimeo.prototype._applyDefaultRequestOptions = function (options) {
   return requestOptions
 }
 
+/**
+ * The request defaults of this client: `request_defaults`, overridden by the options the client
+ * was created with.
+ *
+ * @return {Object}
+ */
+Vimeo.prototype._getRequestDefaults = function () {
+  const globalDefaults = module.exports.request_defaults
+  const defaults = Object.assign({}, globalDefaults, this._requestDefaults)
+
+  defaults.headers = Object.assign({}, globalDefaults.headers, this._requestDefaults.headers)
+
+  if (this._requestDefaults.userAgent) {
+    defaults.headers['User-Agent'] = [defaults.headers['User-Agent'], this._requestDefaults.userAgent]
+      .filter(Boolean)
+      .join(' ')
+  }
+
+  return defaults
+}
+
 /**
  * Apply the query parameter onto the final request URL.
  *
@@ -313,27 +951,158 @@ Vimeo.prototype._applyQuerystringParams = function (requestOptions, options) {
   return requestOptions.path + querystring
 }
 
+/**
+ * Iterate over every item of a paginated collection, such as `/me/videos`.
+ *
+ * Pages are requested one at a time, following `paging.next` until the last page is reached.
+ *
+ *     for await (const video of vimeo.paginate('/me/videos', { per_page: 100 })) {
+ *       console.log(video.uri)
+ *     }
+ *
+ * https://developer.vimeo.com/api/common-formats#using-the-pagination-parameter
+ *
+ * @param  {string}  path                Path of the collection.
+ * @param  {Object}  [options]           (optional) Any option supported by `request`, and:
+ * @param  {Object}  [options.query]     (optional) Query parameters of the first page.
+ * @param  {integer} [options.per_page]  (optional) Number of items per page.
+ * @param  {integer} [options.limit]     (optional) Maximum number of items to iterate over.
+ * @param  {boolean} [options.pages]     (optional) Iterate over the response body of each page
+ *                                       instead of each item. The `data` of the last page is
+ *                                       trimmed to `limit`.
+ * @return {AsyncIterator}
+ */
+Vimeo.prototype.paginate = async function * (path, options) {
+  options = options || {}
+
+  const baseOptions = Object.assign({}, options, { method: 'GET' })
+  const limit = options.limit === undefined ? Infinity : options.limit
+  let query = Object.assign({}, options.query)
+  let count = 0
+
+  delete baseOptions.per_page
+  delete baseOptions.limit
+  delete baseOptions.pages
+  delete baseOptions.stream
+
+  if (options.per_page) {
+    query.per_page = options.per_page
+  }
+
+  while (count < limit) {
+    const response = await this.request(Object.assign({}, baseOptions, { path, query }))
+    const body = response.body || {}
+    const data = body.data || []
+    const paging = body.paging || {}
+
+    if (options.pages) {
+      if (count + data.length > limit) {
+        // Trim the last page to the limit, without changing the body of the response.
+        const remaining = limit - count
+        count = limit
+        yield Object.assign({}, body, { data: data.slice(0, remaining) })
+      } else {
+        count += data.length
+        yield body
+      }
+    } else {
+      for (let i = 0; i < data.length && count < limit; i++) {
+        count++
+        yield data[i]
+      }
+    }
+
+    if (!data.length || !paging.next || path === paging.last) {
+      return
+    }
+
+    // `paging.next` already contains the query of the collection.
+    path = paging.next
+    query = {}
+  }
+}
+
+/**
+ * The rate limit window reported by the most recent API response.
+ *
+ * https://developer.vimeo.com/guidelines/rate-limiting
+ *
+ * @return {Object|null} `{ limit, remaining, reset }`, where `reset` is a Date. Null until a
+ *                       response with rate limit headers has been received.
+ */
+Vimeo.prototype.getRateLimit = function () {
+  const state = this._rateLimiter.state
+
+  if (!state) {
+    return null
+  }
+
+  return { limit: state.limit, remaining: state.remaining, reset: state.reset }
+}
+
 /**
  * Set a user access token to be used with library requests.
  *
- * @param {string} accessToken
+ *     const token = await client.accessToken(code, redirectUri)
+ *     client.setAccessToken(token.body.access_token)
+ *
+ * @param {string}          accessToken
+ * @param {string|string[]} [scope]      (optional) Scopes of the access token, for the
+ *                                       `checkScopes` option. If not set, the scopes of the last
+ *                                       token issued by `accessToken` or
+ *                                       `generateClientCredentials` are used for that token, and
+ *                                       other tokens are looked up with `verifyToken` when needed.
  */
-Vimeo.prototype.setAccessToken = function (accessToken) {
+Vimeo.prototype.setAccessToken = function (accessToken, scope) {
   this._accessToken = accessToken
+
+  if (this._scopeGuard) {
+    this._scopeGuard.set(scope, accessToken)
+  }
+
+  this.emit('tokenChanged', { hasToken: Boolean(accessToken) })
+}
+
+/**
+ * Keep the scopes of an access token issued to the client for the `checkScopes` option, so they are
+ * known once it is set with `setAccessToken`.
+ *
+ * @param {Object} body  Body of the token response.
+ */
+Vimeo.prototype._tokenIssued = function (body) {
+  if (this._scopeGuard && body) {
+    this._scopeGuard.issued(body.access_token, body.scope)
+  }
 }
 
 /**
  * Exchange a code for an access token. This code should exist on your `redirectUri`.
  *
+ * With PKCE, the code verifier is sent along with the client identifier, so clients without a
+ * client secret can exchange codes.
+ *
  * @param {string}   code         The code provided on your `redirectUri`.
  * @param {string}   redirectUri  The exact `redirectUri` provided to `buildAuthorizationEndpoint`
  *                                and configured in your API app settings.
+ * @param {string|Object} [codeVerifier]  (optional) PKCE code verifier, or the object returned by
+ *                                        `generatePkce`.
  * @param {Function} [fn]         (optional) Callback to execute on completion. If not passed in, a Promise will be returned.
  */
-Vimeo.prototype.accessToken = function (code, redirectUri, fn) {
+Vimeo.prototype.accessToken = function (code, redirectUri, codeVerifier, fn) {
+  const _self = this
+
+  if (typeof codeVerifier === 'function') {
+    fn = codeVerifier
+    codeVerifier = undefined
+  }
+
+  if (codeVerifier && typeof codeVerifier === 'object') {
+    codeVerifier = codeVerifier.codeVerifier
+  }
+
   const options = {
     method: 'POST',
-    hostname: module.exports.request_defaults.hostname,
+    hostname: this._getRequestDefaults().hostname,
     path: authEndpoints.accessToken,
     query: {
       grant_type: 'authorization_code',
@@ -345,14 +1114,23 @@ Vimeo.prototype.accessToken = function (code, redirectUri, fn) {
     }
   }
 
+  if (codeVerifier) {
+    options.query.client_id = this._clientId
+    options.query.code_verifier = codeVerifier
+  }
+
   if (fn === undefined) {
-    return this.request(options)
+    return this.request(options).then(function (response) {
+      _self._tokenIssued(response.body)
+      return response
+    })
   }
 
   this.request(options, function (err, body, status, headers) {
     if (err) {
       return fn(err, null, status, headers)
     } else {
+      _self._tokenIssued(body)
       fn(null, body, status, headers)
     }
   })
@@ -374,8 +1152,10 @@ Vimeo.prototype.accessToken = function (code, redirectUri, fn) {
  * @param  {string|string[]} scope  An array of scopes. See https://developer.vimeo.com/api/authentication#scopes
  *                                for more.
  * @param  {string} state         A unique state that will be returned to you on your redirect URI.
+ * @param  {string|Object} [codeChallenge]  (optional) PKCE code challenge, or the object returned by
+ *                                          `generatePkce`. Challenges given as strings use S256.
  */
-Vimeo.prototype.buildAuthorizationEndpoint = function (redirectUri, scope, state) {
+Vimeo.prototype.buildAuthorizationEndpoint = function (redirectUri, scope, state, codeChallenge) {
   const query = {
     response_type: 'code',
     client_id: this._clientId,
@@ -396,14 +1176,91 @@ Vimeo.prototype.buildAuthorizationEndpoint = function (redirectUri, scope, state
     query.state = state
   }
 
-  return module.exports.request_defaults.protocol +
+  if (codeChallenge) {
+    query.code_challenge = typeof codeChallenge === 'object' ? codeChallenge.codeChallenge : codeChallenge
+    query.code_challenge_method = codeChallenge.codeChallengeMethod || 'S256'
+  }
+
+  const defaults = this._getRequestDefaults()
+  let host = defaults.hostname
+
+  if (defaults.port && defaults.port !== (defaults.protocol === 'https:' ? 443 : 80)) {
+    host += ':' + defaults.port
+  }
+
+  return defaults.protocol +
     '//' +
-    module.exports.request_defaults.hostname +
+    host +
     authEndpoints.authorization +
     '?' +
     qsModule.stringify(query)
 }
 
+/**
+ * The last step of the authorization process: verify the request the user was redirected back
+ * with, then exchange its code for an access token.
+ *
+ *     const state = generateState({ secret: stateSecret, data: { returnTo: '/videos' } })
+ *     req.session.oauthState = state
+ *     res.redirect(client.buildAuthorizationEndpoint(redirectUri, 'public', state))
+ *
+ *     // On the redirect URI.
+ *     const token = await client.handleAuthorizationCallback(req.url, {
+ *       redirectUri,
+ *       state: req.session.oauthState,
+ *       stateSecret
+ *     })
+ *     res.redirect(token.stateData.returnTo)
+ *
+ * The state must be kept for the browser of the user, in their session or an `HttpOnly` cookie:
+ * a valid state from another browser, even signed, is rejected. Fails with a `VimeoOAuthError` if
+ * the user denied access or the state is invalid, in which case no request is sent.
+ *
+ * @param {string}   url                      URL of the request to the redirect URI, or its path
+ *                                            and query.
+ * @param {Object}   options
+ * @param {string}   [options.redirectUri]    (optional) The `redirectUri` provided to
+ *                                            `buildAuthorizationEndpoint`. Defaults to the URL
+ *                                            without its query, if it is absolute.
+ * @param {string}   options.state            The state kept for the browser of the user, e.g. in
+ *                                            their session or a cookie.
+ * @param {string}   [options.stateSecret]    (optional) The secret a signed state was generated
+ *                                            with.
+ * @param {string|Object} [options.codeVerifier]  (optional) PKCE code verifier.
+ * @param {Function} [fn]                     (optional) Callback to execute on completion, as
+ *                                            `fn(err, body, status, headers, stateData)`. If not
+ *                                            passed in, a Promise will be returned, resolving with
+ *                                            the response and its `stateData`: the data embedded in
+ *                                            a signed state.
+ */
+Vimeo.prototype.handleAuthorizationCallback = function (url, options, fn) {
+  options = options || {}
+
+  let callback, stateData
+
+  try {
+    callback = parseAuthorizationCallback(url, options)
+    stateData = oauth.verifyState(callback.state, { expected: options.state, secret: options.stateSecret })
+  } catch (err) {
+    if (fn === undefined) {
+      return new Promise((resolve, reject) => reject(err))
+    }
+
+    return fn(err, null)
+  }
+
+  if (fn === undefined) {
+    return this.accessToken(callback.code, callback.redirectUri, options.codeVerifier).then(function (response) {
+      response.stateData = stateData
+      return response
+    })
+  }
+
+  this.accessToken(callback.code, callback.redirectUri, options.codeVerifier, function (err, body, status, headers) {
+    fn(err, body, status, headers, stateData)
+  })
+}
+
 /**
  * Generates an unauthenticated access token. This is necessary to make unauthenticated requests
  *
@@ -414,6 +1271,7 @@ Vimeo.prototype.buildAuthorizationEndpoint = function (redirectUri, scope, state
  *                                  parameter will be null. If not passed in, a Promise will be returned.
  */
 Vimeo.prototype.generateClientCredentials = function (scope, fn) {
+  const _self = this
   const query = {
     grant_type: 'client_credentials'
   }
@@ -430,7 +1288,7 @@ Vimeo.prototype.generateClientCredentials = function (scope, fn) {
 
   const options = {
     method: 'POST',
-    hostname: module.exports.request_defaults.hostname,
+    hostname: this._getRequestDefaults().hostname,
     path: authEndpoints.clientCredentials,
     query,
     headers: {
@@ -439,18 +1297,101 @@ Vimeo.prototype.generateClientCredentials = function (scope, fn) {
   }
 
   if (fn === undefined) {
-    return this.request(options)
+    return this.request(options).then(function (response) {
+      _self._tokenIssued(response.body)
+      return response
+    })
   }
 
   this.request(options, function (err, body, status, headers) {
     if (err) {
       return fn(err, null, status, headers)
     } else {
+      _self._tokenIssued(body)
       fn(null, body, status, headers)
     }
   })
 }
 
+/**
+ * Verify the access token of the client, e.g. to check on startup that it was not revoked.
+ *
+ * The response describes the token: its `scope`, the `app` it was issued to and, unless it is an
+ * unauthenticated token, its `user`. Revoked and expired tokens fail with a 401 `VimeoApiError`.
+ *
+ * https://developer.vimeo.com/api/authentication#verify-an-access-token
+ *
+ * @param {Function} [fn]  (optional) A function that is called when the request is complete. If an
+ *                         error occured the first parameter will be that error, otherwise the first
+ *                         parameter will be null. If not passed in, a Promise will be returned.
+ */
+Vimeo.prototype.verifyToken = function (fn) {
+  const _self = this
+  const accessToken = this._accessToken
+  const options = {
+    method: 'GET',
+    path: authEndpoints.verify,
+    cache: false
+  }
+
+  // The scopes of the token are kept for the `checkScopes` option, unless it changed meanwhile.
+  const learn = function (body) {
+    if (_self._scopeGuard && _self._accessToken === accessToken && body && body.scope) {
+      _self._scopeGuard.set(body.scope)
+    }
+  }
+
+  if (fn === undefined) {
+    return this.request(options).then(function (response) {
+      learn(response.body)
+      return response
+    })
+  }
+
+  this.request(options, function (err, body, status, headers) {
+    if (err) {
+      return fn(err, null, status, headers)
+    }
+
+    learn(body)
+    fn(null, body, status, headers)
+  })
+}
+
+/**
+ * Revoke the access token of the client, e.g. when a user disconnects their Vimeo account. Once
+ * revoked, the token is removed from the client, like with `setAccessToken(null)`.
+ *
+ * https://developer.vimeo.com/api/authentication#revoke-an-access-token
+ *
+ * @param {Function} [fn]  (optional) A function that is called when the request is complete. If an
+ *                         error occured the first parameter will be that error, otherwise the first
+ *                         parameter will be null. If not passed in, a Promise will be returned.
+ */
+Vimeo.prototype.revokeToken = function (fn) {
+  const _self = this
+  const options = {
+    method: 'DELETE',
+    path: authEndpoints.revoke
+  }
+
+  if (fn === undefined) {
+    return this.request(options).then(function (response) {
+      _self.setAccessToken(null)
+      return response
+    })
+  }
+
+  this.request(options, function (err, body, status, headers) {
+    if (err) {
+      return fn(err, null, status, headers)
+    }
+
+    _self.setAccessToken(null)
+    fn(null, body, status, headers)
+  })
+}
+
 /**
  * Upload a file.
  *
@@ -471,7 +1412,8 @@ Vimeo.prototype.generateClientCredentials = function (scope, fn) {
  * @param {string}    file                Path to the file you wish to upload.
  * @param {Object=}   [params]            (optional) Parameters to send when creating a new video (name,
  *                                        privacy restrictions, etc.). See the API documentation for
- *                                        supported parameters.
+ *                                        supported parameters. `timeout` and `signal` are not sent,
+ *                                        they apply to the request that initiates the upload.
  * @param {Function}  [completeCallback]  (optional) Callback to be executed when the upload completes.
  * @param {Function}  progressCallback    Callback to be executed when upload progress is updated.
  * @param {Function}  [errorCallback]     (optional) Callback to be executed when the upload returns an error.
@@ -501,7 +1443,7 @@ Vimeo.prototype.upload = function (
 
   if (typeof file === 'string') {
     try {
-      fileSize = fs.statSync(file).size
+      fileSize = require('fs').statSync(file).size
     } catch (e) {
       if (isPromise) {
         return new Promise((resolve, reject) => reject(e))
@@ -534,37 +1476,45 @@ Vimeo.prototype.upload = function (
     query: params
   }
 
+  applyRequestControls(options, params)
+
+  const traceAttributes = { 'vimeo.upload.size': fileSize }
+
   if (isPromise) {
     return new Promise((resolve, reject) => {
-      this.request(options).then(attempt => {
-        _self._performTusUpload(
-          file,
-          fileSize,
-          attempt.body,
-          resolve,
-          progressCallback,
-          reject
-        )
-      }).catch(err => {
-        reject(new Error('Unable to initiate an upload. [' + err.message + ']'))
+      _self._traceUpload('vimeo.upload', traceAttributes, resolve, reject, (resolve, reject) => {
+        this.request(options).then(attempt => {
+          _self._performTusUpload(
+            file,
+            fileSize,
+            attempt.body,
+            resolve,
+            progressCallback,
+            reject
+          )
+        }).catch(err => {
+          reject(isClientError(err) ? err : new Error('Unable to initiate an upload. [' + err.message + ']'))
+        })
       })
     })
   }
 
-  // Use JSON filtering so we only receive the data that we need to make an upload happen.
-  this.request(options, function (err, attempt) {
-    if (err) {
-      return errorCallback('Unable to initiate an upload. [' + err + ']')
-    }
+  _self._traceUpload('vimeo.upload', traceAttributes, completeCallback, errorCallback, function (completeCallback, errorCallback) {
+    // Use JSON filtering so we only receive the data that we need to make an upload happen.
+    _self.request(options, function (err, attempt) {
+      if (err) {
+        return errorCallback(isClientError(err) ? err : 'Unable to initiate an upload. [' + err + ']')
+      }
 
-    _self._performTusUpload(
-      file,
-      fileSize,
-      attempt,
-      completeCallback,
-      progressCallback,
-      errorCallback
-    )
+      _self._performTusUpload(
+        file,
+        fileSize,
+        attempt,
+        completeCallback,
+        progressCallback,
+        errorCallback
+      )
+    })
   })
 }
 
@@ -586,7 +1536,8 @@ Vimeo.prototype.upload = function (
  * @param {string}    videoUri            Video URI of the video file to replace.
  * @param {Object=}   [params]            (optional) Parameters to send when creating a new video (name,
  *                                        privacy restrictions, etc.). See the API documentation for
- *                                        supported parameters.
+ *                                        supported parameters. `timeout` and `signal` are not sent,
+ *                                        they apply to the request that initiates the upload.
  * @param {Function}  [completeCallback]  (optional) Callback to be executed when the upload completes.
  * @param {Function}  progressCallback    Callback to be executed when upload progress is updated.
  * @param {Function}  [errorCallback]     (optional) Callback to be executed when the upload returns an error.
@@ -617,7 +1568,7 @@ Vimeo.prototype.replace = function (
 
   if (typeof file === 'string') {
     try {
-      fileSize = fs.statSync(file).size
+      fileSize = require('fs').statSync(file).size
     } catch (e) {
       if (isPromise) {
         return new Promise((resolve, reject) => reject(e))
@@ -626,7 +1577,7 @@ Vimeo.prototype.replace = function (
       return errorCallback('Unable to locate file to upload.')
     }
 
-    params.file_name = path.basename(file)
+    params.file_name = require('path').basename(file)
   } else {
     const error = new Error('Please pass in a valid file path.')
     if (isPromise) {
@@ -653,45 +1604,229 @@ Vimeo.prototype.replace = function (
     query: params
   }
 
+  applyRequestControls(options, params)
+
+  const traceAttributes = { 'vimeo.upload.size': fileSize, 'vimeo.video.uri': videoUri }
+
   if (isPromise) {
     return new Promise((resolve, reject) => {
-      this.request(options).then(attempt => {
-        attempt.body.uri = videoUri
-
-        _self._performTusUpload(
-          file,
-          fileSize,
-          attempt.body,
-          resolve,
-          progressCallback,
-          reject
-        )
-      })
-        .catch(err => {
-          reject(new Error('Unable to initiate an upload. [' + err.message + ']'))
+      _self._traceUpload('vimeo.replace', traceAttributes, resolve, reject, (resolve, reject) => {
+        this.request(options).then(attempt => {
+          attempt.body.uri = videoUri
+
+          _self._performTusUpload(
+            file,
+            fileSize,
+            attempt.body,
+            resolve,
+            progressCallback,
+            reject
+          )
         })
+          .catch(err => {
+            reject(isClientError(err) ? err : new Error('Unable to initiate an upload. [' + err.message + ']'))
+          })
+      })
     })
   }
 
-  // Use JSON filtering so we only receive the data that we need to make an upload happen.
-  _self.request(options, function (err, attempt) {
-    if (err) {
-      return errorCallback('Unable to initiate an upload. [' + err + ']')
+  _self._traceUpload('vimeo.replace', traceAttributes, completeCallback, errorCallback, function (completeCallback, errorCallback) {
+    // Use JSON filtering so we only receive the data that we need to make an upload happen.
+    _self.request(options, function (err, attempt) {
+      if (err) {
+        return errorCallback(isClientError(err) ? err : 'Unable to initiate an upload. [' + err + ']')
+      }
+
+      attempt.uri = videoUri
+
+      _self._performTusUpload(
+        file,
+        fileSize,
+        attempt,
+        completeCallback,
+        progressCallback,
+        errorCallback
+      )
+    })
+  })
+}
+
+/**
+ * Run an upload in a span when tracing is enabled, so the request that initiates it and the tus
+ * requests are its children.
+ *
+ * @param {string}   name        Name of the span.
+ * @param {Object}   attributes  Attributes of the span.
+ * @param {Function} onComplete  Called with the URI of the video once the upload completes.
+ * @param {Function} onError     Called with the error if the upload fails.
+ * @param {Function} run         Starts the upload, called as `run(onComplete, onError)`.
+ */
+Vimeo.prototype._traceUpload = function (name, attributes, onComplete, onError, run) {
+  if (!this._tracing) {
+    return run(onComplete, onError)
+  }
+
+  this._tracing.traceUpload(name, attributes, onComplete, onError, run)
+}
+
+/**
+ * Read the parameters of a request to the redirect URI.
+ *
+ * @param  {string} url
+ * @param  {Object} options  Options of `handleAuthorizationCallback`.
+ * @return {Object} `{ code, state, redirectUri }`.
+ * @throws {VimeoOAuthError} If the user denied access, or the code is missing.
+ * @throws {TypeError}       If the redirect URI is unknown.
+ */
+function parseAuthorizationCallback (url, options) {
+  const parsed = new urlModule.URL(String(url), 'http://localhost')
+  const query = qsModule.parse(parsed.search.slice(1))
+  let redirectUri = options.redirectUri
+
+  if (!redirectUri) {
+    if (!/^https?:\/\//i.test(String(url))) {
+      throw new TypeError('The redirect URI is required when the callback URL is not absolute.')
     }
 
-    attempt.uri = videoUri
+    redirectUri = parsed.origin + parsed.pathname
+  }
+
+  if (query.error) {
+    throw new errors.VimeoOAuthError(String(query.error), query.error_description ? String(query.error_description) : undefined)
+  }
+
+  if (!query.code) {
+    throw new errors.VimeoOAuthError('invalid_request', 'The authorization code is missing.')
+  }
+
+  return { code: String(query.code), state: query.state ? String(query.state) : null, redirectUri }
+}
 
-    _self._performTusUpload(
-      file,
-      fileSize,
-      attempt,
-      completeCallback,
-      progressCallback,
-      errorCallback
-    )
+/**
+ * Move the `timeout` and `signal` upload parameters onto the request options, as they control the
+ * request and are not API parameters.
+ *
+ * @param {Object} options  Request options.
+ * @param {Object} params   Upload parameters.
+ */
+function applyRequestControls (options, params) {
+  ['timeout', 'signal'].forEach(function (key) {
+    if (params[key] !== undefined) {
+      options[key] = params[key]
+      delete params[key]
+    }
   })
 }
 
+/**
+ * @param  {Error}   err
+ * @return {boolean} If the error is from a request the client failed itself, because it timed out,
+ *                   was aborted or lacks a scope, rather than the API.
+ */
+function isClientError (err) {
+  return err instanceof errors.VimeoTimeoutError || err instanceof errors.VimeoAbortError ||
+    err instanceof errors.InsufficientScopeError
+}
+
+/**
+ * @param  {string}  value
+ * @return {integer} Length of a string encoded as UTF-8, also where `Buffer` is not available.
+ */
+function byteLength (value) {
+  return typeof Buffer === 'function' ? Buffer.byteLength(value, 'utf8') : new TextEncoder().encode(value).length
+}
+
+/**
+ * @param  {string} value
+ * @return {string} The string encoded as UTF-8, then base64, also where `Buffer` is not available.
+ */
+function base64 (value) {
+  if (typeof Buffer === 'function') {
+    return Buffer.from(value).toString('base64')
+  }
+
+  let binary = ''
+  new TextEncoder().encode(value).forEach(function (byte) {
+    binary += String.fromCharCode(byte)
+  })
+
+  return btoa(binary)
+}
+
+/**
+ * Call a function asynchronously, with `process.nextTick` where it is available.
+ *
+ * @param {Function} fn
+ * @param {...*}     args
+ */
+function nextTick (fn) {
+  const args = Array.prototype.slice.call(arguments, 1)
+
+  if (typeof process === 'object' && typeof process.nextTick === 'function') {
+    return process.nextTick.apply(process, arguments)
+  }
+
+  queueMicrotask(function () {
+    fn.apply(null, args)
+  })
+}
+
+/**
+ * @param  {Vimeo}    client
+ * @return {string[]} Credentials of a client, which are never logged or recorded.
+ */
+function getSecrets (client) {
+  const secrets = [client._clientSecret, client._accessToken]
+
+  if (client._clientId && client._clientSecret) {
+    secrets.push(base64(client._clientId + ':' + client._clientSecret))
+  }
+
+  return secrets
+}
+
+/**
+ * Destroy a response stream when a signal is aborted, until the stream closes.
+ *
+ * @param {stream.Readable} stream
+ * @param {AbortSignal}     signal
+ * @param {Object}          requestOptions
+ */
+function abortStreamOnSignal (stream, signal, requestOptions) {
+  const onAbort = function () {
+    stream.destroy(new errors.VimeoAbortError(requestOptions))
+  }
+
+  signal.addEventListener('abort', onAbort)
+  stream.once('close', function () {
+    signal.removeEventListener('abort', onAbort)
+  })
+}
+
+/**
+ * Attach the metadata of a request to its response or error, unless it already has some.
+ *
+ * @param {Object}  result   Response or error.
+ * @param {integer} start    Time the request started at.
+ * @param {integer} retries  Number of times the request was retried.
+ */
+function setMeta (result, start, retries) {
+  if (!result || typeof result !== 'object' || result.meta) {
+    return
+  }
+
+  const headers = result.headers || {}
+
+  result.meta = {
+    statusCode: result.statusCode || null,
+    headers,
+    rateLimit: RateLimiter.parseHeaders(headers),
+    requestId: headers['x-request-id'] || null,
+    elapsed: Date.now() - start,
+    retries
+  }
+}
+
 /**
  * Take an upload attempt and perform the actual upload via tus.
  *
@@ -712,22 +1847,46 @@ Vimeo.prototype._performTusUpload = function (
   progressCallback,
   errorCallback
 ) {
+  const _self = this
+  const tus = require('tus-js-client')
+  const start = Date.now()
   let fileUpload = file
 
   if (typeof file === 'string') {
-    fileUpload = fs.createReadStream(file)
+    fileUpload = require('fs').createReadStream(file)
+  }
+
+  const uploadUrl = new urlModule.URL(attempt.upload.upload_link)
+  let httpStack = new tus.HttpStack({
+    agent: this._getAgent(uploadUrl.protocol, uploadUrl.hostname, uploadUrl.port)
+  })
+
+  if (this._tracing) {
+    httpStack = this._tracing.wrapHttpStack(httpStack)
   }
 
   const upload = new tus.Upload(fileUpload, {
     uploadUrl: attempt.upload.upload_link,
     uploadSize: fileSize,
+    httpStack,
     retryDelays: [0, 1000, 3000, 5000],
-    onError: errorCallback,
-    onProgress: progressCallback,
+    onError: function (error) {
+      _self.emit('upload:error', { uri: attempt.uri, error, duration: Date.now() - start })
+      return errorCallback(error)
+    },
+    onProgress: function (bytesUploaded, bytesTotal) {
+      _self.emit('upload:progress', { uri: attempt.uri, bytesUploaded, bytesTotal })
+
+      if (progressCallback) {
+        progressCallback(bytesUploaded, bytesTotal)
+      }
+    },
     onSuccess: function () {
+      _self.emit('upload:complete', { uri: attempt.uri, duration: Date.now() - start })
       return completeCallback(attempt.uri)
     }
   })
 
+  this.emit('upload:start', { uri: attempt.uri, size: fileSize })
   upload.start()
 }
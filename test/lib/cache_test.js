@@ -0,0 +1,179 @@
+/* eslint-env mocha */
+'use strict'
+
+const Cache = require('../../lib/cache').Cache
+const MemoryStore = require('../../lib/cache').MemoryStore
+
+const expect = require('chai').expect
+const sinon = require('sinon')
+
+afterEach(() => {
+  sinon.restore()
+})
+
+const requestOptions = (path, token) => ({
+  method: 'GET',
+  protocol: 'https:',
+  host: 'api.vimeo.com',
+  port: 443,
+  path,
+  headers: { Authorization: 'Bearer ' + (token || 'token') }
+})
+
+describe('MemoryStore', () => {
+  it('returns stored entries', () => {
+    const store = new MemoryStore()
+    store.set('a', { etag: '1' })
+
+    expect(store.get('a')).to.deep.equal({ etag: '1' })
+    expect(store.get('b')).to.equal(undefined)
+  })
+
+  it('deletes entries', () => {
+    const store = new MemoryStore()
+    store.set('a', { etag: '1' })
+    store.delete('a')
+
+    expect(store.get('a')).to.equal(undefined)
+  })
+
+  it('evicts the least recently used entry once full', () => {
+    const store = new MemoryStore(2)
+    store.set('a', { etag: '1' })
+    store.set('b', { etag: '2' })
+    store.get('a')
+    store.set('c', { etag: '3' })
+
+    expect(store.get('a')).to.deep.equal({ etag: '1' })
+    expect(store.get('b')).to.equal(undefined)
+    expect(store.get('c')).to.deep.equal({ etag: '3' })
+  })
+})
+
+describe('Cache', () => {
+  describe('getKey', () => {
+    it('depends on the path, the query and the token', () => {
+      const cache = new Cache(true)
+      const key = cache.getKey(requestOptions('/videos/1?fields=name'))
+
+      expect(cache.getKey(requestOptions('/videos/1?fields=name'))).to.equal(key)
+      expect(cache.getKey(requestOptions('/videos/1?fields=uri'))).to.not.equal(key)
+      expect(cache.getKey(requestOptions('/videos/2?fields=name'))).to.not.equal(key)
+      expect(cache.getKey(requestOptions('/videos/1?fields=name', 'other'))).to.not.equal(key)
+    })
+
+    it('does not include the token in clear', () => {
+      expect(new Cache(true).getKey(requestOptions('/me', 'secret'))).to.not.include('secret')
+    })
+  })
+
+  describe('handle', () => {
+    let cache, clock
+
+    beforeEach(() => {
+      cache = new Cache(true)
+      clock = sinon.useFakeTimers()
+    })
+
+    const response = (statusCode, body, headers) => ({ statusCode, body, headers: headers || {} })
+
+    it('stores responses with an ETag', async () => {
+      const next = sinon.stub().resolves(response(200, { name: 'video' }, { etag: '"abc"' }))
+
+      const result = await cache.handle(requestOptions('/videos/1'), next, {})
+
+      expect(result).to.deep.equal(response(200, { name: 'video' }, { etag: '"abc"' }))
+      expect(cache.store.get(cache.getKey(requestOptions('/videos/1')))).to.include({ etag: '"abc"', statusCode: 200 })
+    })
+
+    it('does not store responses without an ETag', async () => {
+      await cache.handle(requestOptions('/videos/1'), sinon.stub().resolves(response(200, {})), {})
+
+      expect(cache.store.get(cache.getKey(requestOptions('/videos/1')))).to.equal(undefined)
+    })
+
+    it('sends If-None-Match and serves the stored response on a 304', async () => {
+      await cache.handle(requestOptions('/videos/1'), sinon.stub().resolves(response(200, { name: 'video' }, { etag: '"abc"' })), {})
+
+      const options = requestOptions('/videos/1')
+      const next = sinon.stub().resolves(response(304, {}, { 'x-ratelimit-remaining': '10' }))
+      const result = await cache.handle(options, next, {})
+
+      expect(next.firstCall.args[0].headers['If-None-Match']).to.equal('"abc"')
+      expect(result.statusCode).to.equal(200)
+      expect(result.body).to.deep.equal({ name: 'video' })
+      expect(result.headers).to.deep.equal({ etag: '"abc"', 'x-ratelimit-remaining': '10' })
+    })
+
+    it('does not add If-None-Match to the headers of the caller', async () => {
+      await cache.handle(requestOptions('/videos/1'), sinon.stub().resolves(response(200, { name: 'video' }, { etag: '"abc"' })), {})
+
+      const options = requestOptions('/videos/1')
+      const headers = options.headers
+      const next = sinon.stub().resolves(response(304, {}))
+      await cache.handle(options, next, {})
+
+      expect(next.firstCall.args[0].headers).to.not.equal(headers)
+      expect(headers).to.not.have.property('If-None-Match')
+      expect(options.headers).to.equal(headers)
+    })
+
+    it('replaces the stored response when it changed', async () => {
+      await cache.handle(requestOptions('/videos/1'), sinon.stub().resolves(response(200, { name: 'old' }, { etag: '"1"' })), {})
+      await cache.handle(requestOptions('/videos/1'), sinon.stub().resolves(response(200, { name: 'new' }, { etag: '"2"' })), {})
+
+      expect(cache.store.get(cache.getKey(requestOptions('/videos/1')))).to.deep.include({ etag: '"2"', body: { name: 'new' } })
+    })
+
+    it('does not let callers modify the stored response', async () => {
+      const first = await cache.handle(requestOptions('/videos/1'), sinon.stub().resolves(response(200, { name: 'video' }, { etag: '"abc"' })), {})
+      first.body.name = 'modified'
+
+      const second = await cache.handle(requestOptions('/videos/1'), sinon.stub().resolves(response(304, {})), {})
+      expect(second.body).to.deep.equal({ name: 'video' })
+    })
+
+    it('serves stored responses without a request until the ttl expires', async () => {
+      cache = new Cache({ ttl: 1000 })
+      await cache.handle(requestOptions('/videos/1'), sinon.stub().resolves(response(200, { name: 'video' }, { etag: '"abc"' })), {})
+
+      const next = sinon.stub().resolves(response(304, {}))
+      clock.tick(999)
+      expect((await cache.handle(requestOptions('/videos/1'), next, {})).body).to.deep.equal({ name: 'video' })
+      sinon.assert.notCalled(next)
+
+      clock.tick(1)
+      expect((await cache.handle(requestOptions('/videos/1'), next, {})).body).to.deep.equal({ name: 'video' })
+      sinon.assert.calledOnce(next)
+    })
+
+    it('ignores requests that are not GET requests', async () => {
+      const options = Object.assign(requestOptions('/videos/1'), { method: 'PATCH' })
+      await cache.handle(options, sinon.stub().resolves(response(200, {}, { etag: '"abc"' })), {})
+
+      expect(cache.store.get(cache.getKey(options))).to.equal(undefined)
+    })
+
+    it('ignores requests made with `cache: false`', async () => {
+      await cache.handle(requestOptions('/videos/1'), sinon.stub().resolves(response(200, {}, { etag: '"abc"' })), { cache: false })
+
+      expect(cache.store.get(cache.getKey(requestOptions('/videos/1')))).to.equal(undefined)
+    })
+
+    it('supports asynchronous stores', async () => {
+      const entries = {}
+      cache = new Cache({
+        store: {
+          get: async (key) => entries[key],
+          set: async (key, entry) => { entries[key] = entry },
+          delete: async (key) => { delete entries[key] }
+        }
+      })
+
+      await cache.handle(requestOptions('/videos/1'), sinon.stub().resolves(response(200, { name: 'video' }, { etag: '"abc"' })), {})
+      const result = await cache.handle(requestOptions('/videos/1'), sinon.stub().resolves(response(304, {})), {})
+
+      expect(result.body).to.deep.equal({ name: 'video' })
+    })
+  })
+})
@@ -0,0 +1,190 @@
+/* eslint-env mocha */
+'use strict'
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const Cassette = require('../../lib/cassette').Cassette
+const errors = require('../../lib/errors')
+
+const expect = require('chai').expect
+const sinon = require('sinon')
+
+afterEach(() => {
+  sinon.restore()
+})
+
+const requestOptions = (overrides) => Object.assign({
+  method: 'GET',
+  protocol: 'https:',
+  host: 'api.vimeo.com',
+  port: 443,
+  path: '/me/videos?per_page=2&page=1',
+  headers: { Authorization: 'Bearer t0k3n' },
+  body: ''
+}, overrides)
+
+describe('Cassette', () => {
+  let dir, file
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vimeo-cassette-'))
+    file = path.join(dir, 'fixtures', 'videos.json')
+  })
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true })
+  })
+
+  const record = async (interactions) => {
+    const cassette = new Cassette({ path: file, mode: 'record' }, () => ['t0k3n'])
+
+    for (const interaction of interactions) {
+      const next = interaction.error ? sinon.fake.rejects(interaction.error) : sinon.fake.resolves(interaction.response)
+      await cassette.handle(interaction.request, next, {}).catch(() => {})
+    }
+
+    return cassette
+  }
+
+  it('records interactions in the cassette file', async () => {
+    const response = { statusCode: 200, body: { data: [{ uri: '/videos/1' }] }, headers: { 'x-request-id': 'abc' } }
+    const next = sinon.fake.resolves(response)
+    const cassette = new Cassette({ path: file, mode: 'record' })
+
+    expect(await cassette.handle(requestOptions(), next, {})).to.equal(response)
+
+    sinon.assert.calledOnce(next)
+    expect(JSON.parse(fs.readFileSync(file, 'utf8'))).to.deep.equal({
+      interactions: [{
+        request: { method: 'GET', path: '/me/videos', query: { page: '1', per_page: '2' }, body: null },
+        response: { statusCode: 200, headers: { 'x-request-id': 'abc' }, body: { data: [{ uri: '/videos/1' }] } }
+      }]
+    })
+  })
+
+  it('scrubs credentials', async () => {
+    await record([{
+      request: requestOptions({ method: 'POST', path: '/oauth/access_token', body: JSON.stringify({ code: 'abc', grant_type: 'authorization_code' }) }),
+      response: { statusCode: 200, body: { access_token: 't0k3n', user: { name: 'Token t0k3n' } }, headers: { authorization: 'Bearer t0k3n' } }
+    }])
+
+    const contents = fs.readFileSync(file, 'utf8')
+    expect(contents).to.not.contain('t0k3n')
+    expect(contents).to.not.contain('abc')
+    expect(JSON.parse(contents).interactions[0].request.body).to.deep.equal({ code: '[REDACTED]', grant_type: 'authorization_code' })
+  })
+
+  it('scrubs credentials from form-encoded bodies', async () => {
+    await record([{
+      request: requestOptions({ method: 'POST', path: '/oauth/access_token', body: 'grant_type=authorization_code&code=THE_AUTH_CODE&code_verifier=THE_VERIFIER' }),
+      response: { statusCode: 200, body: {}, headers: {} }
+    }])
+    const cassette = new Cassette({ path: file, mode: 'replay' })
+
+    const contents = fs.readFileSync(file, 'utf8')
+    const response = await cassette.handle(requestOptions({ method: 'POST', path: '/oauth/access_token', body: 'code_verifier=other&grant_type=authorization_code&code=other' }), sinon.fake(), {})
+
+    expect(contents).to.not.contain('THE_AUTH_CODE')
+    expect(contents).to.not.contain('THE_VERIFIER')
+    expect(JSON.parse(contents).interactions[0].request.body).to.deep.equal({ code: '[REDACTED]', code_verifier: '[REDACTED]', grant_type: 'authorization_code' })
+    expect(response.statusCode).to.equal(200)
+  })
+
+  it('records error responses but not network errors', async () => {
+    await record([
+      { request: requestOptions({ path: '/videos/1' }), error: new errors.VimeoApiError(404, {}, '{"error": "Not found"}') },
+      { request: requestOptions({ path: '/videos/2' }), error: new Error('socket hang up') }
+    ])
+
+    const interactions = JSON.parse(fs.readFileSync(file, 'utf8')).interactions
+    expect(interactions).to.have.length(1)
+    expect(interactions[0].response).to.deep.equal({ statusCode: 404, headers: {}, body: '{"error": "Not found"}' })
+  })
+
+  it('replays interactions without sending requests', async () => {
+    await record([{ request: requestOptions(), response: { statusCode: 200, body: { total: 2 }, headers: {} } }])
+    const next = sinon.fake()
+    const cassette = new Cassette({ path: file, mode: 'replay' })
+
+    const response = await cassette.handle(requestOptions({ path: '/me/videos?page=1&per_page=2' }), next, {})
+
+    sinon.assert.notCalled(next)
+    expect(response).to.deep.equal({ statusCode: 200, body: { total: 2 }, headers: {} })
+  })
+
+  it('replays error responses as errors', async () => {
+    await record([{ request: requestOptions({ path: '/videos/1' }), error: new errors.VimeoApiError(404, {}, '{"error": "Not found"}') }])
+    const cassette = new Cassette({ path: file, mode: 'replay' })
+
+    const err = await cassette.handle(requestOptions({ path: '/videos/1' }), sinon.fake(), {}).catch((e) => e)
+
+    expect(err).to.be.instanceOf(errors.VimeoApiError)
+    expect(err).to.include({ statusCode: 404, error: 'Not found', path: '/videos/1' })
+  })
+
+  it('replays identical requests in order, then repeats the last interaction', async () => {
+    await record([
+      { request: requestOptions({ path: '/videos/1' }), response: { statusCode: 200, body: { status: 'transcoding' }, headers: {} } },
+      { request: requestOptions({ path: '/videos/1' }), response: { statusCode: 200, body: { status: 'available' }, headers: {} } }
+    ])
+    const cassette = new Cassette({ path: file, mode: 'replay' })
+    const replay = () => cassette.handle(requestOptions({ path: '/videos/1' }), sinon.fake(), {}).then((response) => response.body.status)
+
+    expect([await replay(), await replay(), await replay()]).to.deep.equal(['transcoding', 'available', 'available'])
+  })
+
+  it('matches request bodies', async () => {
+    await record([{
+      request: requestOptions({ method: 'PATCH', path: '/videos/1', body: '{"name":"First","privacy":{"view":"anybody"}}' }),
+      response: { statusCode: 200, body: { name: 'First' }, headers: {} }
+    }])
+    const cassette = new Cassette({ path: file, mode: 'replay' })
+
+    const response = await cassette.handle(requestOptions({ method: 'PATCH', path: '/videos/1', body: '{"privacy":{"view":"anybody"},"name":"First"}' }), sinon.fake(), {})
+    const err = await cassette.handle(requestOptions({ method: 'PATCH', path: '/videos/1', body: '{"name":"Second"}' }), sinon.fake(), {}).catch((e) => e)
+
+    expect(response.body).to.deep.equal({ name: 'First' })
+    expect(err.message).to.equal('No interaction of the cassette ' + file + ' matches PATCH /videos/1.')
+  })
+
+  it('matches requests made with other credentials', async () => {
+    await record([{ request: requestOptions({ path: '/me?access_token=t0k3n' }), response: { statusCode: 200, body: {}, headers: {} } }])
+    const cassette = new Cassette({ path: file, mode: 'replay' }, () => ['other'])
+
+    const response = await cassette.handle(requestOptions({ path: '/me?access_token=other' }), sinon.fake(), {})
+
+    expect(response.statusCode).to.equal(200)
+  })
+
+  it('records and replays binary bodies', async () => {
+    await record([{ request: requestOptions({ path: '/videos/1/pictures/1' }), response: { statusCode: 200, body: Buffer.from([1, 2, 3]), headers: {} } }])
+    const cassette = new Cassette({ path: file, mode: 'replay' })
+
+    const response = await cassette.handle(requestOptions({ path: '/videos/1/pictures/1' }), sinon.fake(), {})
+
+    expect(response.body).to.deep.equal(Buffer.from([1, 2, 3]))
+  })
+
+  it('does not record streamed responses', async () => {
+    const next = sinon.fake.resolves({ statusCode: 200, body: {}, headers: {} })
+
+    await new Cassette({ path: file, mode: 'record' }).handle(requestOptions(), next, { stream: true })
+
+    expect(fs.existsSync(file)).to.equal(false)
+  })
+
+  it('records in auto mode unless the cassette exists', async () => {
+    expect(new Cassette(file).mode).to.equal('record')
+
+    await record([{ request: requestOptions(), response: { statusCode: 200, body: {}, headers: {} } }])
+
+    expect(new Cassette(file).mode).to.equal('replay')
+  })
+
+  it('validates its options', () => {
+    expect(() => new Cassette({})).to.throw(TypeError, 'The cassette requires a path.')
+    expect(() => new Cassette({ path: file, mode: 'once' })).to.throw(TypeError, 'The cassette mode must be one of record, replay, auto.')
+    expect(() => new Cassette({ path: file, mode: 'replay' })).to.throw(Error, 'Unable to read the cassette')
+  })
+})
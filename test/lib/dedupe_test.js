@@ -0,0 +1,118 @@
+/* eslint-env mocha */
+'use strict'
+
+const Deduplicator = require('../../lib/dedupe')
+
+const expect = require('chai').expect
+const sinon = require('sinon')
+
+afterEach(() => {
+  sinon.restore()
+})
+
+const requestOptions = (path, token) => ({
+  method: 'GET',
+  protocol: 'https:',
+  host: 'api.vimeo.com',
+  port: 443,
+  path,
+  headers: { Authorization: 'Bearer ' + (token || 'token') }
+})
+
+const deferred = () => {
+  const result = {}
+  result.promise = new Promise((resolve, reject) => {
+    result.resolve = resolve
+    result.reject = reject
+  })
+  return result
+}
+
+describe('Deduplicator', () => {
+  let deduplicator, pending, next
+
+  beforeEach(() => {
+    deduplicator = new Deduplicator()
+    pending = deferred()
+    next = sinon.fake.returns(pending.promise)
+  })
+
+  it('sends a single request for identical requests in flight', async () => {
+    const first = deduplicator.handle(requestOptions('/videos/1'), next, {})
+    const second = deduplicator.handle(requestOptions('/videos/1'), next, {})
+    pending.resolve({ statusCode: 200, body: { name: 'video' }, headers: {} })
+
+    const responses = await Promise.all([first, second])
+
+    sinon.assert.calledOnce(next)
+    expect(responses[0].body).to.deep.equal({ name: 'video' })
+    expect(responses[1].body).to.deep.equal({ name: 'video' })
+    expect(responses[0].body).to.not.equal(responses[1].body)
+  })
+
+  it('shares errors with every caller', async () => {
+    const error = new Error('failed')
+    const first = deduplicator.handle(requestOptions('/videos/1'), next, {}).catch((e) => e)
+    const second = deduplicator.handle(requestOptions('/videos/1'), next, {}).catch((e) => e)
+    pending.reject(error)
+
+    expect(await first).to.equal(error)
+    expect(await second).to.equal(error)
+  })
+
+  it('sends a new request once the previous one completed', async () => {
+    pending.resolve({ statusCode: 200, body: {}, headers: {} })
+    await deduplicator.handle(requestOptions('/videos/1'), next, {})
+    await deduplicator.handle(requestOptions('/videos/1'), next, {})
+
+    sinon.assert.calledTwice(next)
+  })
+
+  it('does not coalesce different requests', () => {
+    deduplicator.handle(requestOptions('/videos/1'), next, {})
+    deduplicator.handle(requestOptions('/videos/2'), next, {})
+    deduplicator.handle(requestOptions('/videos/1?fields=name'), next, {})
+    deduplicator.handle(requestOptions('/videos/1', 'other'), next, {})
+    deduplicator.handle(requestOptions('/videos/1'), next, { responseType: 'text' })
+    deduplicator.handle(Object.assign(requestOptions('/videos/1'), { method: 'DELETE' }), next, {})
+
+    expect(next.callCount).to.equal(6)
+  })
+
+  it('does not coalesce requests with a different timeout or retry policy', () => {
+    deduplicator.handle(requestOptions('/videos/1'), next, {})
+    deduplicator.handle(requestOptions('/videos/1'), next, { timeout: 1000 })
+    deduplicator.handle(requestOptions('/videos/1'), next, { timeout: 5000 })
+    deduplicator.handle(requestOptions('/videos/1'), next, { retry: false })
+    deduplicator.handle(requestOptions('/videos/1'), next, { retry: { maxAttempts: 5 } })
+    deduplicator.handle(requestOptions('/videos/1'), next, { timeout: 5000 })
+    deduplicator.handle(requestOptions('/videos/1'), next, { retry: { maxAttempts: 5 } })
+
+    expect(next.callCount).to.equal(5)
+  })
+
+  it('does not coalesce requests that opt out, are streamed or can be cancelled', () => {
+    deduplicator.handle(requestOptions('/videos/1'), next, {})
+    deduplicator.handle(requestOptions('/videos/1'), next, { dedupe: false })
+    deduplicator.handle(requestOptions('/videos/1'), next, { stream: true })
+    deduplicator.handle(requestOptions('/videos/1'), next, { signal: new AbortController().signal })
+
+    expect(next.callCount).to.equal(4)
+  })
+
+  it('does not fail other callers when a request with a signal is aborted', async () => {
+    const aborted = deferred()
+    next = sinon.stub()
+    next.onFirstCall().returns(aborted.promise)
+    next.onSecondCall().returns(pending.promise)
+
+    const first = deduplicator.handle(requestOptions('/videos/1'), next, { signal: new AbortController().signal }).catch((e) => e)
+    const second = deduplicator.handle(requestOptions('/videos/1'), next, { signal: new AbortController().signal })
+    aborted.reject(new Error('aborted'))
+    pending.resolve({ statusCode: 200, body: { name: 'video' }, headers: {} })
+
+    expect(await first).to.be.an('error')
+    expect((await second).body).to.deep.equal({ name: 'video' })
+    sinon.assert.calledTwice(next)
+  })
+})
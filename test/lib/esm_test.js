@@ -0,0 +1,38 @@
+/* eslint-env mocha */
+'use strict'
+
+const vimeoModule = require('../../index')
+
+const expect = require('chai').expect
+
+describe('ES module entry point', () => {
+  let esm
+
+  before(async () => {
+    esm = await import('../../index.mjs')
+  })
+
+  it('has the same named exports as the CommonJS entry point', () => {
+    expect(Object.keys(esm).filter((name) => name !== 'default').sort()).to.deep.equal(Object.keys(vimeoModule).sort())
+  })
+
+  it('exports the CommonJS module as the default export', () => {
+    expect(esm.default).to.equal(vimeoModule)
+  })
+
+  it('shares the implementation and state of the CommonJS entry point', () => {
+    Object.keys(vimeoModule).forEach((name) => {
+      expect(esm[name]).to.equal(vimeoModule[name], name)
+    })
+
+    expect(new esm.Vimeo('id', 'secret')).to.be.instanceOf(vimeoModule.Vimeo)
+  })
+
+  it('keeps the deep imports of the package working', () => {
+    expect(require('@vimeo/vimeo/index.js')).to.equal(vimeoModule)
+    expect(require('@vimeo/vimeo/index')).to.equal(vimeoModule)
+    expect(require('@vimeo/vimeo/lib/vimeo')).to.equal(require('../../lib/vimeo'))
+    expect(require.resolve('@vimeo/vimeo/example/upload.js')).to.equal(require.resolve('../../example/upload.js'))
+    expect(require.resolve('@vimeo/vimeo/example/upload')).to.equal(require.resolve('../../example/upload.js'))
+  })
+})
@@ -0,0 +1,252 @@
+/* eslint-env mocha */
+'use strict'
+
+const fs = require('fs')
+const http = require('http')
+const os = require('os')
+const path = require('path')
+const FakeServer = require('../../lib/fakeserver')
+const Vimeo = require('../../lib/vimeo').Vimeo
+const VimeoApiError = require('../../lib/vimeo').VimeoApiError
+const InsufficientScopeError = require('../../lib/vimeo').InsufficientScopeError
+const generatePkce = require('../../lib/vimeo').generatePkce
+
+const expect = require('chai').expect
+
+describe('FakeServer', () => {
+  let server, baseUrl, vimeo, dir, file
+
+  beforeEach(async () => {
+    server = new FakeServer({ clientId: 'id', clientSecret: 'secret' })
+    baseUrl = await server.start()
+    vimeo = new Vimeo('id', 'secret', 'token', { baseUrl, proxy: false })
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vimeo-fakeserver-'))
+    file = path.join(dir, 'video.mp4')
+    fs.writeFileSync(file, 'fake video contents')
+  })
+
+  afterEach(async () => {
+    await server.close()
+    fs.rmSync(dir, { recursive: true, force: true })
+  })
+
+  it('uploads videos with tus', async () => {
+    const uri = await vimeo.upload(file, { name: 'Video' })
+
+    const video = server.videos.get(uri)
+    expect(video).to.include({ name: 'Video', status: 'available' })
+    expect(video.upload).to.include({ approach: 'tus', status: 'complete', size: 19 })
+    expect(server.uploads.get(parseInt(video.upload.upload_link.split('/').pop(), 10)).data.toString()).to.equal('fake video contents')
+  })
+
+  it('replaces the source of videos', async () => {
+    const video = server.addVideo({ name: 'Existing' })
+    fs.writeFileSync(file, 'new contents')
+
+    const uri = await vimeo.replace(file, video.uri, {})
+
+    expect(uri).to.equal(video.uri)
+    expect(video.upload).to.include({ status: 'complete', size: 12 })
+    expect(server.requests.find((request) => request.method === 'POST').path).to.equal(video.uri + '/versions')
+  })
+
+  it('paginates the videos of the user', async () => {
+    for (let i = 1; i <= 5; i++) {
+      server.addVideo({ name: 'Video ' + i })
+    }
+
+    const names = []
+    for await (const video of vimeo.paginate('/me/videos', { per_page: 2, query: { fields: 'name' } })) {
+      names.push(video)
+    }
+
+    expect(names).to.deep.equal([1, 2, 3, 4, 5].map((i) => ({ name: 'Video ' + i })))
+    expect(server.requests.map((request) => request.query.page)).to.deep.equal([undefined, '2', '3'])
+  })
+
+  it('issues access tokens', async () => {
+    const unauthenticated = new Vimeo('id', 'secret', null, { baseUrl, proxy: false })
+
+    const authorization = await unauthenticated.accessToken('code', 'https://example.com/callback')
+    const client = await unauthenticated.generateClientCredentials('public')
+
+    expect(authorization.body).to.include({ token_type: 'bearer', scope: 'public private' })
+    expect(authorization.body.user).to.deep.equal(server.user)
+    expect(client.body).to.include({ token_type: 'bearer', scope: 'public' })
+  })
+
+  const authorize = (url) => new Promise((resolve, reject) => {
+    http.get(url, (res) => {
+      res.resume()
+      resolve(new URL(res.headers.location))
+    }).on('error', reject)
+  })
+
+  it('redirects authorization requests with a code and the state', async () => {
+    const unauthenticated = new Vimeo('id', 'secret', null, { baseUrl, proxy: false })
+    const callback = await authorize(unauthenticated.buildAuthorizationEndpoint('https://example.com/callback', 'public edit', 'abc'))
+
+    expect(callback.origin + callback.pathname).to.equal('https://example.com/callback')
+    expect(callback.searchParams.get('state')).to.equal('abc')
+
+    const authorization = await unauthenticated.accessToken(callback.searchParams.get('code'), 'https://example.com/callback')
+    expect(authorization.body).to.include({ scope: 'public edit' })
+  })
+
+  it('issues access tokens to public clients using PKCE', async () => {
+    const publicClient = new Vimeo('id', null, null, { baseUrl, proxy: false })
+    const pkce = generatePkce()
+    const callback = await authorize(publicClient.buildAuthorizationEndpoint('https://example.com/callback', 'public', 'abc', pkce))
+
+    const authorization = await publicClient.accessToken(callback.searchParams.get('code'), 'https://example.com/callback', pkce)
+
+    expect(authorization.body).to.include({ token_type: 'bearer' })
+    expect(server.requests[1].headers).to.not.have.property('authorization')
+  })
+
+  it('rejects code exchanges without the code verifier of the code challenge', async () => {
+    const publicClient = new Vimeo('id', null, null, { baseUrl, proxy: false })
+    const pkce = generatePkce()
+    const exchange = async (client, codeVerifier) => {
+      const callback = await authorize(client.buildAuthorizationEndpoint('https://example.com/callback', 'public', 'abc', pkce))
+      return client.accessToken(callback.searchParams.get('code'), 'https://example.com/callback', codeVerifier).catch((e) => e)
+    }
+
+    const errors = [
+      await exchange(publicClient, generatePkce()),
+      await exchange(new Vimeo('id', 'secret', null, { baseUrl, proxy: false }), undefined),
+      await publicClient.accessToken('code', 'https://example.com/callback', pkce).catch((e) => e)
+    ]
+
+    errors.forEach((err) => {
+      expect(err).to.be.instanceOf(VimeoApiError)
+      expect(err).to.include({ statusCode: 400, error: 'invalid_grant' })
+    })
+  })
+
+  it('verifies and revokes access tokens', async () => {
+    const unauthenticated = new Vimeo('id', 'secret', null, { baseUrl, proxy: false })
+    const authorization = await unauthenticated.accessToken('code', 'https://example.com/callback')
+    const client = new Vimeo('id', 'secret', authorization.body.access_token, { baseUrl, proxy: false })
+
+    const verified = await client.verifyToken()
+    await client.revokeToken()
+    const err = await new Vimeo('id', 'secret', authorization.body.access_token, { baseUrl, proxy: false }).verifyToken().catch((e) => e)
+
+    expect(verified.body).to.include({ access_token: authorization.body.access_token, scope: 'public private' })
+    expect(verified.body.app).to.deep.equal({ name: 'Fake App', uri: '/apps/1' })
+    expect(verified.body.user).to.deep.equal(server.user)
+    expect(err).to.be.instanceOf(VimeoApiError)
+    expect(err.statusCode).to.equal(401)
+  })
+
+  it('verifies access tokens it did not issue with the configured scope', async () => {
+    const other = new FakeServer({ scope: 'public upload' })
+    const client = new Vimeo('id', 'secret', 'token', { baseUrl: await other.start(), proxy: false })
+
+    const verified = await client.verifyToken().finally(() => other.close())
+
+    expect(verified.body).to.include({ access_token: 'token', scope: 'public upload' })
+  })
+
+  it('lets the client check the scopes of its token before uploads', async () => {
+    const other = new FakeServer({ scope: 'public private' })
+    const client = new Vimeo('id', 'secret', 'token', { baseUrl: await other.start(), proxy: false, checkScopes: true })
+
+    const err = await client.upload(file, { name: 'Video' }).catch((e) => e).finally(() => other.close())
+
+    expect(err).to.be.instanceOf(InsufficientScopeError)
+    expect(other.requests.map((request) => request.method + ' ' + request.path)).to.deep.equal(['GET /oauth/verify'])
+  })
+
+  it('rejects invalid client credentials', async () => {
+    const other = new Vimeo('id', 'wrong', null, { baseUrl, proxy: false })
+
+    const err = await other.generateClientCredentials('public').catch((e) => e)
+
+    expect(err).to.be.instanceOf(Error)
+    expect(err.message).to.contain('invalid_client')
+  })
+
+  it('requires authentication', async () => {
+    const response = await new Promise((resolve) => {
+      http.get(baseUrl + '/me', resolve)
+    })
+
+    expect(response.statusCode).to.equal(401)
+    response.resume()
+  })
+
+  it('answers unknown resources with 404 errors', async () => {
+    const err = await vimeo.request('/videos/404').catch((e) => e)
+
+    expect(err).to.be.instanceOf(VimeoApiError)
+    expect(err).to.include({ statusCode: 404, error: 'The requested video couldn\'t be found.' })
+  })
+
+  it('updates and deletes videos', async () => {
+    const video = server.addVideo({ name: 'Before' })
+
+    await vimeo.request({ method: 'PATCH', path: video.uri, query: { name: 'After' } })
+    expect(video.name).to.equal('After')
+
+    const response = await vimeo.request({ method: 'DELETE', path: video.uri })
+    expect(response.statusCode).to.equal(204)
+    expect(server.videos.has(video.uri)).to.equal(false)
+  })
+
+  it('injects error responses', async () => {
+    server.fail({ method: 'GET', path: '/me', status: 429, headers: { 'retry-after': '0' } })
+
+    const err = await vimeo.request('/me').catch((e) => e)
+    const retried = new Vimeo('id', 'secret', 'token', { baseUrl, proxy: false, retry: true })
+    server.fail({ path: '/me', status: 429, headers: { 'retry-after': '0' } })
+    const response = await retried.request('/me')
+
+    expect(err).to.be.instanceOf(VimeoApiError)
+    expect(err.statusCode).to.equal(429)
+    expect(response.body).to.deep.equal(server.user)
+  })
+
+  it('injects dropped connections', async () => {
+    server.fail({ path: '/me', drop: true })
+
+    const err = await vimeo.request('/me').catch((e) => e)
+    const response = await vimeo.request('/me')
+
+    expect(err.code).to.equal('ECONNRESET')
+    expect(response.statusCode).to.equal(200)
+  })
+
+  it('lets tus resume uploads after dropped connections', async () => {
+    server.fail({ method: 'PATCH', path: /^\/upload\//, drop: true })
+
+    const uri = await vimeo.upload(file, { name: 'Video' })
+
+    expect(server.videos.get(uri).status).to.equal('available')
+    expect(server.requests.filter((request) => request.method === 'PATCH')).to.have.length(2)
+  })
+
+  it('follows the tus protocol', async () => {
+    const video = await vimeo.request({ method: 'POST', path: '/me/videos', query: { upload: { approach: 'tus', size: 4 } } })
+    const link = video.body.upload.upload_link
+    const tus = (method, headers, body) => new Promise((resolve, reject) => {
+      const req = http.request(link, { method, headers: Object.assign({ 'Tus-Resumable': '1.0.0' }, headers) }, (res) => {
+        res.resume()
+        resolve(res)
+      })
+      req.on('error', reject)
+      req.end(body)
+    })
+
+    const conflict = await tus('PATCH', { 'Content-Type': 'application/offset+octet-stream', 'Upload-Offset': '2' }, 'ab')
+    const patch = await tus('PATCH', { 'Content-Type': 'application/offset+octet-stream', 'Upload-Offset': '0' }, 'ab')
+    const head = await tus('HEAD')
+
+    expect(conflict.statusCode).to.equal(409)
+    expect(patch.statusCode).to.equal(204)
+    expect(patch.headers['upload-offset']).to.equal('2')
+    expect(head.headers).to.include({ 'upload-offset': '2', 'upload-length': '4', 'tus-resumable': '1.0.0' })
+    expect(server.videos.get(video.body.uri).status).to.equal('uploading')
+  })
+})
@@ -0,0 +1,256 @@
+/* eslint-env mocha */
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+const vm = require('vm')
+const createFetchTransport = require('../../lib/fetch')
+const errors = require('../../lib/errors')
+
+const expect = require('chai').expect
+const sinon = require('sinon')
+
+afterEach(() => {
+  sinon.restore()
+})
+
+const fakeResponse = (status, text, headers) => ({
+  status,
+  text: async () => text,
+  headers: {
+    forEach: (fn) => Object.keys(headers || {}).forEach((name) => fn(headers[name], name))
+  }
+})
+
+const requestOptions = (overrides) => Object.assign({
+  method: 'GET',
+  protocol: 'https:',
+  host: 'api.vimeo.com',
+  port: 443,
+  path: '/me?fields=uri',
+  headers: { Authorization: 'Bearer token' }
+}, overrides)
+
+const send = (transport, options, callOptions) => new Promise((resolve) => {
+  transport(options, callOptions || {}, (err, response) => resolve({ err, response }))
+})
+
+describe('createFetchTransport', () => {
+  it('sends the request with fetch', async () => {
+    const fetch = sinon.fake.resolves(fakeResponse(200, '{}'))
+    const body = JSON.stringify({ name: 'video' })
+
+    await send(createFetchTransport({ fetch }), requestOptions({
+      method: 'PATCH',
+      body,
+      headers: { 'Content-Type': 'application/json', 'Content-Length': body.length }
+    }))
+
+    sinon.assert.calledWith(fetch, 'https://api.vimeo.com/me?fields=uri', sinon.match({
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body
+    }))
+  })
+
+  it('includes ports that are not the default port of the protocol', async () => {
+    const fetch = sinon.fake.resolves(fakeResponse(200, '{}'))
+
+    await send(createFetchTransport({ fetch }), requestOptions({ protocol: 'http:', host: 'localhost', port: 8080 }))
+
+    sinon.assert.calledWith(fetch, 'http://localhost:8080/me?fields=uri')
+  })
+
+  it('parses successful responses', async () => {
+    const fetch = sinon.fake.resolves(fakeResponse(200, '{"uri": "/users/1"}', { 'X-Request-Id': 'abc' }))
+
+    const { err, response } = await send(createFetchTransport({ fetch }), requestOptions())
+
+    expect(err).to.equal(null)
+    expect(response).to.deep.equal({ statusCode: 200, body: { uri: '/users/1' }, headers: { 'x-request-id': 'abc' } })
+  })
+
+  it('returns a null body for 204 responses', async () => {
+    const fetch = sinon.fake.resolves(fakeResponse(204, ''))
+
+    const { response } = await send(createFetchTransport({ fetch }), requestOptions())
+
+    expect(response.body).to.equal(null)
+  })
+
+  it('returns text responses as strings', async () => {
+    const fetch = sinon.fake.resolves(fakeResponse(200, 'WEBVTT', { 'content-type': 'text/vtt' }))
+
+    const { err, response } = await send(createFetchTransport({ fetch }), requestOptions())
+
+    expect(err).to.equal(null)
+    expect(response.body).to.equal('WEBVTT')
+  })
+
+  it('returns binary responses as Buffers', async () => {
+    const response = fakeResponse(200, null, { 'content-type': 'image/jpeg' })
+    response.arrayBuffer = async () => new Uint8Array([1, 2, 3]).buffer
+
+    const { err, response: result } = await send(createFetchTransport({ fetch: sinon.fake.resolves(response) }), requestOptions())
+
+    expect(err).to.equal(null)
+    expect(result.body).to.deep.equal(Buffer.from([1, 2, 3]))
+  })
+
+  it('returns the body stream when streaming', async () => {
+    const response = fakeResponse(200, null, { 'content-type': 'application/json' })
+    response.body = { getReader: () => {} }
+
+    const { err, response: result } = await send(createFetchTransport({ fetch: sinon.fake.resolves(response) }), requestOptions(), { stream: true })
+
+    expect(err).to.equal(null)
+    expect(result.body).to.equal(response.body)
+  })
+
+  it('cancels a streamed body when the signal is aborted', async () => {
+    const controller = new AbortController()
+    let fetchSignal
+    const fetch = async (url, init) => {
+      fetchSignal = init.signal
+      return fakeResponse(200, null)
+    }
+
+    await send(createFetchTransport({ fetch }), requestOptions(), { stream: true, signal: controller.signal })
+    controller.abort()
+
+    expect(fetchSignal.aborted).to.equal(true)
+  })
+
+  it('fails with a VimeoApiError on error responses', async () => {
+    const fetch = sinon.fake.resolves(fakeResponse(404, '{"error": "Not found"}', { 'x-request-id': 'abc' }))
+
+    const { err } = await send(createFetchTransport({ fetch }), requestOptions())
+
+    expect(err).to.be.instanceOf(errors.VimeoApiError)
+    expect(err).to.include({ statusCode: 404, error: 'Not found', requestId: 'abc', path: '/me?fields=uri' })
+  })
+
+  it('fails when the response is not JSON', async () => {
+    const fetch = sinon.fake.resolves(fakeResponse(200, '<html>'))
+
+    const { err } = await send(createFetchTransport({ fetch }), requestOptions())
+
+    expect(err).to.be.instanceOf(SyntaxError)
+  })
+
+  it('passes network errors through', async () => {
+    const error = new TypeError('fetch failed')
+
+    const { err } = await send(createFetchTransport({ fetch: sinon.fake.rejects(error) }), requestOptions())
+
+    expect(err).to.equal(error)
+  })
+
+  it('times out', async () => {
+    const clock = sinon.useFakeTimers()
+    let fetchSignal
+    const fetch = (url, init) => {
+      fetchSignal = init.signal
+      return new Promise(() => {})
+    }
+
+    const result = send(createFetchTransport({ fetch }), requestOptions(), { timeout: 100 })
+    clock.tick(100)
+    const { err } = await result
+
+    expect(err).to.be.instanceOf(errors.VimeoTimeoutError)
+    expect(fetchSignal.aborted).to.equal(true)
+  })
+
+  it('is cancelled by its signal', async () => {
+    const controller = new AbortController()
+    let fetchSignal
+    const fetch = (url, init) => {
+      fetchSignal = init.signal
+      return new Promise(() => {})
+    }
+
+    const result = send(createFetchTransport({ fetch }), requestOptions(), { signal: controller.signal })
+    controller.abort()
+    const { err } = await result
+
+    expect(err).to.be.instanceOf(errors.VimeoAbortError)
+    expect(fetchSignal.aborted).to.equal(true)
+  })
+
+  it('does not send requests that were already cancelled', async () => {
+    const controller = new AbortController()
+    const fetch = sinon.fake()
+    controller.abort()
+
+    const { err } = await send(createFetchTransport({ fetch }), requestOptions(), { signal: controller.signal })
+
+    expect(err).to.be.instanceOf(errors.VimeoAbortError)
+    sinon.assert.notCalled(fetch)
+  })
+})
+
+describe('createFetchTransport in runtimes without Node', () => {
+  // Loads `lib/vimeo.js` in a context without `Buffer`, `process`, or modules other than the ones
+  // runtimes and bundlers commonly provide.
+  const loadClient = (fetch) => {
+    const modules = ['events', 'querystring', 'url', 'util']
+    const context = vm.createContext({ console, setTimeout, clearTimeout, URL, TextEncoder, AbortController, btoa, queueMicrotask, fetch })
+    const loaded = {}
+    const load = (file) => {
+      if (!loaded[file]) {
+        loaded[file] = { exports: {} }
+
+        if (path.extname(file) === '.json') {
+          loaded[file].exports = JSON.parse(fs.readFileSync(file, 'utf8'))
+        } else {
+          const wrapper = vm.runInContext('(function (exports, require, module) {' + fs.readFileSync(file, 'utf8') + '\n})', context, { filename: file })
+          wrapper(loaded[file].exports, (name) => {
+            if (name.charAt(0) === '.') {
+              return load(require.resolve(path.resolve(path.dirname(file), name)))
+            }
+
+            if (modules.indexOf(name) === -1) {
+              throw new Error('Cannot find module \'' + name + '\'')
+            }
+
+            return require(name)
+          }, loaded[file])
+        }
+      }
+
+      return loaded[file].exports
+    }
+
+    return load(require.resolve('../../lib/vimeo'))
+  }
+
+  it('exchanges codes for access tokens', async () => {
+    const fetch = sinon.fake.resolves(fakeResponse(200, '{"access_token":"token","scope":"public"}', { 'content-type': 'application/json' }))
+    const vimeoModule = loadClient(fetch)
+    const client = new vimeoModule.Vimeo('id', 's\u00e9cret', null, { transport: vimeoModule.createFetchTransport() })
+
+    const response = await client.accessToken('code', 'https://example.com/callback')
+    const credentials = await client.generateClientCredentials('public')
+    const me = await new vimeoModule.Vimeo('id', 'secret', 'token', { transport: vimeoModule.createFetchTransport() }).request('/me')
+
+    expect(response.body).to.deep.equal({ access_token: 'token', scope: 'public' })
+    expect(credentials.statusCode).to.equal(200)
+    expect(me.statusCode).to.equal(200)
+    sinon.assert.calledWith(fetch, 'https://api.vimeo.com/oauth/access_token', sinon.match({
+      method: 'POST',
+      headers: sinon.match({ Authorization: 'Basic ' + Buffer.from('id:s\u00e9cret').toString('base64') }),
+      body: 'grant_type=authorization_code&code=code&redirect_uri=https%3A%2F%2Fexample.com%2Fcallback'
+    }))
+  })
+
+  it('fails with the errors of the client', async () => {
+    const vimeoModule = loadClient(sinon.fake.resolves(fakeResponse(404, '{"error":"Not found"}')))
+    const client = new vimeoModule.Vimeo('id', 'secret', 'token', { transport: vimeoModule.createFetchTransport() })
+
+    const err = await client.request('/videos/1').catch((e) => e)
+
+    expect(err).to.be.instanceOf(vimeoModule.VimeoApiError)
+    expect(err).to.include({ statusCode: 404, error: 'Not found' })
+  })
+})
@@ -0,0 +1,177 @@
+/* eslint-env mocha */
+'use strict'
+
+const loggerModule = require('../../lib/logger')
+const Logger = loggerModule.Logger
+
+const expect = require('chai').expect
+const sinon = require('sinon')
+
+afterEach(() => {
+  sinon.restore()
+})
+
+const requestOptions = (overrides) => Object.assign({
+  method: 'GET',
+  protocol: 'https:',
+  host: 'api.vimeo.com',
+  port: 443,
+  path: '/me/videos?page=2&access_token=token',
+  headers: { Authorization: 'Bearer token', Accept: 'application/vnd.vimeo.*+json;version=3.4' },
+  body: ''
+}, overrides)
+
+const fakeLogger = () => ({
+  debug: sinon.fake(),
+  warn: sinon.fake(),
+  error: sinon.fake()
+})
+
+describe('Logger', () => {
+  it('logs requests', () => {
+    const logger = fakeLogger()
+
+    new Logger(logger).request(requestOptions(), 1)
+
+    sinon.assert.calledWith(logger.debug, 'GET https://api.vimeo.com/me/videos?page=2&access_token=%5BREDACTED%5D', {
+      method: 'GET',
+      url: 'https://api.vimeo.com/me/videos?page=2&access_token=%5BREDACTED%5D',
+      query: { page: '2', access_token: '[REDACTED]' },
+      headers: { Authorization: '[REDACTED]', Accept: 'application/vnd.vimeo.*+json;version=3.4' },
+      attempt: 1
+    })
+  })
+
+  it('logs responses', () => {
+    const logger = fakeLogger()
+
+    new Logger(logger).response(requestOptions({ path: '/me' }), { statusCode: 200, body: {}, headers: { 'x-request-id': 'abc' } }, 120, 1)
+
+    sinon.assert.calledWith(logger.debug, 'GET https://api.vimeo.com/me 200 120ms', {
+      method: 'GET',
+      url: 'https://api.vimeo.com/me',
+      statusCode: 200,
+      requestId: 'abc',
+      duration: 120,
+      attempt: 1
+    })
+  })
+
+  it('logs redacted bodies when enabled', () => {
+    const logger = fakeLogger()
+    const log = new Logger(logger, { bodies: true })
+    const options = requestOptions({
+      method: 'POST',
+      path: '/oauth/access_token',
+      body: JSON.stringify({ grant_type: 'authorization_code', code: 'abc', redirect_uri: 'https://example.com' })
+    })
+
+    log.request(options, 1)
+    log.response(options, { statusCode: 200, body: { access_token: 'token', scope: 'public' }, headers: {} }, 10, 1)
+
+    expect(logger.debug.firstCall.args[1].body).to.deep.equal({ grant_type: 'authorization_code', code: '[REDACTED]', redirect_uri: 'https://example.com' })
+    expect(logger.debug.secondCall.args[1].body).to.deep.equal({ access_token: '[REDACTED]', scope: 'public' })
+  })
+
+  it('does not log bodies by default', () => {
+    const logger = fakeLogger()
+
+    new Logger(logger).request(requestOptions({ method: 'POST', body: '{"name":"video"}' }), 1)
+
+    expect(logger.debug.firstCall.args[1]).to.not.have.property('body')
+  })
+
+  it('describes binary and streamed bodies', () => {
+    const log = new Logger(fakeLogger())
+
+    expect(log._body(Buffer.from('data'))).to.equal('[Buffer 4 bytes]')
+    expect(log._body({ pipe: () => {} })).to.equal('[Stream]')
+    expect(log._body('WEBVTT')).to.equal('WEBVTT')
+  })
+
+  it('never logs the secrets of the client', () => {
+    const logger = fakeLogger()
+    const log = new Logger(logger, { secrets: () => ['aWQ6c2VjcmV0'] })
+
+    log.failure(requestOptions({ path: '/me' }), new Error('Invalid credentials aWQ6c2VjcmV0'), 50, 1)
+
+    sinon.assert.calledWith(logger.error, 'GET https://api.vimeo.com/me failed (Error: Invalid credentials [REDACTED]) 50ms', {
+      method: 'GET',
+      url: 'https://api.vimeo.com/me',
+      statusCode: null,
+      error: 'Error: Invalid credentials [REDACTED]',
+      duration: 50,
+      attempts: 1
+    })
+  })
+
+  it('logs retries as warnings', () => {
+    const logger = fakeLogger()
+    const error = new Error('Service unavailable')
+
+    new Logger(logger).retry(requestOptions({ path: '/me' }), 1, 1000, error)
+
+    sinon.assert.calledWith(logger.warn, 'GET https://api.vimeo.com/me failed (Error: Service unavailable), retrying in 1000ms')
+  })
+
+  it('calls function loggers with the level', () => {
+    const logger = sinon.fake()
+
+    new Logger(logger).request(requestOptions({ path: '/me' }), 1)
+
+    sinon.assert.calledWith(logger, 'debug', 'GET https://api.vimeo.com/me')
+  })
+
+  it('falls back to the log method of loggers without levels', () => {
+    const logger = { log: sinon.fake() }
+
+    new Logger(logger).retry(requestOptions({ path: '/me' }), 1, 1000)
+
+    sinon.assert.calledWith(logger.log, 'GET https://api.vimeo.com/me failed (rate limited), retrying in 1000ms')
+  })
+})
+
+describe('Logger.create', () => {
+  const secrets = () => []
+
+  it('uses the provided logger', () => {
+    const logger = fakeLogger()
+
+    const log = loggerModule.create({ logger, logBodies: true }, secrets)
+
+    expect(log).to.be.instanceOf(Logger)
+    expect(log.logger).to.equal(logger)
+    expect(log.bodies).to.equal(true)
+  })
+
+  it('logs to stderr when DEBUG matches vimeo', () => {
+    const write = sinon.stub(process.stderr, 'write')
+
+    const log = loggerModule.create({}, secrets, 'vimeo*')
+    log.request(requestOptions({ path: '/me' }), 1)
+    write.restore()
+
+    expect(log.bodies).to.equal(true)
+    expect(write.firstCall.args[0]).to.match(/^vimeo debug GET https:\/\/api.vimeo.com\/me \{/)
+  })
+
+  it('is disabled by default', () => {
+    expect(loggerModule.create({}, secrets)).to.equal(null)
+    expect(loggerModule.create({}, secrets, 'express:*')).to.equal(null)
+  })
+})
+
+describe('Logger.isDebugEnabled', () => {
+  it('matches namespaces with wildcards', () => {
+    expect(loggerModule.isDebugEnabled('vimeo', 'vimeo')).to.equal(true)
+    expect(loggerModule.isDebugEnabled('vimeo', 'vimeo*')).to.equal(true)
+    expect(loggerModule.isDebugEnabled('vimeo', 'express,*')).to.equal(true)
+    expect(loggerModule.isDebugEnabled('vimeo:body', 'vimeo')).to.equal(false)
+    expect(loggerModule.isDebugEnabled('vimeo:body', 'vimeo:*')).to.equal(true)
+  })
+
+  it('excludes namespaces prefixed with -', () => {
+    expect(loggerModule.isDebugEnabled('vimeo:body', 'vimeo*,-vimeo:body')).to.equal(false)
+    expect(loggerModule.isDebugEnabled('vimeo', 'vimeo*,-vimeo:body')).to.equal(true)
+  })
+})
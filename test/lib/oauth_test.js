@@ -0,0 +1,121 @@
+/* eslint-env mocha */
+'use strict'
+
+const oauth = require('../../lib/oauth')
+const errors = require('../../lib/errors')
+
+const expect = require('chai').expect
+const sinon = require('sinon')
+
+afterEach(() => {
+  sinon.restore()
+})
+
+describe('oauth', () => {
+  describe('generateCodeVerifier', () => {
+    it('generates random verifiers of 43 unreserved characters', () => {
+      const verifier = oauth.generateCodeVerifier()
+
+      expect(verifier).to.match(/^[A-Za-z0-9\-._~]{43}$/)
+      expect(oauth.generateCodeVerifier()).to.not.equal(verifier)
+    })
+  })
+
+  describe('generateCodeChallenge', () => {
+    it('derives the S256 challenge of a verifier', () => {
+      // https://datatracker.ietf.org/doc/html/rfc7636#appendix-B
+      expect(oauth.generateCodeChallenge('dBjftJeZ4CVP-mB92K27uhbUJU1p1r_wW1gFWFOEjXk')).to.equal('E9Melhoa2OwvFrEMTJguCHaoeK1t8URWbuGJSstw-cM')
+    })
+  })
+
+  describe('generatePkce', () => {
+    it('generates a verifier and its challenge', () => {
+      const pkce = oauth.generatePkce()
+
+      expect(pkce.codeChallenge).to.equal(oauth.generateCodeChallenge(pkce.codeVerifier))
+      expect(pkce.codeChallengeMethod).to.equal('S256')
+    })
+  })
+
+  describe('generateState', () => {
+    it('generates random states', () => {
+      const state = oauth.generateState()
+
+      expect(state).to.match(/^[A-Za-z0-9\-_]{43}$/)
+      expect(oauth.generateState()).to.not.equal(state)
+    })
+
+    it('signs states with a secret', () => {
+      const state = oauth.generateState({ secret: 'secret', data: { returnTo: '/videos' } })
+
+      expect(state.split('.')).to.have.length(2)
+      expect(oauth.verifyState(state, { expected: state, secret: 'secret' })).to.deep.equal({ returnTo: '/videos' })
+    })
+  })
+
+  describe('verifyState', () => {
+    const verifyError = (state, options) => {
+      try {
+        oauth.verifyState(state, options)
+      } catch (err) {
+        return err
+      }
+    }
+
+    it('accepts the expected state', () => {
+      const state = oauth.generateState()
+
+      expect(oauth.verifyState(state, { expected: state })).to.equal(null)
+    })
+
+    it('rejects other states', () => {
+      const err = verifyError('other', { expected: oauth.generateState() })
+
+      expect(err).to.be.instanceOf(errors.VimeoOAuthError)
+      expect(err).to.include({ error: 'invalid_state', message: 'The state does not match.' })
+    })
+
+    it('rejects missing states', () => {
+      expect(verifyError(null, { expected: 'state' })).to.include({ error: 'invalid_state', message: 'The state is missing.' })
+      expect(verifyError('state', {})).to.include({ error: 'invalid_state' })
+    })
+
+    it('rejects states signed with another secret', () => {
+      const state = oauth.generateState({ secret: 'other' })
+
+      expect(verifyError(state, { expected: state, secret: 'secret' })).to.include({ error: 'invalid_state', message: 'The state signature is invalid.' })
+    })
+
+    it('rejects signed states that were not kept for the user', () => {
+      const state = oauth.generateState({ secret: 'secret' })
+
+      expect(verifyError(state, { secret: 'secret' })).to.include({ error: 'invalid_state', message: 'The state does not match.' })
+      expect(verifyError(state, { expected: oauth.generateState({ secret: 'secret' }), secret: 'secret' })).to.include({ error: 'invalid_state' })
+    })
+
+    it('rejects states with altered data', () => {
+      const state = oauth.generateState({ secret: 'secret', data: { returnTo: '/videos' } })
+      const payload = JSON.parse(Buffer.from(state.split('.')[0], 'base64').toString())
+      payload.data.returnTo = 'https://attacker.example'
+      const altered = Buffer.from(JSON.stringify(payload)).toString('base64') + '.' + state.split('.')[1]
+
+      expect(verifyError(altered, { expected: altered, secret: 'secret' })).to.include({ error: 'invalid_state' })
+    })
+
+    it('rejects expired states', () => {
+      const clock = sinon.useFakeTimers()
+      const state = oauth.generateState({ secret: 'secret', expiresIn: 1000 })
+      clock.tick(1000)
+
+      expect(verifyError(state, { expected: state, secret: 'secret' })).to.include({ error: 'expired_state', message: 'The state expired.' })
+    })
+
+    it('expires signed states after 10 minutes by default', () => {
+      const clock = sinon.useFakeTimers()
+      const state = oauth.generateState({ secret: 'secret' })
+      clock.tick(10 * 60 * 1000 - 1)
+
+      expect(oauth.verifyState(state, { expected: state, secret: 'secret' })).to.equal(null)
+    })
+  })
+})
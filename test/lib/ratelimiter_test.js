@@ -0,0 +1,109 @@
+/* eslint-env mocha */
+'use strict'
+
+const RateLimiter = require('../../lib/ratelimiter')
+
+const expect = require('chai').expect
+const sinon = require('sinon')
+
+afterEach(() => {
+  sinon.restore()
+})
+
+const headers = (remaining, reset) => ({
+  'x-ratelimit-limit': '100',
+  'x-ratelimit-remaining': String(remaining),
+  'x-ratelimit-reset': reset
+})
+
+describe('RateLimiter.parseHeaders', () => {
+  it('returns null if there are no rate limit headers', () => {
+    expect(RateLimiter.parseHeaders({})).to.equal(null)
+    expect(RateLimiter.parseHeaders(undefined)).to.equal(null)
+  })
+
+  it('parses the rate limit window', () => {
+    const state = RateLimiter.parseHeaders(headers(42, '2023-01-01T00:01:00+00:00'))
+    expect(state).to.deep.equal({ limit: 100, remaining: 42, reset: new Date('2023-01-01T00:01:00Z') })
+  })
+})
+
+describe('RateLimiter', () => {
+  let clock
+
+  beforeEach(() => {
+    clock = sinon.useFakeTimers(new Date('2023-01-01T00:00:00Z'))
+  })
+
+  it('sends requests immediately when not throttling', () => {
+    const limiter = new RateLimiter()
+    const fn = sinon.fake()
+
+    limiter.release(headers(0, '2023-01-01T00:01:00+00:00'))
+    limiter.schedule(fn)
+    limiter.schedule(fn)
+
+    sinon.assert.calledTwice(fn)
+  })
+
+  it('tracks the window from released requests', () => {
+    const limiter = new RateLimiter()
+    limiter.schedule(() => {})
+    limiter.release(headers(42, '2023-01-01T00:01:00+00:00'))
+
+    expect(limiter.state.remaining).to.equal(42)
+  })
+
+  describe('when throttling', () => {
+    it('sends a single request until the window is known', () => {
+      const limiter = new RateLimiter(true)
+      const first = sinon.fake()
+      const second = sinon.fake()
+
+      limiter.schedule(first)
+      limiter.schedule(second)
+      sinon.assert.calledOnce(first)
+      sinon.assert.notCalled(second)
+
+      limiter.release(headers(10, '2023-01-01T00:01:00+00:00'))
+      sinon.assert.calledOnce(second)
+    })
+
+    it('sends requests while the window has room, counting those in flight', () => {
+      const limiter = new RateLimiter(true)
+      const fn = sinon.fake()
+
+      limiter.update(headers(2, '2023-01-01T00:01:00+00:00'))
+      limiter.schedule(fn)
+      limiter.schedule(fn)
+      limiter.schedule(fn)
+
+      sinon.assert.calledTwice(fn)
+    })
+
+    it('holds requests until the window resets', () => {
+      const limiter = new RateLimiter(true)
+      const fn = sinon.fake()
+
+      limiter.update(headers(0, '2023-01-01T00:01:00+00:00'))
+      limiter.schedule(fn)
+      sinon.assert.notCalled(fn)
+
+      clock.tick(59999)
+      sinon.assert.notCalled(fn)
+
+      clock.tick(1)
+      sinon.assert.calledOnce(fn)
+      expect(limiter.state.remaining).to.equal(100)
+    })
+
+    it('leaves the reserve unused', () => {
+      const limiter = new RateLimiter({ reserve: 5 })
+      const fn = sinon.fake()
+
+      limiter.update(headers(5, '2023-01-01T00:01:00+00:00'))
+      limiter.schedule(fn)
+      sinon.assert.notCalled(fn)
+    })
+  })
+})
@@ -0,0 +1,87 @@
+/* eslint-env mocha */
+'use strict'
+
+const redact = require('../../lib/redact')
+
+const expect = require('chai').expect
+
+describe('redact', () => {
+  describe('headers', () => {
+    it('redacts the Authorization header', () => {
+      const headers = { Authorization: 'Basic aWQ6c2VjcmV0', Accept: 'application/json' }
+
+      expect(redact.headers(headers)).to.deep.equal({ Authorization: '[REDACTED]', Accept: 'application/json' })
+      expect(headers.Authorization).to.equal('Basic aWQ6c2VjcmV0')
+    })
+
+    it('ignores the case of header names', () => {
+      expect(redact.headers({ authorization: 'Bearer token' })).to.deep.equal({ authorization: '[REDACTED]' })
+    })
+  })
+
+  describe('path', () => {
+    it('redacts sensitive query parameters', () => {
+      expect(redact.path('/oauth/authorize?code=abc&state=xyz&access_token=token'))
+        .to.equal('/oauth/authorize?code=%5BREDACTED%5D&state=xyz&access_token=%5BREDACTED%5D')
+    })
+
+    it('returns paths without a query string as is', () => {
+      expect(redact.path('/me/videos')).to.equal('/me/videos')
+    })
+  })
+
+  describe('link', () => {
+    it('keeps only the protocol, host and port of a link', () => {
+      expect(redact.link('https://files.tus.vimeo.com/files/1?token=abc')).to.equal('https://files.tus.vimeo.com/[REDACTED]')
+      expect(redact.link('http://localhost:8080/upload/1')).to.equal('http://localhost:8080/[REDACTED]')
+    })
+  })
+
+  describe('value', () => {
+    it('redacts sensitive fields at any depth', () => {
+      const body = {
+        access_token: 'token',
+        user: { name: 'user' },
+        data: [{ upload: { approach: 'tus', upload_link: 'https://files.tus.vimeo.com/files/1' } }]
+      }
+
+      expect(redact.value(body)).to.deep.equal({
+        access_token: '[REDACTED]',
+        user: { name: 'user' },
+        data: [{ upload: { approach: 'tus', upload_link: '[REDACTED]' } }]
+      })
+      expect(body.access_token).to.equal('token')
+    })
+
+    it('redacts the secrets in strings', () => {
+      expect(redact.value({ error: 'Invalid client secret s3cr3t' }, ['s3cr3t', null])).to.deep.equal({ error: 'Invalid client secret [REDACTED]' })
+    })
+
+    it('returns other values as is', () => {
+      const buffer = Buffer.from('data')
+
+      expect(redact.value(buffer)).to.equal(buffer)
+      expect(redact.value(null)).to.equal(null)
+      expect(redact.value(1)).to.equal(1)
+    })
+  })
+  describe('body', () => {
+    it('redacts sensitive fields of JSON bodies', () => {
+      expect(redact.body('{"code":"abc","name":"Video"}')).to.deep.equal({ code: '[REDACTED]', name: 'Video' })
+    })
+
+    it('redacts sensitive fields of form-encoded bodies', () => {
+      expect(redact.body('grant_type=authorization_code&code=abc&code_verifier=def&redirect_uri=https%3A%2F%2Fexample.com')).to.deep.equal({
+        grant_type: 'authorization_code',
+        code: '[REDACTED]',
+        code_verifier: '[REDACTED]',
+        redirect_uri: 'https://example.com'
+      })
+    })
+
+    it('redacts the secrets in other strings', () => {
+      expect(redact.body('Invalid client secret s3cr3t', ['s3cr3t'])).to.equal('Invalid client secret [REDACTED]')
+      expect(redact.body('a sentence = not a form')).to.equal('a sentence = not a form')
+    })
+  })
+})
@@ -0,0 +1,61 @@
+/* eslint-env mocha */
+'use strict'
+
+const responseModule = require('../../lib/response')
+
+const expect = require('chai').expect
+
+describe('response', () => {
+  describe('getType', () => {
+    const getType = (contentType, responseType) => responseModule.getType({ 'content-type': contentType }, responseType)
+
+    it('parses JSON content types and responses without a content type', () => {
+      expect(getType('application/json')).to.equal('json')
+      expect(getType('application/vnd.vimeo.video+json; charset=utf-8')).to.equal('json')
+      expect(responseModule.getType({})).to.equal('json')
+    })
+
+    it('returns text and XML content types as text', () => {
+      expect(getType('text/plain')).to.equal('text')
+      expect(getType('text/vtt; charset=UTF-8')).to.equal('text')
+      expect(getType('text/html')).to.equal('text')
+      expect(getType('application/xml')).to.equal('text')
+      expect(getType('application/rss+xml')).to.equal('text')
+    })
+
+    it('returns other content types as buffers', () => {
+      expect(getType('image/jpeg')).to.equal('buffer')
+      expect(getType('application/octet-stream')).to.equal('buffer')
+    })
+
+    it('uses the responseType instead of the content type', () => {
+      expect(getType('application/json', 'text')).to.equal('text')
+      expect(getType('text/plain', 'json')).to.equal('json')
+      expect(getType('text/plain', 'buffer')).to.equal('buffer')
+    })
+  })
+
+  describe('parse', () => {
+    it('returns null for 204 responses', () => {
+      expect(responseModule.parse(204, 'json', '')).to.equal(null)
+      expect(responseModule.parse(204, 'text', '')).to.equal(null)
+    })
+
+    it('parses JSON', () => {
+      expect(responseModule.parse(200, 'json', '{"a": 1}')).to.deep.equal({ a: 1 })
+      expect(responseModule.parse(200, 'json', Buffer.from('{"a": 1}'))).to.deep.equal({ a: 1 })
+      expect(responseModule.parse(200, 'json', '')).to.deep.equal({})
+      expect(() => responseModule.parse(200, 'json', '<html>')).to.throw(SyntaxError)
+    })
+
+    it('returns text', () => {
+      expect(responseModule.parse(200, 'text', 'WEBVTT')).to.equal('WEBVTT')
+      expect(responseModule.parse(200, 'text', Buffer.from('WEBVTT'))).to.equal('WEBVTT')
+    })
+
+    it('returns buffers', () => {
+      expect(responseModule.parse(200, 'buffer', Buffer.from([1, 2]))).to.deep.equal(Buffer.from([1, 2]))
+      expect(responseModule.parse(200, 'buffer', 'ab')).to.deep.equal(Buffer.from('ab'))
+    })
+  })
+})
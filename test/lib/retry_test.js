@@ -0,0 +1,105 @@
+/* eslint-env mocha */
+'use strict'
+
+const retry = require('../../lib/retry')
+const VimeoApiError = require('../../lib/errors').VimeoApiError
+
+const expect = require('chai').expect
+const sinon = require('sinon')
+
+afterEach(() => {
+  sinon.restore()
+})
+
+describe('retry.resolvePolicy', () => {
+  it('returns null when retries are not enabled', () => {
+    expect(retry.resolvePolicy(null, undefined)).to.equal(null)
+  })
+
+  it('returns null when the request disables retries', () => {
+    expect(retry.resolvePolicy(true, false)).to.equal(null)
+  })
+
+  it('uses the defaults when enabled with `true`', () => {
+    expect(retry.resolvePolicy(true)).to.deep.equal(retry.defaults)
+    expect(retry.resolvePolicy(null, true)).to.deep.equal(retry.defaults)
+  })
+
+  it('applies the request policy over the client policy', () => {
+    const policy = retry.resolvePolicy({ maxAttempts: 5, minDelay: 10 }, { minDelay: 20 })
+    expect(policy.maxAttempts).to.equal(5)
+    expect(policy.minDelay).to.equal(20)
+    expect(policy.factor).to.equal(retry.defaults.factor)
+  })
+})
+
+describe('retry.shouldRetry', () => {
+  const policy = retry.resolvePolicy(true)
+
+  it('retries retryable status codes for idempotent methods', () => {
+    expect(retry.shouldRetry(policy, 'GET', 1, new VimeoApiError(503))).to.equal(true)
+    expect(retry.shouldRetry(policy, 'DELETE', 1, new VimeoApiError(429))).to.equal(true)
+  })
+
+  it('does not retry non-idempotent methods unless allowed', () => {
+    expect(retry.shouldRetry(policy, 'POST', 1, new VimeoApiError(503))).to.equal(false)
+
+    const allowPost = retry.resolvePolicy(true, { methods: ['GET', 'POST'] })
+    expect(retry.shouldRetry(allowPost, 'POST', 1, new VimeoApiError(503))).to.equal(true)
+  })
+
+  it('does not retry other status codes or network errors', () => {
+    expect(retry.shouldRetry(policy, 'GET', 1, new VimeoApiError(404))).to.equal(false)
+    expect(retry.shouldRetry(policy, 'GET', 1, new Error('socket hang up'))).to.equal(false)
+  })
+
+  it('stops after maxAttempts', () => {
+    expect(retry.shouldRetry(policy, 'GET', 3, new VimeoApiError(503))).to.equal(false)
+  })
+
+  it('does not retry without a policy or an error', () => {
+    expect(retry.shouldRetry(null, 'GET', 1, new VimeoApiError(503))).to.equal(false)
+    expect(retry.shouldRetry(policy, 'GET', 1, null)).to.equal(false)
+  })
+})
+
+describe('retry.getDelay', () => {
+  const policy = retry.resolvePolicy(true, { jitter: false })
+
+  it('backs off exponentially', () => {
+    const err = new VimeoApiError(503)
+    expect(retry.getDelay(policy, 1, err)).to.equal(1000)
+    expect(retry.getDelay(policy, 2, err)).to.equal(2000)
+    expect(retry.getDelay(policy, 3, err)).to.equal(4000)
+  })
+
+  it('never exceeds maxDelay', () => {
+    expect(retry.getDelay(policy, 10, new VimeoApiError(503))).to.equal(policy.maxDelay)
+  })
+
+  it('applies jitter between half and all of the delay', () => {
+    sinon.stub(Math, 'random').returns(0.5)
+    const jittered = retry.resolvePolicy(true)
+    expect(retry.getDelay(jittered, 2, new VimeoApiError(503))).to.equal(1500)
+  })
+
+  it('honors Retry-After in seconds', () => {
+    expect(retry.getDelay(policy, 1, new VimeoApiError(503, { 'retry-after': '7' }))).to.equal(7000)
+  })
+
+  it('honors Retry-After as a date', () => {
+    sinon.useFakeTimers(new Date('2023-01-01T00:00:00Z'))
+    const err = new VimeoApiError(503, { 'retry-after': 'Sun, 01 Jan 2023 00:00:05 GMT' })
+    expect(retry.getDelay(policy, 1, err)).to.equal(5000)
+  })
+
+  it('honors X-RateLimit-Reset when rate limited', () => {
+    sinon.useFakeTimers(new Date('2023-01-01T00:00:00Z'))
+    const err = new VimeoApiError(429, { 'x-ratelimit-reset': '2023-01-01T00:00:12+00:00' })
+    expect(retry.getDelay(policy, 1, err)).to.equal(12000)
+  })
+
+  it('returns -1 when the API asks for a delay longer than maxDelay', () => {
+    expect(retry.getDelay(policy, 1, new VimeoApiError(503, { 'retry-after': '3600' }))).to.equal(-1)
+  })
+})
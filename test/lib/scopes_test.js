@@ -0,0 +1,156 @@
+/* eslint-env mocha */
+'use strict'
+
+const scopes = require('../../lib/scopes')
+const errors = require('../../lib/errors')
+
+const expect = require('chai').expect
+const sinon = require('sinon')
+
+afterEach(() => {
+  sinon.restore()
+})
+
+describe('scopes.getRequiredScope', () => {
+  it('requires the upload scope for uploads', () => {
+    expect(scopes.getRequiredScope('POST', '/me/videos?fields=uri,name,upload')).to.equal('upload')
+    expect(scopes.getRequiredScope('POST', '/users/1/videos')).to.equal('upload')
+    expect(scopes.getRequiredScope('POST', '/videos/1/versions?fields=upload')).to.equal('upload')
+  })
+
+  it('requires the interact scope for interactions', () => {
+    expect(scopes.getRequiredScope('PUT', '/me/likes/1')).to.equal('interact')
+    expect(scopes.getRequiredScope('DELETE', '/me/watchlater/1')).to.equal('interact')
+    expect(scopes.getRequiredScope('POST', '/videos/1/comments')).to.equal('interact')
+  })
+
+  it('requires the delete scope for deletions', () => {
+    expect(scopes.getRequiredScope('DELETE', '/videos/1')).to.equal('delete')
+    expect(scopes.getRequiredScope('DELETE', '/me/albums/1')).to.equal('delete')
+  })
+
+  it('requires the edit scope for edits', () => {
+    expect(scopes.getRequiredScope('PATCH', '/videos/1')).to.equal('edit')
+    expect(scopes.getRequiredScope('PUT', '/albums/1/videos/2')).to.equal('edit')
+    expect(scopes.getRequiredScope('PATCH', '/me')).to.equal('edit')
+    expect(scopes.getRequiredScope('PATCH', '/videos/1/texttracks/2')).to.equal('edit')
+  })
+
+  it('does not check other requests', () => {
+    expect(scopes.getRequiredScope('GET', '/me/videos')).to.equal(null)
+    expect(scopes.getRequiredScope('POST', '/me/albums')).to.equal(null)
+    expect(scopes.getRequiredScope('DELETE', '/albums/1/videos/2')).to.equal(null)
+    expect(scopes.getRequiredScope('PUT', '/captions/1.vtt?token=abc')).to.equal(null)
+  })
+})
+
+describe('scopes.parse', () => {
+  it('parses scopes', () => {
+    expect(scopes.parse('public private  upload')).to.deep.equal(['public', 'private', 'upload'])
+    expect(scopes.parse(['public', 'edit'])).to.deep.equal(['public', 'edit'])
+  })
+})
+
+describe('ScopeGuard', () => {
+  const requestOptions = (method, path, host) => ({ method, host: host || 'api.vimeo.com', path, headers: {} })
+  const response = { statusCode: 200, body: {}, headers: {} }
+
+  it('sends requests the token has the scopes of', async () => {
+    const next = sinon.fake.resolves(response)
+    const guard = new scopes.ScopeGuard('public upload', sinon.fake(), 'api.vimeo.com')
+
+    expect(await guard.handle(requestOptions('POST', '/me/videos'), next, {})).to.equal(response)
+
+    sinon.assert.calledOnce(next)
+  })
+
+  it('fails requests the token lacks the scopes of', async () => {
+    const next = sinon.fake.resolves(response)
+    const guard = new scopes.ScopeGuard(['public'], sinon.fake(), 'api.vimeo.com')
+
+    const err = await guard.handle(requestOptions('POST', '/me/videos?fields=uri'), next, {}).catch((e) => e)
+
+    sinon.assert.notCalled(next)
+    expect(err).to.be.instanceOf(errors.InsufficientScopeError)
+    expect(err).to.include({ message: 'The access token is missing the upload scope required by POST /me/videos.', method: 'POST' })
+    expect(err.missingScopes).to.deep.equal(['upload'])
+    expect(err.scopes).to.deep.equal(['public'])
+  })
+
+  it('does not check requests to other hosts', async () => {
+    const next = sinon.fake.resolves(response)
+    const guard = new scopes.ScopeGuard('public', sinon.fake(), 'api.vimeo.com')
+
+    const result = await guard.handle(requestOptions('PUT', '/videos/1', 'captions.cloud.vimeo.com'), next, {})
+
+    expect(result).to.equal(response)
+  })
+
+  it('checks the scopes of the request options', async () => {
+    const guard = new scopes.ScopeGuard('public', sinon.fake(), 'api.vimeo.com')
+
+    const err = await guard.handle(requestOptions('POST', '/me/albums'), sinon.fake(), { scope: ['create', 'edit'] }).catch((e) => e)
+    const skipped = await guard.handle(requestOptions('PATCH', '/videos/1'), sinon.fake.resolves(response), { scope: false })
+
+    expect(err.message).to.equal('The access token is missing the create, edit scopes required by POST /me/albums.')
+    expect(skipped).to.equal(response)
+  })
+
+  it('verifies the token once when its scopes are unknown', async () => {
+    const verify = sinon.fake.resolves('public edit')
+    const guard = new scopes.ScopeGuard(null, verify, 'api.vimeo.com')
+
+    await Promise.all([
+      guard.handle(requestOptions('PATCH', '/videos/1'), sinon.fake.resolves(response), {}),
+      guard.handle(requestOptions('PATCH', '/videos/2'), sinon.fake.resolves(response), {})
+    ])
+    const err = await guard.handle(requestOptions('DELETE', '/videos/1'), sinon.fake(), {}).catch((e) => e)
+
+    sinon.assert.calledOnce(verify)
+    expect(guard.scopes).to.deep.equal(['public', 'edit'])
+    expect(err.missingScopes).to.deep.equal(['delete'])
+  })
+
+  it('does not verify the token for requests without scopes', async () => {
+    const verify = sinon.fake()
+
+    await new scopes.ScopeGuard(null, verify, 'api.vimeo.com').handle(requestOptions('GET', '/me'), sinon.fake.resolves(response), {})
+
+    sinon.assert.notCalled(verify)
+  })
+
+  it('verifies the token again after a failed verification', async () => {
+    const verify = sinon.stub()
+    verify.onFirstCall().rejects(new Error('Request Error'))
+    verify.onSecondCall().resolves('edit')
+    const guard = new scopes.ScopeGuard(null, verify, 'api.vimeo.com')
+
+    const err = await guard.handle(requestOptions('PATCH', '/me'), sinon.fake(), {}).catch((e) => e)
+    const result = await guard.handle(requestOptions('PATCH', '/me'), sinon.fake.resolves(response), {})
+
+    expect(err.message).to.equal('Request Error')
+    expect(result).to.equal(response)
+  })
+
+  it('uses the scopes of the issued token when it is set', () => {
+    const guard = new scopes.ScopeGuard(null, sinon.fake(), 'api.vimeo.com')
+
+    guard.issued('issued', 'public upload')
+    guard.set(undefined, 'other')
+    expect(guard.scopes).to.equal(null)
+
+    guard.set(undefined, 'issued')
+    expect(guard.scopes).to.deep.equal(['public', 'upload'])
+
+    guard.set('public', 'issued')
+    expect(guard.scopes).to.deep.equal(['public'])
+  })
+
+  it('forgets the scopes when they are set to null', () => {
+    const guard = new scopes.ScopeGuard('public', sinon.fake(), 'api.vimeo.com')
+
+    guard.set(null)
+
+    expect(guard.scopes).to.equal(null)
+  })
+})
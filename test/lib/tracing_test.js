@@ -0,0 +1,283 @@
+/* eslint-env mocha */
+'use strict'
+
+const api = require('@opentelemetry/api')
+const AsyncHooksContextManager = require('@opentelemetry/context-async-hooks').AsyncHooksContextManager
+const tracingModule = require('../../lib/tracing')
+const Tracing = tracingModule.Tracing
+
+const expect = require('chai').expect
+const sinon = require('sinon')
+
+afterEach(() => {
+  sinon.restore()
+})
+
+const fakeTracer = () => {
+  const tracer = { spans: [] }
+
+  tracer.startSpan = (name, options, context) => {
+    const span = {
+      name,
+      kind: options.kind,
+      attributes: Object.assign({}, options.attributes),
+      parent: api.trace.getSpan(context),
+      status: null,
+      exceptions: [],
+      ended: false,
+      spanContext: () => ({ traceId: '0af7651916cd43dd8448eb211c80319c', spanId: 'b7ad6b71692033' + String(tracer.spans.indexOf(span)).padStart(2, '0'), traceFlags: 1 }),
+      setAttribute: (key, value) => { span.attributes[key] = value },
+      setStatus: (status) => { span.status = status },
+      recordException: (err) => span.exceptions.push(err),
+      end: () => { span.ended = true }
+    }
+
+    tracer.spans.push(span)
+    return span
+  }
+
+  return tracer
+}
+
+// Writes the `traceparent` header of the span of the context.
+const fakePropagator = {
+  inject: (context, carrier, setter) => {
+    const spanContext = api.trace.getSpan(context).spanContext()
+    setter.set(carrier, 'traceparent', '00-' + spanContext.traceId + '-' + spanContext.spanId + '-01')
+  },
+  extract: (context) => context,
+  fields: () => ['traceparent']
+}
+
+const requestOptions = (overrides) => Object.assign({
+  method: 'GET',
+  protocol: 'https:',
+  host: 'api.vimeo.com',
+  port: 443,
+  path: '/me/videos?page=2',
+  headers: { Authorization: 'Bearer token' }
+}, overrides)
+
+describe('Tracing', () => {
+  let contextManager, tracer, tracing
+
+  before(() => {
+    contextManager = new AsyncHooksContextManager().enable()
+    api.context.setGlobalContextManager(contextManager)
+    api.propagation.setGlobalPropagator(fakePropagator)
+  })
+
+  after(() => {
+    api.context.disable()
+    api.propagation.disable()
+  })
+
+  beforeEach(() => {
+    tracer = fakeTracer()
+    tracing = new Tracing(api, { tracer })
+  })
+
+  it('is created when @opentelemetry/api is installed', () => {
+    expect(tracingModule.create(true)).to.be.instanceOf(Tracing)
+    expect(tracingModule.create({ tracer }).tracer).to.equal(tracer)
+  })
+
+  describe('handle', () => {
+    it('creates a client span with the HTTP attributes of the request', async () => {
+      const next = sinon.fake.resolves({ statusCode: 200, body: {}, headers: {} })
+
+      await tracing.handle(requestOptions(), next)
+
+      expect(tracer.spans).to.have.length(1)
+      expect(tracer.spans[0]).to.include({ name: 'GET', kind: api.SpanKind.CLIENT, ended: true })
+      expect(tracer.spans[0].attributes).to.include({
+        'http.request.method': 'GET',
+        'server.address': 'api.vimeo.com',
+        'server.port': 443,
+        'url.full': 'https://api.vimeo.com/me/videos?page=2',
+        'url.path': '/me/videos',
+        'http.response.status_code': 200
+      })
+    })
+
+    it('includes ports that are not the default port of the protocol in the URL', async () => {
+      const next = sinon.fake.resolves({ statusCode: 200, body: {}, headers: {} })
+
+      await tracing.handle(requestOptions({ protocol: 'http:', host: 'localhost', port: 8080 }), next)
+
+      expect(tracer.spans[0].attributes['url.full']).to.equal('http://localhost:8080/me/videos?page=2')
+    })
+
+    it('redacts credentials in the URL', async () => {
+      const next = sinon.fake.resolves({ statusCode: 200, body: {}, headers: {} })
+
+      await tracing.handle(requestOptions({ path: '/oauth/verify?access_token=token' }), next)
+
+      expect(tracer.spans[0].attributes['url.full']).to.equal('https://api.vimeo.com/oauth/verify?access_token=%5BREDACTED%5D')
+    })
+
+    it('propagates the trace context through the request headers', async () => {
+      const options = requestOptions()
+      const next = sinon.fake.resolves({ statusCode: 200, body: {}, headers: {} })
+
+      await tracing.handle(options, next)
+
+      expect(options.headers.traceparent).to.equal('00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203300-01')
+    })
+
+    it('runs the rest of the request in the context of the span', async () => {
+      let activeSpan
+      const next = () => {
+        activeSpan = api.trace.getSpan(api.context.active())
+        return Promise.resolve({ statusCode: 200, body: {}, headers: {} })
+      }
+
+      await tracing.handle(requestOptions(), next)
+
+      expect(activeSpan).to.equal(tracer.spans[0])
+    })
+
+    it('records the request id, the rate limit and the retries of the response', async () => {
+      const headers = { 'x-request-id': 'abc', 'x-ratelimit-remaining': '99' }
+      const next = sinon.fake.resolves({ statusCode: 200, body: {}, headers, meta: { retries: 2 } })
+
+      await tracing.handle(requestOptions(), next)
+
+      expect(tracer.spans[0].attributes).to.include({
+        'vimeo.request_id': 'abc',
+        'vimeo.ratelimit.remaining': 99,
+        'http.request.resend_count': 2
+      })
+    })
+
+    it('records errors', async () => {
+      const error = new Error('Not found')
+      error.statusCode = 404
+      error.headers = { 'x-request-id': 'abc' }
+      const next = sinon.fake.rejects(error)
+
+      const err = await tracing.handle(requestOptions(), next).catch((e) => e)
+
+      expect(err).to.equal(error)
+      expect(tracer.spans[0]).to.include({ ended: true })
+      expect(tracer.spans[0].status).to.deep.equal({ code: api.SpanStatusCode.ERROR, message: 'Not found' })
+      expect(tracer.spans[0].exceptions).to.deep.equal([error])
+      expect(tracer.spans[0].attributes).to.include({
+        'http.response.status_code': 404,
+        'vimeo.request_id': 'abc',
+        'error.type': '404'
+      })
+    })
+
+    it('records network errors by their name', async () => {
+      const next = sinon.fake.rejects(new TypeError('socket hang up'))
+
+      await tracing.handle(requestOptions(), next).catch(() => {})
+
+      expect(tracer.spans[0].attributes['error.type']).to.equal('TypeError')
+    })
+  })
+
+  describe('traceUpload', () => {
+    it('ends the span once the upload completes', () => {
+      const onComplete = sinon.fake()
+      let activeSpan
+
+      tracing.traceUpload('vimeo.upload', { 'vimeo.upload.size': 5 }, onComplete, sinon.fake(), (complete) => {
+        activeSpan = api.trace.getSpan(api.context.active())
+        complete('/videos/1')
+      })
+
+      sinon.assert.calledWith(onComplete, '/videos/1')
+      expect(activeSpan).to.equal(tracer.spans[0])
+      expect(tracer.spans[0]).to.include({ name: 'vimeo.upload', kind: api.SpanKind.CLIENT, ended: true, status: null })
+      expect(tracer.spans[0].attributes).to.deep.equal({ 'vimeo.upload.size': 5, 'vimeo.video.uri': '/videos/1' })
+    })
+
+    it('records errors of the upload', () => {
+      const onError = sinon.fake()
+
+      tracing.traceUpload('vimeo.upload', {}, sinon.fake(), onError, (complete, fail) => {
+        fail('Unable to initiate an upload. [Error: failed]')
+      })
+
+      sinon.assert.calledWith(onError, 'Unable to initiate an upload. [Error: failed]')
+      expect(tracer.spans[0].ended).to.equal(true)
+      expect(tracer.spans[0].status).to.deep.equal({ code: api.SpanStatusCode.ERROR, message: 'Unable to initiate an upload. [Error: failed]' })
+      expect(tracer.spans[0].exceptions).to.deep.equal([])
+    })
+  })
+
+  describe('wrapHttpStack', () => {
+    let request, httpStack
+
+    beforeEach(() => {
+      request = {
+        headers: {},
+        setHeader: (name, value) => { request.headers[name] = value },
+        send: sinon.fake.resolves({ getStatus: () => 204 })
+      }
+      httpStack = {
+        createRequest: sinon.fake.returns(request),
+        getName: () => 'NodeHttpStack'
+      }
+    })
+
+    it('creates a span for each request sent, child of the upload', async () => {
+      const uploadSpan = tracer.startSpan('vimeo.upload', {}, api.context.active())
+      let wrapped
+
+      api.context.with(api.trace.setSpan(api.context.active(), uploadSpan), () => {
+        wrapped = tracing.wrapHttpStack(httpStack)
+      })
+
+      const send = request.send
+      const req = wrapped.createRequest('PATCH', 'https://files.tus.vimeo.com/files/1')
+      await req.send('chunk')
+
+      sinon.assert.calledWith(httpStack.createRequest, 'PATCH', 'https://files.tus.vimeo.com/files/1')
+      sinon.assert.calledWith(send, 'chunk')
+      expect(wrapped.getName()).to.equal('NodeHttpStack')
+      expect(tracer.spans[1]).to.include({ name: 'PATCH', kind: api.SpanKind.CLIENT, parent: uploadSpan, ended: true })
+      expect(tracer.spans[1].attributes).to.deep.equal({
+        'http.request.method': 'PATCH',
+        'server.address': 'files.tus.vimeo.com',
+        'server.port': 443,
+        'url.full': 'https://files.tus.vimeo.com/[REDACTED]',
+        'http.response.status_code': 204
+      })
+      expect(request.headers.traceparent).to.equal('00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203301-01')
+    })
+
+    it('does not record the upload link', async () => {
+      const uploadLink = 'https://us-files.tus.vimeo.com/files/vimeo-prod-src-tus-us/0123456789abcdef?token=signature'
+
+      await tracing.wrapHttpStack(httpStack).createRequest('PATCH', uploadLink).send()
+
+      const attributes = JSON.stringify(tracer.spans[0].attributes)
+      expect(attributes).to.not.include('0123456789abcdef')
+      expect(attributes).to.not.include('signature')
+      expect(tracer.spans[0].attributes['url.full']).to.equal('https://us-files.tus.vimeo.com/[REDACTED]')
+    })
+
+    it('records error responses', async () => {
+      request.send = sinon.fake.resolves({ getStatus: () => 460 })
+
+      await tracing.wrapHttpStack(httpStack).createRequest('PATCH', 'https://files.tus.vimeo.com/files/1').send()
+
+      expect(tracer.spans[0].status).to.deep.equal({ code: api.SpanStatusCode.ERROR })
+      expect(tracer.spans[0].attributes['error.type']).to.equal('460')
+    })
+
+    it('records network errors', async () => {
+      const error = new Error('socket hang up')
+      request.send = sinon.fake.rejects(error)
+
+      const err = await tracing.wrapHttpStack(httpStack).createRequest('PATCH', 'https://files.tus.vimeo.com/files/1').send().catch((e) => e)
+
+      expect(err).to.equal(error)
+      expect(tracer.spans[0].ended).to.equal(true)
+      expect(tracer.spans[0].exceptions).to.deep.equal([error])
+    })
+  })
+})
@@ -0,0 +1,31 @@
+/* eslint-env mocha */
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+const vimeoModule = require('../../index')
+
+const expect = require('chai').expect
+
+// `npm run types` checks that the declarations are usable, this checks that they cover the library.
+describe('index.d.ts', () => {
+  const declarations = fs.readFileSync(path.join(__dirname, '../../index.d.ts'), 'utf8')
+  const classBody = declarations.slice(
+    declarations.indexOf('export declare class Vimeo '),
+    declarations.indexOf('export declare class VimeoApiError')
+  )
+
+  it('declares every export', () => {
+    Object.keys(vimeoModule).forEach((name) => {
+      expect(declarations).to.match(new RegExp('export declare (class|function|const) ' + name + '\\b'), name)
+    })
+  })
+
+  it('declares every public method of the client', () => {
+    Object.keys(vimeoModule.Vimeo.prototype)
+      .filter((name) => name.charAt(0) !== '_')
+      .forEach((name) => {
+        expect(classBody).to.match(new RegExp('\\n  ' + name + '(<[^>]+>)? \\('), name)
+      })
+  })
+})
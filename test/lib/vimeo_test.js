@@ -2,12 +2,22 @@
 'use strict'
 
 const Vimeo = require('../../lib/vimeo').Vimeo
+const VimeoApiError = require('../../lib/vimeo').VimeoApiError
+const VimeoTimeoutError = require('../../lib/vimeo').VimeoTimeoutError
+const VimeoAbortError = require('../../lib/vimeo').VimeoAbortError
 const requestDefaults = require('../../lib/vimeo').request_defaults
 const authEndpoints = require('../../lib/vimeo').authEndpoints
+const generatePkce = require('../../lib/vimeo').generatePkce
+const generateState = require('../../lib/vimeo').generateState
+const VimeoOAuthError = require('../../lib/vimeo').VimeoOAuthError
+const InsufficientScopeError = require('../../lib/vimeo').InsufficientScopeError
 const http = require('http') // Needed for mocking
 const https = require('https') // Needed for mocking
 const fs = require('fs') // Needed for mocking
 const events = require('events')
+const os = require('os')
+const path = require('path')
+const tus = require('tus-js-client') // Needed for mocking
 
 const expect = require('chai').expect
 const sinon = require('sinon')
@@ -45,6 +55,142 @@ describe('Vimeo.buildAuthorizationEndpoint', () => {
     expect(url).to.contain(requestDefaults.protocol)
     expect(url).to.contain(requestDefaults.hostname)
   })
+
+  it('adds the PKCE code challenge', () => {
+    const url = vimeo.buildAuthorizationEndpoint(REDIRECT_URL, 'public', 'state', 'challenge')
+    expect(url).to.contain('code_challenge=challenge&code_challenge_method=S256')
+  })
+
+  it('accepts the result of generatePkce', () => {
+    const pkce = generatePkce()
+    const url = new URL(vimeo.buildAuthorizationEndpoint(REDIRECT_URL, 'public', 'state', pkce))
+    expect(url.searchParams.get('code_challenge')).to.equal(pkce.codeChallenge)
+    expect(url.searchParams.get('code_challenge_method')).to.equal('S256')
+  })
+})
+
+describe('Vimeo client options', () => {
+  it('uses request_defaults when no options are provided', () => {
+    const vimeo = new Vimeo('id', 'secret', 'token')
+    const requestOptions = vimeo._buildRequestOptions({ path: '/path' })
+
+    expect(requestOptions.protocol).to.equal(requestDefaults.protocol)
+    expect(requestOptions.host).to.equal(requestDefaults.hostname)
+    expect(requestOptions.port).to.equal(requestDefaults.port)
+    expect(requestOptions.headers.Accept).to.equal(requestDefaults.headers.Accept)
+    expect(requestOptions.headers['User-Agent']).to.equal(requestDefaults.headers['User-Agent'])
+    expect(vimeo._getRequestDefaults().timeout).to.equal(undefined)
+  })
+
+  it('applies the options to requests of that client only', () => {
+    const vimeo = new Vimeo('id', 'secret', 'token', {
+      baseUrl: 'http://localhost:8080',
+      apiVersion: '3.5',
+      userAgent: 'my-app/1.0',
+      headers: { 'X-Custom': 'value' },
+      timeout: 5000
+    })
+    const other = new Vimeo('id', 'secret', 'token')
+
+    const requestOptions = vimeo._buildRequestOptions({ path: '/path' })
+    expect(requestOptions.protocol).to.equal('http:')
+    expect(requestOptions.host).to.equal('localhost')
+    expect(requestOptions.port).to.equal(8080)
+    expect(requestOptions.headers.Accept).to.equal('application/vnd.vimeo.*+json;version=3.5')
+    expect(requestOptions.headers['User-Agent']).to.equal(requestDefaults.headers['User-Agent'] + ' my-app/1.0')
+    expect(requestOptions.headers['X-Custom']).to.equal('value')
+    expect(vimeo._getRequestDefaults().timeout).to.equal(5000)
+
+    const otherOptions = other._buildRequestOptions({ path: '/path' })
+    expect(otherOptions.host).to.equal(requestDefaults.hostname)
+    expect(otherOptions.headers).to.not.have.property('X-Custom')
+    expect(requestDefaults.headers).to.not.have.property('X-Custom')
+  })
+
+  it('uses the default port of the protocol', () => {
+    const vimeo = new Vimeo('id', 'secret', 'token', { baseUrl: 'https://api.example.com' })
+    expect(vimeo._buildRequestOptions({ path: '/path' }).port).to.equal(443)
+  })
+
+  it('lets request options override the client options', () => {
+    const vimeo = new Vimeo('id', 'secret', 'token', { baseUrl: 'http://localhost:8080', headers: { Accept: 'a' } })
+    const requestOptions = vimeo._buildRequestOptions({ path: '/path', hostname: 'example.com', headers: { Accept: 'b' } })
+
+    expect(requestOptions.host).to.equal('example.com')
+    expect(requestOptions.headers.Accept).to.equal('b')
+  })
+
+  it('builds the authorization endpoint from the client options', () => {
+    const vimeo = new Vimeo('id', 'secret', 'token', { baseUrl: 'http://localhost:8080' })
+    expect(vimeo.buildAuthorizationEndpoint('https://myapp.com/login')).to.match(/^http:\/\/localhost:8080\/oauth\/authorize\?/)
+  })
+
+  it('sends OAuth requests to the client host', () => {
+    const vimeo = new Vimeo('id', 'secret', 'token', { baseUrl: 'http://localhost:8080' })
+    const mockRequest = sinon.fake()
+    sinon.replace(vimeo, 'request', mockRequest)
+
+    vimeo.accessToken('code', 'redirect', () => {})
+    vimeo.generateClientCredentials('public', () => {})
+    sinon.assert.alwaysCalledWith(mockRequest, sinon.match({ hostname: 'localhost' }))
+  })
+
+  it('sends requests through the transport', async () => {
+    const transport = sinon.fake((requestOptions, callOptions, done) => {
+      done(null, { statusCode: 200, body: { access_token: 'token' }, headers: {} })
+    })
+    const mockHttpsRequest = sinon.fake()
+    sinon.replace(https, 'request', mockHttpsRequest)
+    const vimeo = new Vimeo('id', 'secret', null, { transport, timeout: 1000 })
+
+    const response = await vimeo.generateClientCredentials('public')
+
+    expect(response.body.access_token).to.equal('token')
+    sinon.assert.calledWith(transport, sinon.match({ method: 'POST', path: '/oauth/authorize/client' }), sinon.match({ timeout: 1000 }))
+    sinon.assert.notCalled(mockHttpsRequest)
+  })
+})
+
+describe('Vimeo._getAgent', () => {
+  it('uses keep-alive agents by default', () => {
+    const vimeo = new Vimeo('id', 'secret', 'token', { proxy: false })
+    const agent = vimeo._getAgent('https:', 'api.vimeo.com', 443)
+
+    expect(agent).to.be.an.instanceOf(https.Agent)
+    expect(agent.keepAlive).to.equal(true)
+    expect(vimeo._getAgent('https:', 'api.vimeo.com', 443)).to.equal(agent)
+    expect(vimeo._getAgent('http:', 'localhost', 8080)).to.be.an.instanceOf(http.Agent)
+  })
+
+  it('applies maxSockets to the agents', () => {
+    const vimeo = new Vimeo('id', 'secret', 'token', { maxSockets: 10 })
+    expect(vimeo._getAgent('https:', 'api.vimeo.com', 443).maxSockets).to.equal(10)
+  })
+
+  it('uses the custom agent for requests made with its protocol', () => {
+    const agent = new https.Agent()
+    const vimeo = new Vimeo('id', 'secret', 'token', { agent })
+
+    expect(vimeo._getAgent('https:', 'api.vimeo.com', 443)).to.equal(agent)
+    expect(vimeo._getAgent('http:', 'localhost', 8080)).to.not.equal(agent)
+  })
+
+  it('uses a separate agent for proxied hosts', () => {
+    const vimeo = new Vimeo('id', 'secret', 'token', { proxy: 'http://proxy.example.com:3128' })
+    expect(vimeo._getAgent('https:', 'api.vimeo.com', 443)).to.not.equal(new Vimeo('id', 'secret', 'token', { proxy: false })._getAgent('https:', 'api.vimeo.com', 443))
+    expect(vimeo._getAgent('https:', 'api.vimeo.com', 443)).to.have.own.property('createConnection')
+  })
+
+  it('sends requests with the agent', () => {
+    const vimeo = new Vimeo('id', 'secret', 'token')
+    const mockReq = new events.EventEmitter()
+    mockReq.end = sinon.fake()
+    const mockHttpsRequest = sinon.fake.returns(mockReq)
+    sinon.replace(https, 'request', mockHttpsRequest)
+
+    vimeo.request({ path: '/path' }, () => {})
+    sinon.assert.calledWith(mockHttpsRequest, sinon.match({ agent: vimeo._getAgent('https:', 'api.vimeo.com', 443) }))
+  })
 })
 
 describe('Vimeo.generateClientCredentials', () => {
@@ -211,6 +357,39 @@ describe('Vimeo.accessToken', () => {
     sinon.assert.calledWith(mockRequest, sinon.match(expectedPayload))
   })
 
+  it('sends the PKCE code verifier with the client identifier', () => {
+    const mockRequest = sinon.fake()
+    sinon.replace(vimeo, 'request', mockRequest)
+
+    vimeo.accessToken(CODE, REDIRECT_URI, 'verifier', () => {})
+
+    sinon.assert.calledWith(mockRequest, sinon.match({
+      query: {
+        grant_type: 'authorization_code',
+        code: CODE,
+        redirect_uri: REDIRECT_URI,
+        client_id: 'id',
+        code_verifier: 'verifier'
+      }
+    }))
+  })
+
+  it('accepts the result of generatePkce', async () => {
+    const pkce = generatePkce()
+    const requestStub = sinon.stub(vimeo, 'request').resolves('Success.')
+
+    await vimeo.accessToken(CODE, REDIRECT_URI, pkce)
+
+    sinon.assert.calledWith(requestStub, sinon.match({ query: sinon.match({ code_verifier: pkce.codeVerifier }) }))
+  })
+
+  it('exchanges codes without a client secret', () => {
+    const publicClient = new Vimeo('id', null)
+    const requestOptions = publicClient._buildRequestOptions({ method: 'POST', path: authEndpoints.accessToken })
+
+    expect(requestOptions.headers).to.not.have.property('Authorization')
+  })
+
   describe('callback is called with the expected parameters', () => {
     it('request returns an error', () => {
       const error = 'Request Error'
@@ -284,301 +463,1519 @@ describe('Vimeo.accessToken', () => {
   })
 })
 
-describe('Vimeo.setAccessToken', () => {
-  const vimeo = new Vimeo('id', 'secret', 'token')
+describe('Vimeo.handleAuthorizationCallback', () => {
+  const vimeo = new Vimeo('id', 'secret')
+  const REDIRECT_URI = 'https://example.com/callback'
 
-  it('changes the access token', () => {
-    vimeo.setAccessToken('token2')
-    expect(vimeo._accessToken).to.equal('token2')
+  it('verifies the state and exchanges the code', async () => {
+    const state = generateState({ secret: 'state secret', data: { returnTo: '/videos' } })
+    const requestStub = sinon.stub(vimeo, 'request').resolves({ statusCode: 200, body: { access_token: 'token' }, headers: {} })
+
+    const response = await vimeo.handleAuthorizationCallback(REDIRECT_URI + '?code=code&state=' + state, { state, stateSecret: 'state secret' })
+
+    sinon.assert.calledWith(requestStub, sinon.match({
+      path: authEndpoints.accessToken,
+      query: { grant_type: 'authorization_code', code: 'code', redirect_uri: REDIRECT_URI }
+    }))
+    expect(response.body).to.deep.equal({ access_token: 'token' })
+    expect(response.stateData).to.deep.equal({ returnTo: '/videos' })
   })
-})
 
-describe('Vimeo._applyQuerystringParams', () => {
-  const vimeo = new Vimeo('id', 'secret', 'token')
-  const PATH = '/path'
-  const PATH_QS = '/path?a=b'
-  const QS = { c: 'd' }
+  it('accepts paths with the redirect URI and a PKCE code verifier', async () => {
+    const requestStub = sinon.stub(vimeo, 'request').resolves({ statusCode: 200, body: {}, headers: {} })
 
-  it('returns the path if no query is passed', () => {
-    const newPath = vimeo._applyQuerystringParams({ path: PATH }, {})
-    expect(newPath).to.equal(PATH)
+    const response = await vimeo.handleAuthorizationCallback('/callback?code=code&state=abc', { redirectUri: REDIRECT_URI, state: 'abc', codeVerifier: 'verifier' })
+
+    sinon.assert.calledWith(requestStub, sinon.match({ query: sinon.match({ redirect_uri: REDIRECT_URI, code_verifier: 'verifier' }) }))
+    expect(response.stateData).to.equal(null)
   })
 
-  it('returns the path if no query is passed', () => {
-    const newPath = vimeo._applyQuerystringParams({ path: PATH_QS }, {})
-    expect(newPath).to.equal(PATH_QS)
+  it('fails if the user denied access', async () => {
+    const requestSpy = sinon.spy(vimeo, 'request')
+
+    const err = await vimeo.handleAuthorizationCallback(REDIRECT_URI + '?error=access_denied&error_description=Denied.&state=abc', { state: 'abc' }).catch((e) => e)
+
+    expect(err).to.be.instanceOf(VimeoOAuthError)
+    expect(err).to.include({ error: 'access_denied', error_description: 'Denied.', message: 'Denied.' })
+    sinon.assert.notCalled(requestSpy)
   })
 
-  it('adds the query string after the ?', () => {
-    const newPath = vimeo._applyQuerystringParams({ path: PATH }, { query: QS })
-    expect(newPath).to.equal(PATH + '?c=d')
+  it('fails without sending a request if the state is invalid', async () => {
+    const requestSpy = sinon.spy(vimeo, 'request')
+
+    const err = await vimeo.handleAuthorizationCallback(REDIRECT_URI + '?code=code&state=forged', { state: 'abc' }).catch((e) => e)
+
+    expect(err).to.be.instanceOf(VimeoOAuthError)
+    expect(err.error).to.equal('invalid_state')
+    sinon.assert.notCalled(requestSpy)
   })
 
-  it('appens the query string after the &', () => {
-    const newPath = vimeo._applyQuerystringParams({ path: PATH_QS }, { query: QS })
-    expect(newPath).to.equal(PATH_QS + '&c=d')
+  it('fails with a signed state that was not kept for the user', async () => {
+    const requestSpy = sinon.spy(vimeo, 'request')
+    const state = generateState({ secret: 'state secret' })
+
+    const err = await vimeo.handleAuthorizationCallback(REDIRECT_URI + '?code=code&state=' + state, { stateSecret: 'state secret' }).catch((e) => e)
+
+    expect(err).to.be.instanceOf(VimeoOAuthError)
+    expect(err.error).to.equal('invalid_state')
+    sinon.assert.notCalled(requestSpy)
   })
-})
 
-describe('Vimeo.request', () => {
-  const vimeo = new Vimeo('id', 'secret', 'token')
-  let mockHttpRequest, mockHttpsRequest, mockReq, handleRequestStub
-  beforeEach(() => {
-    mockReq = new events.EventEmitter()
-    mockReq.on = sinon.fake(mockReq.on)
-    mockReq.end = sinon.fake()
-    mockReq.write = sinon.fake()
+  it('fails if the code is missing', async () => {
+    const err = await vimeo.handleAuthorizationCallback(REDIRECT_URI + '?state=abc', { state: 'abc' }).catch((e) => e)
 
-    mockHttpRequest = sinon.fake.returns(mockReq)
-    sinon.replace(http, 'request', mockHttpRequest)
-    mockHttpsRequest = sinon.fake.returns(mockReq)
-    sinon.replace(https, 'request', mockHttpsRequest)
+    expect(err).to.include({ error: 'invalid_request' })
   })
 
-  describe('callback function is used when passed in', () => {
-    it('calls callback with an error if options has no path', () => {
+  it('requires the redirect URI with relative URLs', async () => {
+    const err = await vimeo.handleAuthorizationCallback('/callback?code=code&state=abc', { state: 'abc' }).catch((e) => e)
+
+    expect(err).to.be.instanceOf(TypeError)
+  })
+
+  describe('callback is called with the expected parameters', () => {
+    it('request is successful', () => {
+      sinon.replace(vimeo, 'request', sinon.fake.yields(null, { access_token: 'token' }, 200, {}))
+      const state = generateState({ secret: 'state secret', data: 'data' })
       const mockCallback = sinon.fake()
-      vimeo.request({}, mockCallback)
 
-      sinon.assert.calledOnce(mockCallback)
-      sinon.assert.calledWith(mockCallback, sinon.match.instanceOf(Error))
+      vimeo.handleAuthorizationCallback(REDIRECT_URI + '?code=code&state=' + state, { state, stateSecret: 'state secret' }, mockCallback)
+
+      sinon.assert.calledOnceWithExactly(mockCallback, null, { access_token: 'token' }, 200, {}, 'data')
     })
 
-    it('parses options if passed as a string', () => {
-      vimeo.request('https://example.com:1234/path', () => { })
+    it('the state is invalid', () => {
+      const mockCallback = sinon.fake()
 
-      sinon.assert.calledOnce(mockHttpsRequest)
-      sinon.assert.calledWith(mockHttpsRequest, sinon.match({ method: 'GET', path: '/path', host: 'example.com', port: '1234' }))
+      vimeo.handleAuthorizationCallback(REDIRECT_URI + '?code=code', { state: 'abc' }, mockCallback)
+
+      sinon.assert.calledOnceWithExactly(mockCallback, sinon.match.instanceOf(VimeoOAuthError), null)
     })
+  })
+})
 
-    it('adds a leading slash if missing', () => {
-      vimeo.request({ path: 'path' }, () => { })
+describe('Vimeo.verifyToken', () => {
+  const vimeo = new Vimeo('id', 'secret', 'token')
 
-      sinon.assert.calledOnce(mockHttpsRequest)
-      sinon.assert.calledWith(mockHttpsRequest, sinon.match({ path: '/path' }))
-    })
+  it('request is called with the expected parameters', async () => {
+    const requestStub = sinon.stub(vimeo, 'request').resolves({ statusCode: 200, body: { scope: 'public' }, headers: {} })
 
-    it('uses https client when requested', () => {
-      vimeo.request({ protocol: 'https:', path: '/path' }, () => { })
+    const response = await vimeo.verifyToken()
 
-      sinon.assert.calledOnce(mockHttpsRequest)
-      sinon.assert.notCalled(mockHttpRequest)
-    })
+    sinon.assert.calledOnceWithExactly(requestStub, { method: 'GET', path: authEndpoints.verify, cache: false })
+    expect(response.body).to.deep.equal({ scope: 'public' })
+  })
 
-    it('uses http client by default', () => {
-      vimeo.request({ protocol: 'proto:', path: '/path' }, () => { })
+  it('sends the access token of the client', () => {
+    const requestOptions = vimeo._buildRequestOptions({ method: 'GET', path: authEndpoints.verify })
 
-      sinon.assert.calledOnce(mockHttpRequest)
-      sinon.assert.notCalled(mockHttpsRequest)
-    })
+    expect(requestOptions.headers.Authorization).to.equal('Bearer token')
+  })
 
-    it('sends body as JSON if content type is application/json', () => {
-      vimeo.request({ method: 'POST', path: '/path', query: { a: 'b' }, headers: { 'Content-Type': 'application/json' } }, () => { })
+  describe('callback is called with the expected parameters', () => {
+    it('request returns an error', () => {
+      sinon.replace(vimeo, 'request', sinon.fake.yields('Request Error', { body: 'body' }, 401, {}))
+      const mockCallback = sinon.fake()
 
-      sinon.assert.calledOnce(mockHttpsRequest)
-      sinon.assert.calledWith(mockHttpsRequest, sinon.match({ body: '{"a":"b"}' }))
+      vimeo.verifyToken(mockCallback)
+
+      sinon.assert.calledOnceWithExactly(mockCallback, 'Request Error', null, 401, {})
     })
 
-    it('sends form data as string if content type is application/x-www-form-urlencoded', () => {
-      vimeo.request({ method: 'POST', path: '/path', query: { a: 'b', c: 'd' }, headers: { 'Content-Type': 'application/x-www-form-urlencoded' } }, () => { })
+    it('request is successful', () => {
+      sinon.replace(vimeo, 'request', sinon.fake.yields(null, { scope: 'public' }, 200, {}))
+      const mockCallback = sinon.fake()
 
-      sinon.assert.calledOnce(mockHttpsRequest)
-      sinon.assert.calledWith(mockHttpsRequest, sinon.match({ body: 'a=b&c=d' }))
+      vimeo.verifyToken(mockCallback)
+
+      sinon.assert.calledOnceWithExactly(mockCallback, null, { scope: 'public' }, 200, {})
     })
+  })
+})
 
-    it('sends body as it is if content type is not application/x-www-form-urlencoded nor application/json', () => {
-      vimeo.request({ method: 'POST', path: '/path', body: 'text', headers: { 'Content-Type': 'text/plain' } }, () => { })
+describe('Vimeo.revokeToken', () => {
+  let vimeo
 
-      sinon.assert.calledOnce(mockHttpsRequest)
-      sinon.assert.calledWith(mockHttpsRequest, sinon.match({ body: 'text' }))
-    })
+  beforeEach(() => {
+    vimeo = new Vimeo('id', 'secret', 'token')
+  })
 
-    it('sets the correct body Content-Length', () => {
-      vimeo.request({ method: 'POST', path: '/path', query: { a: 'b' }, headers: { 'Content-Type': 'application/json' } }, () => { })
+  it('revokes the token and removes it from the client', async () => {
+    const requestStub = sinon.stub(vimeo, 'request').resolves({ statusCode: 204, body: null, headers: {} })
+    const listener = sinon.fake()
+    vimeo.on('tokenChanged', listener)
 
-      sinon.assert.calledOnce(mockHttpsRequest)
-      sinon.assert.calledWith(mockHttpsRequest, sinon.match({ headers: sinon.match.has('Content-Length', 9) }))
-    })
+    const response = await vimeo.revokeToken()
 
-    it('sets the correct body Content-Length', () => {
-      vimeo.request({ method: 'POST', path: '/path' }, () => { })
+    sinon.assert.calledOnceWithExactly(requestStub, { method: 'DELETE', path: authEndpoints.revoke })
+    sinon.assert.calledOnceWithExactly(listener, { hasToken: false })
+    expect(response.statusCode).to.equal(204)
+    expect(vimeo._accessToken).to.equal(null)
+  })
 
-      sinon.assert.calledOnce(mockHttpsRequest)
-      sinon.assert.calledWith(mockHttpsRequest, sinon.match({ headers: sinon.match.has('Content-Length', 0) }))
-    })
+  it('keeps the token if the request fails', async () => {
+    sinon.stub(vimeo, 'request').rejects(new Error('Request Error'))
 
-    it('calls req.write with the body', () => {
-      vimeo.request({ method: 'POST', path: '/path', query: { a: 'b' } }, () => { })
+    const err = await vimeo.revokeToken().catch((e) => e)
 
-      sinon.assert.calledOnce(mockReq.write)
-      sinon.assert.calledWith(mockReq.write, '{"a":"b"}')
-    })
+    expect(err.message).to.equal('Request Error')
+    expect(vimeo._accessToken).to.equal('token')
+  })
 
-    it('doesn\'t call req.write if there is no body', () => {
-      vimeo.request({ method: 'POST', path: '/path' }, () => { })
+  describe('callback is called with the expected parameters', () => {
+    it('request returns an error', () => {
+      sinon.replace(vimeo, 'request', sinon.fake.yields('Request Error', { body: 'body' }, 401, {}))
+      const mockCallback = sinon.fake()
 
-      sinon.assert.notCalled(mockReq.write)
+      vimeo.revokeToken(mockCallback)
+
+      sinon.assert.calledOnceWithExactly(mockCallback, 'Request Error', null, 401, {})
+      expect(vimeo._accessToken).to.equal('token')
     })
 
-    it('sets on error listener', () => {
+    it('request is successful', () => {
+      sinon.replace(vimeo, 'request', sinon.fake.yields(null, null, 204, {}))
       const mockCallback = sinon.fake()
-      vimeo.request({ path: '/path' }, mockCallback)
 
-      sinon.assert.calledOnce(mockReq.on)
-      sinon.assert.calledWith(mockReq.on, 'error', sinon.match.func)
+      vimeo.revokeToken(mockCallback)
 
-      mockReq.emit('error', 'Error Emitted')
-      sinon.assert.calledOnce(mockCallback)
-      sinon.assert.calledWith(mockCallback, 'Error Emitted')
+      sinon.assert.calledOnceWithExactly(mockCallback, null, null, 204, {})
+      expect(vimeo._accessToken).to.equal(null)
     })
+  })
+})
 
-    it('calls req.end()', () => {
-      vimeo.request({ path: '/path' }, () => { })
+describe('Vimeo.setAccessToken', () => {
+  const vimeo = new Vimeo('id', 'secret', 'token')
 
-      sinon.assert.calledOnce(mockReq.end)
-    })
+  it('changes the access token', () => {
+    vimeo.setAccessToken('token2')
+    expect(vimeo._accessToken).to.equal('token2')
   })
+})
 
-  describe('a Promise is returned when the callback function is not passed in', () => {
-    beforeEach(() => {
-      handleRequestStub = sinon.stub(vimeo, '_handleRequest').callsFake((resolve) => { resolve('Success.') })
-    })
+describe('Vimeo.use', () => {
+  let vimeo, performRequestStub
 
-    it('returns an error if options has no path', async () => {
-      const error = sinon.match.instanceOf(Error).and(sinon.match.has('message', 'You must provide an API path.'))
-      await vimeo.request({}).catch((e) => sinon.assert.match(e, error))
+  beforeEach(() => {
+    vimeo = new Vimeo('id', 'secret', 'token')
+    performRequestStub = sinon.stub(vimeo, '_performRequest').callsFake((requestOptions, callOptions, done) => {
+      done(null, { statusCode: 200, body: { path: requestOptions.path }, headers: {} })
     })
+  })
 
-    it('parses options if passed as a string', async () => {
-      await vimeo.request('https://example.com:1234/path')
+  it('only accepts functions', () => {
+    expect(() => vimeo.use('middleware')).to.throw(TypeError, 'Middleware must be a function.')
+  })
 
-      sinon.assert.calledOnce(mockHttpsRequest)
-      sinon.assert.calledWith(mockHttpsRequest, sinon.match({ method: 'GET', path: '/path', host: 'example.com', port: '1234' }))
-      sinon.assert.calledOnce(handleRequestStub)
+  it('is chainable', () => {
+    expect(vimeo.use(async (requestOptions, next) => next())).to.equal(vimeo)
+  })
+
+  it('lets middleware modify the request options', async () => {
+    vimeo.use(async (requestOptions, next) => {
+      requestOptions.headers['X-Trace-Id'] = 'trace'
+      requestOptions.path = '/proxy' + requestOptions.path
+      return next(requestOptions)
     })
 
-    it('adds a leading slash if missing', async () => {
-      await vimeo.request({ path: 'path' })
+    const response = await vimeo.request({ path: '/me' })
 
-      sinon.assert.calledOnce(mockHttpsRequest)
-      sinon.assert.calledWith(mockHttpsRequest, sinon.match({ path: '/path' }))
+    sinon.assert.calledWith(performRequestStub, sinon.match({ path: '/proxy/me', headers: sinon.match.has('X-Trace-Id', 'trace') }))
+    expect(response.body).to.deep.equal({ path: '/proxy/me' })
+  })
+
+  it('runs middleware in the order they were added', async () => {
+    const calls = []
+    vimeo.use(async (requestOptions, next) => {
+      calls.push('first:before')
+      const response = await next()
+      calls.push('first:after')
+      return response
+    })
+    vimeo.use(async (requestOptions, next) => {
+      calls.push('second:before')
+      const response = await next()
+      calls.push('second:after')
+      return response
     })
 
-    it('uses https client when requested', async () => {
-      await vimeo.request({ protocol: 'https:', path: '/path' })
+    await vimeo.request({ path: '/me' })
+    expect(calls).to.deep.equal(['first:before', 'second:before', 'second:after', 'first:after'])
+  })
 
-      sinon.assert.calledOnce(mockHttpsRequest)
-      sinon.assert.notCalled(mockHttpRequest)
-    })
+  it('lets middleware short-circuit the request', (done) => {
+    vimeo.use(async () => ({ statusCode: 200, body: { cached: true }, headers: {} }))
 
-    it('uses http client by default', async () => {
-      await vimeo.request({ protocol: 'proto:', path: '/path' })
+    vimeo.request({ path: '/me' }, (err, body, status) => {
+      expect(err).to.equal(null)
+      expect(body).to.deep.equal({ cached: true })
+      expect(status).to.equal(200)
+      sinon.assert.notCalled(performRequestStub)
+      done()
+    })
+  })
 
-      sinon.assert.calledOnce(mockHttpRequest)
-      sinon.assert.notCalled(mockHttpsRequest)
+  it('lets middleware transform the response', async () => {
+    vimeo.use(async (requestOptions, next) => {
+      const response = await next()
+      response.body.transformed = true
+      return response
     })
 
-    it('sends body as JSON if content type is application/json', async () => {
-      await vimeo.request({ method: 'POST', path: '/path', query: { a: 'b' }, headers: { 'Content-Type': 'application/json' } })
+    const response = await vimeo.request({ path: '/me' })
+    expect(response.body).to.deep.equal({ path: '/me', transformed: true })
+  })
 
-      sinon.assert.calledOnce(mockHttpsRequest)
-      sinon.assert.calledWith(mockHttpsRequest, sinon.match({ body: '{"a":"b"}' }))
+  it('lets middleware observe and recover from errors', async () => {
+    const error = new VimeoApiError(404)
+    const observed = sinon.fake()
+    performRequestStub.callsFake((requestOptions, callOptions, done) => done(error))
+
+    vimeo.use(async (requestOptions, next) => {
+      try {
+        return await next()
+      } catch (err) {
+        observed(err)
+        return { statusCode: 200, body: null, headers: {} }
+      }
     })
 
-    it('sends form data as string if content type is application/x-www-form-urlencoded', async () => {
+    const response = await vimeo.request({ path: '/me' })
+    sinon.assert.calledWith(observed, error)
+    expect(response.statusCode).to.equal(200)
+  })
+
+  it('passes errors thrown by middleware to the callback', (done) => {
+    vimeo.use(() => { throw new Error('Middleware Error') })
+
+    vimeo.request({ path: '/me' }, (err) => {
+      expect(err.message).to.equal('Middleware Error')
+      done()
+    })
+  })
+
+  it('fails if a middleware does not return a response', async () => {
+    vimeo.use(async () => {})
+
+    const err = await vimeo.request({ path: '/me' }).catch(e => e)
+    expect(err).to.be.an.instanceOf(TypeError)
+  })
+})
+
+describe('Vimeo cache', () => {
+  let vimeo, performRequestStub
+
+  beforeEach(() => {
+    vimeo = new Vimeo('id', 'secret', 'token', { cache: true })
+    performRequestStub = sinon.stub(vimeo, '_performRequest')
+    performRequestStub.onFirstCall().callsFake((requestOptions, callOptions, done) => {
+      done(null, { statusCode: 200, body: { name: 'video' }, headers: { etag: '"abc"' } })
+    })
+    performRequestStub.onSecondCall().callsFake((requestOptions, callOptions, done) => {
+      done(null, { statusCode: 304, body: {}, headers: {} })
+    })
+  })
+
+  it('is disabled by default', () => {
+    expect(new Vimeo('id', 'secret')._cache).to.equal(null)
+  })
+
+  it('revalidates GET requests and serves the cached body on a 304', (done) => {
+    vimeo.request({ path: '/videos/1' }, () => {
+      vimeo.request({ path: '/videos/1' }, (err, body, status) => {
+        expect(err).to.equal(null)
+        expect(body).to.deep.equal({ name: 'video' })
+        expect(status).to.equal(200)
+        sinon.assert.calledWith(performRequestStub.secondCall, sinon.match({ headers: sinon.match.has('If-None-Match', '"abc"') }))
+        done()
+      })
+    })
+  })
+
+  it('can be skipped for a request', async () => {
+    await vimeo.request({ path: '/videos/1' })
+    await vimeo.request({ path: '/videos/1', cache: false })
+
+    expect(performRequestStub.secondCall.args[0].headers).to.not.have.property('If-None-Match')
+  })
+
+  it('does not leak If-None-Match into later requests sharing the headers', async () => {
+    const headers = { 'X-Custom': 'value' }
+    performRequestStub.onThirdCall().callsFake((requestOptions, callOptions, done) => {
+      done(null, { statusCode: 200, body: {}, headers: {} })
+    })
+
+    await vimeo.request({ path: '/videos/1', headers })
+    await vimeo.request({ path: '/videos/1', headers })
+    await vimeo.request({ path: '/videos/1', headers, cache: false })
+
+    expect(performRequestStub.secondCall.args[0].headers).to.have.property('If-None-Match', '"abc"')
+    expect(performRequestStub.thirdCall.args[0].headers).to.not.have.property('If-None-Match')
+    expect(headers).to.not.have.property('If-None-Match')
+  })
+})
+
+describe('Vimeo dedupe', () => {
+  it('sends a single request for identical GET requests in flight', async () => {
+    const vimeo = new Vimeo('id', 'secret', 'token', { dedupe: true })
+    const performRequestStub = sinon.stub(vimeo, '_performRequest').callsFake((requestOptions, callOptions, done) => {
+      setImmediate(done, null, { statusCode: 200, body: { name: 'video' }, headers: {} })
+    })
+
+    const responses = await Promise.all([
+      vimeo.request({ path: '/videos/1' }),
+      vimeo.request('/videos/1'),
+      vimeo.request({ path: '/videos/1', dedupe: false })
+    ])
+
+    sinon.assert.calledTwice(performRequestStub)
+    responses.forEach((response) => expect(response.body).to.deep.equal({ name: 'video' }))
+  })
+
+  it('sends requests with their own timeout and signal', async () => {
+    const vimeo = new Vimeo('id', 'secret', 'token', { dedupe: true })
+    const performRequestStub = sinon.stub(vimeo, '_performRequest').callsFake((requestOptions, callOptions, done) => {
+      if (callOptions.signal) {
+        callOptions.signal.addEventListener('abort', () => done(new VimeoAbortError(requestOptions)))
+      }
+      setTimeout(done, 10, null, { statusCode: 200, body: { name: 'video' }, headers: {} })
+    })
+    const first = new AbortController()
+    const second = new AbortController()
+
+    const requests = [
+      vimeo.request({ path: '/videos/1', signal: first.signal }).catch(e => e),
+      vimeo.request({ path: '/videos/1', signal: second.signal }),
+      vimeo.request({ path: '/videos/1', timeout: 1000 }),
+      vimeo.request({ path: '/videos/1', timeout: 5000 })
+    ]
+    await new Promise(resolve => setImmediate(resolve))
+    first.abort()
+    const responses = await Promise.all(requests)
+
+    expect(performRequestStub.callCount).to.equal(4)
+    expect(performRequestStub.getCalls().map(call => call.args[1].timeout).slice(2)).to.deep.equal([1000, 5000])
+    expect(responses[0]).to.be.an.instanceof(VimeoAbortError)
+    responses.slice(1).forEach((response) => expect(response.body).to.deep.equal({ name: 'video' }))
+  })
+})
+
+describe('Vimeo.paginate', () => {
+  const vimeo = new Vimeo('id', 'secret', 'token')
+  const pages = {
+    '/me/videos': { total: 5, paging: { next: '/me/videos?page=2', last: '/me/videos?page=3' }, data: [1, 2] },
+    '/me/videos?page=2': { total: 5, paging: { next: '/me/videos?page=3', last: '/me/videos?page=3' }, data: [3, 4] },
+    '/me/videos?page=3': { total: 5, paging: { next: null, last: '/me/videos?page=3' }, data: [5] }
+  }
+  let requestStub
+
+  beforeEach(() => {
+    requestStub = sinon.stub(vimeo, 'request').callsFake((options) => Promise.resolve({ statusCode: 200, body: pages[options.path], headers: {} }))
+  })
+
+  const collect = async (iterator) => {
+    const items = []
+    for await (const item of iterator) {
+      items.push(item)
+    }
+    return items
+  }
+
+  it('iterates over the items of every page', async () => {
+    expect(await collect(vimeo.paginate('/me/videos'))).to.deep.equal([1, 2, 3, 4, 5])
+    sinon.assert.calledThrice(requestStub)
+  })
+
+  it('sends the query and per_page with the first request only', async () => {
+    await collect(vimeo.paginate('/me/videos', { per_page: 2, query: { sort: 'date' }, headers: { 'X-Custom': 'value' } }))
+
+    sinon.assert.calledWith(requestStub.firstCall, sinon.match({ method: 'GET', path: '/me/videos', query: { sort: 'date', per_page: 2 } }))
+    sinon.assert.calledWith(requestStub.secondCall, sinon.match({ method: 'GET', path: '/me/videos?page=2', query: {}, headers: { 'X-Custom': 'value' } }))
+    expect(requestStub.firstCall.args[0]).to.not.have.property('per_page')
+  })
+
+  it('iterates over pages', async () => {
+    const bodies = await collect(vimeo.paginate('/me/videos', { pages: true }))
+    expect(bodies).to.deep.equal([pages['/me/videos'], pages['/me/videos?page=2'], pages['/me/videos?page=3']])
+  })
+
+  it('stops once the limit is reached', async () => {
+    expect(await collect(vimeo.paginate('/me/videos', { limit: 3 }))).to.deep.equal([1, 2, 3])
+    sinon.assert.calledTwice(requestStub)
+  })
+
+  it('trims the last page to the limit when iterating over pages', async () => {
+    const bodies = await collect(vimeo.paginate('/me/videos', { limit: 3, pages: true }))
+
+    expect(bodies.map(body => body.data)).to.deep.equal([[1, 2], [3]])
+    expect(bodies[1].paging).to.equal(pages['/me/videos?page=2'].paging)
+    expect(pages['/me/videos?page=2'].data).to.deep.equal([3, 4])
+    sinon.assert.calledTwice(requestStub)
+  })
+
+  it('stops on the last page', async () => {
+    requestStub.callsFake(() => Promise.resolve({ body: { paging: { next: '/me/videos?page=3', last: '/me/videos?page=3' }, data: [1] } }))
+
+    expect(await collect(vimeo.paginate('/me/videos?page=3'))).to.deep.equal([1])
+    sinon.assert.calledOnce(requestStub)
+  })
+
+  it('rejects with the error of a failed page', async () => {
+    const error = new VimeoApiError(500)
+    requestStub.onSecondCall().rejects(error)
+
+    const err = await collect(vimeo.paginate('/me/videos')).catch(e => e)
+    expect(err).to.equal(error)
+  })
+})
+
+describe('Vimeo.getRateLimit', () => {
+  it('returns null before any response has been received', () => {
+    const vimeo = new Vimeo('id', 'secret', 'token')
+    expect(vimeo.getRateLimit()).to.equal(null)
+  })
+
+  it('returns the window from the most recent response', () => {
+    const vimeo = new Vimeo('id', 'secret', 'token')
+    const headers = {
+      'x-ratelimit-limit': '500',
+      'x-ratelimit-remaining': '499',
+      'x-ratelimit-reset': '2023-01-01T00:01:00+00:00'
+    }
+    sinon.stub(vimeo, '_performRequest').callsFake((requestOptions, callOptions, done) => done(null, { statusCode: 200, body: {}, headers }))
+
+    vimeo.request({ path: '/path' }, () => {})
+    expect(vimeo.getRateLimit()).to.deep.equal({ limit: 500, remaining: 499, reset: new Date('2023-01-01T00:01:00Z') })
+  })
+
+  it('is updated by failed requests', () => {
+    const vimeo = new Vimeo('id', 'secret', 'token')
+    const headers = { 'x-ratelimit-limit': '500', 'x-ratelimit-remaining': '0' }
+    sinon.stub(vimeo, '_performRequest').callsFake((requestOptions, callOptions, done) => done(new VimeoApiError(429, headers)))
+
+    vimeo.request({ path: '/path' }, () => {})
+    expect(vimeo.getRateLimit().remaining).to.equal(0)
+  })
+})
+
+describe('Vimeo._applyQuerystringParams', () => {
+  const vimeo = new Vimeo('id', 'secret', 'token')
+  const PATH = '/path'
+  const PATH_QS = '/path?a=b'
+  const QS = { c: 'd' }
+
+  it('returns the path if no query is passed', () => {
+    const newPath = vimeo._applyQuerystringParams({ path: PATH }, {})
+    expect(newPath).to.equal(PATH)
+  })
+
+  it('returns the path if no query is passed', () => {
+    const newPath = vimeo._applyQuerystringParams({ path: PATH_QS }, {})
+    expect(newPath).to.equal(PATH_QS)
+  })
+
+  it('adds the query string after the ?', () => {
+    const newPath = vimeo._applyQuerystringParams({ path: PATH }, { query: QS })
+    expect(newPath).to.equal(PATH + '?c=d')
+  })
+
+  it('appens the query string after the &', () => {
+    const newPath = vimeo._applyQuerystringParams({ path: PATH_QS }, { query: QS })
+    expect(newPath).to.equal(PATH_QS + '&c=d')
+  })
+})
+
+describe('Vimeo.request', () => {
+  const vimeo = new Vimeo('id', 'secret', 'token')
+  let mockHttpRequest, mockHttpsRequest, mockReq, handleRequestStub
+  beforeEach(() => {
+    mockReq = new events.EventEmitter()
+    mockReq.on = sinon.fake(mockReq.on)
+    mockReq.end = sinon.fake()
+    mockReq.write = sinon.fake()
+
+    mockHttpRequest = sinon.fake.returns(mockReq)
+    sinon.replace(http, 'request', mockHttpRequest)
+    mockHttpsRequest = sinon.fake.returns(mockReq)
+    sinon.replace(https, 'request', mockHttpsRequest)
+  })
+
+  describe('callback function is used when passed in', () => {
+    it('calls callback with an error if options has no path', () => {
+      const mockCallback = sinon.fake()
+      vimeo.request({}, mockCallback)
+
+      sinon.assert.calledOnce(mockCallback)
+      sinon.assert.calledWith(mockCallback, sinon.match.instanceOf(Error))
+    })
+
+    it('parses options if passed as a string', () => {
+      vimeo.request('https://example.com:1234/path', () => { })
+
+      sinon.assert.calledOnce(mockHttpsRequest)
+      sinon.assert.calledWith(mockHttpsRequest, sinon.match({ method: 'GET', path: '/path', host: 'example.com', port: '1234' }))
+    })
+
+    it('adds a leading slash if missing', () => {
+      vimeo.request({ path: 'path' }, () => { })
+
+      sinon.assert.calledOnce(mockHttpsRequest)
+      sinon.assert.calledWith(mockHttpsRequest, sinon.match({ path: '/path' }))
+    })
+
+    it('uses https client when requested', () => {
+      vimeo.request({ protocol: 'https:', path: '/path' }, () => { })
+
+      sinon.assert.calledOnce(mockHttpsRequest)
+      sinon.assert.notCalled(mockHttpRequest)
+    })
+
+    it('uses http client by default', () => {
+      vimeo.request({ protocol: 'proto:', path: '/path' }, () => { })
+
+      sinon.assert.calledOnce(mockHttpRequest)
+      sinon.assert.notCalled(mockHttpsRequest)
+    })
+
+    it('sends body as JSON if content type is application/json', () => {
+      vimeo.request({ method: 'POST', path: '/path', query: { a: 'b' }, headers: { 'Content-Type': 'application/json' } }, () => { })
+
+      sinon.assert.calledOnce(mockHttpsRequest)
+      sinon.assert.calledWith(mockHttpsRequest, sinon.match({ body: '{"a":"b"}' }))
+    })
+
+    it('sends form data as string if content type is application/x-www-form-urlencoded', () => {
+      vimeo.request({ method: 'POST', path: '/path', query: { a: 'b', c: 'd' }, headers: { 'Content-Type': 'application/x-www-form-urlencoded' } }, () => { })
+
+      sinon.assert.calledOnce(mockHttpsRequest)
+      sinon.assert.calledWith(mockHttpsRequest, sinon.match({ body: 'a=b&c=d' }))
+    })
+
+    it('sends body as it is if content type is not application/x-www-form-urlencoded nor application/json', () => {
+      vimeo.request({ method: 'POST', path: '/path', body: 'text', headers: { 'Content-Type': 'text/plain' } }, () => { })
+
+      sinon.assert.calledOnce(mockHttpsRequest)
+      sinon.assert.calledWith(mockHttpsRequest, sinon.match({ body: 'text' }))
+    })
+
+    it('sets the correct body Content-Length', () => {
+      vimeo.request({ method: 'POST', path: '/path', query: { a: 'b' }, headers: { 'Content-Type': 'application/json' } }, () => { })
+
+      sinon.assert.calledOnce(mockHttpsRequest)
+      sinon.assert.calledWith(mockHttpsRequest, sinon.match({ headers: sinon.match.has('Content-Length', 9) }))
+    })
+
+    it('sets the correct body Content-Length', () => {
+      vimeo.request({ method: 'POST', path: '/path' }, () => { })
+
+      sinon.assert.calledOnce(mockHttpsRequest)
+      sinon.assert.calledWith(mockHttpsRequest, sinon.match({ headers: sinon.match.has('Content-Length', 0) }))
+    })
+
+    it('calls req.write with the body', () => {
+      vimeo.request({ method: 'POST', path: '/path', query: { a: 'b' } }, () => { })
+
+      sinon.assert.calledOnce(mockReq.write)
+      sinon.assert.calledWith(mockReq.write, '{"a":"b"}')
+    })
+
+    it('doesn\'t call req.write if there is no body', () => {
+      vimeo.request({ method: 'POST', path: '/path' }, () => { })
+
+      sinon.assert.notCalled(mockReq.write)
+    })
+
+    it('sets on error listener', () => {
+      const mockCallback = sinon.fake()
+      vimeo.request({ path: '/path' }, mockCallback)
+
+      sinon.assert.calledOnce(mockReq.on)
+      sinon.assert.calledWith(mockReq.on, 'error', sinon.match.func)
+
+      mockReq.emit('error', 'Error Emitted')
+      sinon.assert.calledOnce(mockCallback)
+      sinon.assert.calledWith(mockCallback, 'Error Emitted')
+    })
+
+    it('calls req.end()', () => {
+      vimeo.request({ path: '/path' }, () => { })
+
+      sinon.assert.calledOnce(mockReq.end)
+    })
+  })
+
+  describe('a Promise is returned when the callback function is not passed in', () => {
+    beforeEach(() => {
+      handleRequestStub = sinon.stub(vimeo, '_handleRequest').callsFake((resolve) => { resolve('Success.') })
+    })
+
+    it('returns an error if options has no path', async () => {
+      const error = sinon.match.instanceOf(Error).and(sinon.match.has('message', 'You must provide an API path.'))
+      await vimeo.request({}).catch((e) => sinon.assert.match(e, error))
+    })
+
+    it('returns an error if the responseType is unknown', async () => {
+      const err = await vimeo.request({ path: '/path', responseType: 'xml' }).catch((e) => e)
+
+      expect(err).to.be.instanceOf(TypeError)
+      sinon.assert.notCalled(mockHttpsRequest)
+    })
+
+    it('passes the responseType to the response handler', async () => {
+      await vimeo.request({ path: '/path', responseType: 'text' })
+
+      sinon.assert.calledWith(handleRequestStub, sinon.match.func, sinon.match.func, sinon.match({ path: '/path' }), sinon.match({ responseType: 'text' }))
+    })
+
+    it('parses options if passed as a string', async () => {
+      await vimeo.request('https://example.com:1234/path')
+
+      sinon.assert.calledOnce(mockHttpsRequest)
+      sinon.assert.calledWith(mockHttpsRequest, sinon.match({ method: 'GET', path: '/path', host: 'example.com', port: '1234' }))
+      sinon.assert.calledOnce(handleRequestStub)
+    })
+
+    it('adds a leading slash if missing', async () => {
+      await vimeo.request({ path: 'path' })
+
+      sinon.assert.calledOnce(mockHttpsRequest)
+      sinon.assert.calledWith(mockHttpsRequest, sinon.match({ path: '/path' }))
+    })
+
+    it('uses https client when requested', async () => {
+      await vimeo.request({ protocol: 'https:', path: '/path' })
+
+      sinon.assert.calledOnce(mockHttpsRequest)
+      sinon.assert.notCalled(mockHttpRequest)
+    })
+
+    it('uses http client by default', async () => {
+      await vimeo.request({ protocol: 'proto:', path: '/path' })
+
+      sinon.assert.calledOnce(mockHttpRequest)
+      sinon.assert.notCalled(mockHttpsRequest)
+    })
+
+    it('sends body as JSON if content type is application/json', async () => {
+      await vimeo.request({ method: 'POST', path: '/path', query: { a: 'b' }, headers: { 'Content-Type': 'application/json' } })
+
+      sinon.assert.calledOnce(mockHttpsRequest)
+      sinon.assert.calledWith(mockHttpsRequest, sinon.match({ body: '{"a":"b"}' }))
+    })
+
+    it('sends form data as string if content type is application/x-www-form-urlencoded', async () => {
       await vimeo.request({ method: 'POST', path: '/path', query: { a: 'b', c: 'd' }, headers: { 'Content-Type': 'application/x-www-form-urlencoded' } })
 
       sinon.assert.calledOnce(mockHttpsRequest)
       sinon.assert.calledWith(mockHttpsRequest, sinon.match({ body: 'a=b&c=d' }))
     })
 
-    it('sends body as it is if content type is not application/x-www-form-urlencoded nor application/json', async () => {
-      await vimeo.request({ method: 'POST', path: '/path', body: 'text', headers: { 'Content-Type': 'text/plain' } })
+    it('sends body as it is if content type is not application/x-www-form-urlencoded nor application/json', async () => {
+      await vimeo.request({ method: 'POST', path: '/path', body: 'text', headers: { 'Content-Type': 'text/plain' } })
+
+      sinon.assert.calledOnce(mockHttpsRequest)
+      sinon.assert.calledWith(mockHttpsRequest, sinon.match({ body: 'text' }))
+    })
+
+    it('sets the correct body Content-Length', async () => {
+      await vimeo.request({ method: 'POST', path: '/path', query: { a: 'b' }, headers: { 'Content-Type': 'application/json' } })
+
+      sinon.assert.calledOnce(mockHttpsRequest)
+      sinon.assert.calledWith(mockHttpsRequest, sinon.match({ headers: sinon.match.has('Content-Length', 9) }))
+    })
+
+    it('sets the correct body Content-Length', async () => {
+      await vimeo.request({ method: 'POST', path: '/path' })
+
+      sinon.assert.calledOnce(mockHttpsRequest)
+      sinon.assert.calledWith(mockHttpsRequest, sinon.match({ headers: sinon.match.has('Content-Length', 0) }))
+    })
+
+    it('calls req.write with the body', async () => {
+      await vimeo.request({ method: 'POST', path: '/path', query: { a: 'b' } })
+
+      sinon.assert.calledOnce(mockReq.write)
+      sinon.assert.calledWith(mockReq.write, '{"a":"b"}')
+    })
+
+    it('doesn\'t call req.write if there is no body', async () => {
+      await vimeo.request({ method: 'POST', path: '/path' })
+
+      sinon.assert.notCalled(mockReq.write)
+    })
+
+    it('calls req.end()', async () => {
+      await vimeo.request({ path: '/path' })
+
+      sinon.assert.calledOnce(mockReq.end)
+    })
+
+    it('returns the correct response when the Promise is fullfilled', async () => {
+      const req = await vimeo.request({ method: 'POST', path: '/path' })
+      expect(req).to.equal('Success.')
+    })
+
+    it('returns the error object when the Promise is rejected', async () => {
+      handleRequestStub.resetBehavior()
+
+      const err = new Error('Request Error')
+      handleRequestStub.callsFake((resolve, reject) => {
+        reject(err)
+      })
+
+      await vimeo.request({ method: 'POST', path: '/path' }).catch((e) => {
+        expect(e).to.equal(err)
+      })
+    })
+
+    it('sets on error listener', async () => {
+      handleRequestStub.resetBehavior()
+
+      const req = vimeo.request({ path: '/path' }).catch((error) => {
+        sinon.assert.match(error, sinon.match.instanceOf(Error).and(sinon.match.has('message', 'Error Emitted')))
+      })
+      mockReq.emit('error', new Error('Error Emitted'))
+
+      sinon.assert.calledOnce(mockReq.on)
+      sinon.assert.calledWith(mockReq.on, 'error', sinon.match.func)
+
+      return req
+    })
+
+    it('throws an error when the Promise rejects', async () => {
+      handleRequestStub.resetBehavior()
+      handleRequestStub.callsFake((resolve, reject) => { reject(new Error('Failure.')) })
+
+      const error = sinon.match.instanceOf(Error).and(sinon.match.has('message', 'Failure.'))
+
+      await vimeo.request('https://example.com:1234/path').catch((e) => {
+        sinon.assert.match(e, error)
+      })
+
+      sinon.assert.calledOnce(mockHttpsRequest)
+      sinon.assert.calledWith(mockHttpsRequest, sinon.match({ method: 'GET', path: '/path', host: 'example.com', port: '1234' }))
+      sinon.assert.calledOnce(handleRequestStub)
+    })
+  })
+})
+
+describe('Vimeo.request retries', () => {
+  let clock, performRequestStub
+
+  beforeEach(() => {
+    clock = sinon.useFakeTimers()
+  })
+
+  const stubAttempts = (vimeo, results) => {
+    performRequestStub = sinon.stub(vimeo, '_performRequest').callsFake((requestOptions, callOptions, done) => {
+      const result = results[performRequestStub.callCount - 1]
+      result instanceof Error ? done(result) : done(null, result)
+    })
+  }
+
+  it('does not retry by default', () => {
+    const vimeo = new Vimeo('id', 'secret', 'token')
+    const mockCallback = sinon.fake()
+    stubAttempts(vimeo, [new VimeoApiError(503)])
+
+    vimeo.request({ path: '/path' }, mockCallback)
+    clock.runAll()
+
+    sinon.assert.calledOnce(performRequestStub)
+    sinon.assert.calledWith(mockCallback, sinon.match.instanceOf(VimeoApiError).and(sinon.match.has('statusCode', 503)))
+  })
+
+  it('retries with the client policy until the request succeeds', () => {
+    const vimeo = new Vimeo('id', 'secret', 'token', { retry: { jitter: false } })
+    const mockCallback = sinon.fake()
+    stubAttempts(vimeo, [new VimeoApiError(503), new VimeoApiError(429), { statusCode: 200, body: { ok: true }, headers: {} }])
+
+    vimeo.request({ path: '/path' }, mockCallback)
+    sinon.assert.calledOnce(performRequestStub)
+
+    clock.tick(1000)
+    sinon.assert.calledTwice(performRequestStub)
+    sinon.assert.notCalled(mockCallback)
+
+    clock.tick(2000)
+    sinon.assert.calledThrice(performRequestStub)
+    sinon.assert.calledOnce(mockCallback)
+    sinon.assert.calledWith(mockCallback, null, { ok: true }, 200, {})
+  })
+
+  it('returns the last error once maxAttempts is reached', async () => {
+    const vimeo = new Vimeo('id', 'secret', 'token', { retry: { maxAttempts: 2 } })
+    stubAttempts(vimeo, [new VimeoApiError(500), new VimeoApiError(502)])
+
+    const errP = vimeo.request({ path: '/path' }).catch(e => e)
+    await clock.runAllAsync()
+
+    const err = await errP
+    sinon.assert.calledTwice(performRequestStub)
+    expect(err.statusCode).to.equal(502)
+  })
+
+  it('does not retry POST requests unless allowed by the policy', () => {
+    const vimeo = new Vimeo('id', 'secret', 'token', { retry: true })
+    stubAttempts(vimeo, [new VimeoApiError(503), { statusCode: 201, body: {}, headers: {} }])
+
+    vimeo.request({ method: 'POST', path: '/path' }, () => {})
+    clock.runAll()
+    sinon.assert.calledOnce(performRequestStub)
+
+    performRequestStub.resetHistory()
+    vimeo.request({ method: 'POST', path: '/path', retry: { methods: ['POST'] } }, () => {})
+    clock.runAll()
+    sinon.assert.calledTwice(performRequestStub)
+  })
+
+  it('can be enabled or disabled per request', () => {
+    const vimeo = new Vimeo('id', 'secret', 'token')
+    stubAttempts(vimeo, [new VimeoApiError(503), { statusCode: 200, body: {}, headers: {} }])
+
+    vimeo.request({ path: '/path', retry: true }, () => {})
+    clock.runAll()
+    sinon.assert.calledTwice(performRequestStub)
+
+    const retrying = new Vimeo('id', 'secret', 'token', { retry: true })
+    stubAttempts(retrying, [new VimeoApiError(503)])
+
+    retrying.request({ path: '/path', retry: false }, () => {})
+    clock.runAll()
+    sinon.assert.calledOnce(performRequestStub)
+  })
+})
+
+describe('Vimeo.request metadata', () => {
+  let clock
+
+  beforeEach(() => {
+    clock = sinon.useFakeTimers(new Date('2024-01-01T00:00:00Z'))
+  })
+
+  const headers = {
+    'x-request-id': 'abc',
+    'x-ratelimit-limit': '100',
+    'x-ratelimit-remaining': '99',
+    'x-ratelimit-reset': '2024-01-01T00:15:00Z'
+  }
+
+  it('is added to responses', async () => {
+    const vimeo = new Vimeo('id', 'secret', 'token')
+    sinon.stub(vimeo, '_performRequest').callsFake((requestOptions, callOptions, done) => {
+      clock.tick(25)
+      done(null, { statusCode: 200, body: {}, headers })
+    })
+
+    const response = await vimeo.request({ path: '/me' })
+
+    expect(response.meta).to.deep.equal({
+      statusCode: 200,
+      headers,
+      rateLimit: { limit: 100, remaining: 99, reset: new Date('2024-01-01T00:15:00Z') },
+      requestId: 'abc',
+      elapsed: 25,
+      retries: 0
+    })
+  })
+
+  it('is added to errors, and counts retries', async () => {
+    const vimeo = new Vimeo('id', 'secret', 'token', { retry: { jitter: false, maxAttempts: 2 } })
+    sinon.stub(vimeo, '_performRequest').callsFake((requestOptions, callOptions, done) => {
+      done(new VimeoApiError(503, headers, '{"error": "Unavailable"}'))
+      clock.tick(1000)
+    })
+
+    const err = await vimeo.request({ path: '/me' }).catch((e) => e)
+
+    expect(err).to.be.instanceOf(VimeoApiError)
+    expect(err.meta).to.include({ statusCode: 503, requestId: 'abc', elapsed: 1000, retries: 1 })
+  })
+
+  it('is added to errors without a response', async () => {
+    const vimeo = new Vimeo('id', 'secret', 'token')
+    sinon.stub(vimeo, '_performRequest').callsFake((requestOptions, callOptions, done) => {
+      done(new VimeoTimeoutError(100))
+    })
+
+    const err = await vimeo.request({ path: '/me' }).catch((e) => e)
+
+    expect(err.meta).to.deep.equal({ statusCode: null, headers: {}, rateLimit: null, requestId: null, elapsed: 0, retries: 0 })
+  })
+
+  it('is added to responses returned by middleware', async () => {
+    const vimeo = new Vimeo('id', 'secret', 'token')
+    vimeo.use(async () => ({ statusCode: 200, body: {}, headers: { 'x-request-id': 'cached' } }))
+
+    const response = await vimeo.request({ path: '/me' })
+
+    expect(response.meta).to.include({ statusCode: 200, requestId: 'cached', retries: 0 })
+  })
+})
+
+describe('Vimeo events', () => {
+  let clock, vimeo, performRequestStub
+
+  beforeEach(() => {
+    clock = sinon.useFakeTimers()
+    vimeo = new Vimeo('id', 'secret', 'token', { retry: { jitter: false } })
+    performRequestStub = sinon.stub(vimeo, '_performRequest')
+  })
+
+  const rateLimitHeaders = {
+    'x-ratelimit-limit': '100',
+    'x-ratelimit-remaining': '99',
+    'x-ratelimit-reset': '2024-01-01T00:15:00Z'
+  }
+
+  it('is an EventEmitter', () => {
+    expect(vimeo).to.be.instanceOf(events.EventEmitter)
+  })
+
+  it('emits request and response events with the Authorization header redacted', () => {
+    const onRequest = sinon.fake()
+    const onResponse = sinon.fake()
+    vimeo.on('request', onRequest).on('response', onResponse)
+    performRequestStub.callsFake((requestOptions, callOptions, done) => {
+      clock.tick(20)
+      done(null, { statusCode: 200, body: {}, headers: { 'x-request-id': 'abc' } })
+    })
+
+    vimeo.request({ path: '/me' }, () => {})
+
+    sinon.assert.calledWith(onRequest, sinon.match({ method: 'GET', path: '/me', attempt: 1, headers: sinon.match({ Authorization: '[REDACTED]' }) }))
+    sinon.assert.calledWith(onResponse, { method: 'GET', path: '/me', statusCode: 200, headers: { 'x-request-id': 'abc' }, duration: 20, attempt: 1 })
+    expect(performRequestStub.firstCall.args[0].headers.Authorization).to.equal('Bearer token')
+  })
+
+  it('emits retry and error events', () => {
+    const onRetry = sinon.fake()
+    const onError = sinon.fake()
+    const onResponse = sinon.fake()
+    vimeo.on('retry', onRetry).on('error', onError).on('response', onResponse)
+    performRequestStub.callsFake((requestOptions, callOptions, done) => done(new VimeoApiError(503)))
+
+    vimeo.request({ path: '/me' }, () => {})
+    clock.runAll()
+
+    sinon.assert.calledTwice(onRetry)
+    sinon.assert.calledWith(onRetry, sinon.match({ method: 'GET', path: '/me', attempt: 1, delay: 1000, error: sinon.match.instanceOf(VimeoApiError) }))
+    sinon.assert.calledThrice(onResponse)
+    sinon.assert.calledOnce(onError)
+    sinon.assert.calledWith(onError, sinon.match({ method: 'GET', path: '/me', statusCode: 503, duration: 3000, attempts: 3 }))
+  })
+
+  it('does not emit error events without listeners', () => {
+    const mockCallback = sinon.fake()
+    performRequestStub.callsFake((requestOptions, callOptions, done) => done(new Error('socket hang up')))
+
+    vimeo.request({ path: '/me', retry: false }, mockCallback)
+
+    sinon.assert.calledWith(mockCallback, sinon.match.instanceOf(Error))
+  })
+
+  it('emits rateLimit events', () => {
+    const onRateLimit = sinon.fake()
+    vimeo.on('rateLimit', onRateLimit)
+    performRequestStub.callsFake((requestOptions, callOptions, done) => done(null, { statusCode: 200, body: {}, headers: rateLimitHeaders }))
+
+    vimeo.request({ path: '/me' }, () => {})
+
+    sinon.assert.calledWith(onRateLimit, { limit: 100, remaining: 99, reset: new Date('2024-01-01T00:15:00Z') })
+  })
+
+  it('emits tokenChanged events', () => {
+    const onTokenChanged = sinon.fake()
+    vimeo.on('tokenChanged', onTokenChanged)
+
+    vimeo.setAccessToken('new-token')
+
+    sinon.assert.calledWith(onTokenChanged, { hasToken: true })
+    expect(JSON.stringify(onTokenChanged.args)).to.not.contain('new-token')
+  })
+
+  it('emits upload events', () => {
+    const emitted = []
+    let tusOptions
+    sinon.stub(tus, 'Upload').callsFake(function (file, options) {
+      tusOptions = options
+      this.start = sinon.fake()
+    })
+    ;['upload:start', 'upload:progress', 'upload:complete', 'upload:error'].forEach((name) => {
+      vimeo.on(name, (event) => emitted.push([name, event]))
+    })
+
+    const attempt = { uri: '/videos/1', upload: { upload_link: 'https://files.tus.vimeo.com/files/1' } }
+    const mockProgress = sinon.fake()
+    vimeo._performTusUpload(Buffer.from('video'), 5, attempt, () => {}, mockProgress, () => {})
+    tusOptions.onProgress(2, 5)
+    clock.tick(100)
+    tusOptions.onSuccess()
+    tusOptions.onError(new Error('failed'))
+
+    sinon.assert.calledWith(mockProgress, 2, 5)
+    expect(emitted).to.deep.equal([
+      ['upload:start', { uri: '/videos/1', size: 5 }],
+      ['upload:progress', { uri: '/videos/1', bytesUploaded: 2, bytesTotal: 5 }],
+      ['upload:complete', { uri: '/videos/1', duration: 100 }],
+      ['upload:error', { uri: '/videos/1', error: new Error('failed'), duration: 100 }]
+    ])
+  })
+})
+
+describe('Vimeo tracing', () => {
+  let spans, vimeo
+
+  beforeEach(() => {
+    spans = []
+    const tracer = {
+      startSpan: (name, options) => {
+        const span = {
+          name,
+          attributes: Object.assign({}, options.attributes),
+          ended: false,
+          spanContext: () => ({ traceId: '0af7651916cd43dd8448eb211c80319c', spanId: 'b7ad6b7169203331', traceFlags: 1 }),
+          setAttribute: (key, value) => { span.attributes[key] = value },
+          setStatus: () => {},
+          recordException: () => {},
+          end: () => { span.ended = true }
+        }
+
+        spans.push(span)
+        return span
+      }
+    }
+
+    vimeo = new Vimeo('id', 'secret', 'token', { tracing: { tracer } })
+  })
+
+  it('creates a span for each request', (done) => {
+    sinon.stub(vimeo, '_performRequest').callsFake((requestOptions, callOptions, callback) => {
+      callback(null, { statusCode: 200, body: {}, headers: { 'x-request-id': 'abc' } })
+    })
+
+    vimeo.request({ path: '/me' }, (err) => {
+      expect(err).to.equal(null)
+      expect(spans).to.have.length(1)
+      expect(spans[0]).to.include({ name: 'GET', ended: true })
+      expect(spans[0].attributes).to.include({ 'url.path': '/me', 'http.response.status_code': 200, 'vimeo.request_id': 'abc' })
+      done()
+    })
+  })
+
+  it('creates a span for each upload', async () => {
+    sinon.stub(fs, 'statSync').returns({ size: 5 })
+    sinon.stub(vimeo, 'request').resolves({ body: { uri: '/videos/1', upload: { upload_link: 'https://files.tus.vimeo.com/files/1' } } })
+    sinon.stub(vimeo, '_performTusUpload').callsFake((file, size, attempt, complete) => complete(attempt.uri))
+
+    const uri = await vimeo.upload('/tmp/video.mp4', () => {})
+
+    expect(uri).to.equal('/videos/1')
+    expect(spans).to.have.length(1)
+    expect(spans[0]).to.include({ name: 'vimeo.upload', ended: true })
+    expect(spans[0].attributes).to.deep.equal({ 'vimeo.upload.size': 5, 'vimeo.video.uri': '/videos/1' })
+  })
+
+  it('creates a span for each tus request', async () => {
+    let tusOptions
+    sinon.stub(tus, 'Upload').callsFake(function (file, options) {
+      tusOptions = options
+      this.start = sinon.fake()
+    })
+    sinon.stub(tus.HttpStack.prototype, 'createRequest').returns({
+      setHeader: sinon.fake(),
+      send: sinon.fake.resolves({ getStatus: () => 204 })
+    })
+
+    const attempt = { uri: '/videos/1', upload: { upload_link: 'https://files.tus.vimeo.com/files/1' } }
+    vimeo._performTusUpload(Buffer.from('video'), 5, attempt, () => {}, () => {}, () => {})
+    await tusOptions.httpStack.createRequest('PATCH', 'https://files.tus.vimeo.com/files/1').send()
 
-      sinon.assert.calledOnce(mockHttpsRequest)
-      sinon.assert.calledWith(mockHttpsRequest, sinon.match({ body: 'text' }))
+    expect(spans).to.have.length(1)
+    expect(spans[0]).to.include({ name: 'PATCH', ended: true })
+    expect(spans[0].attributes).to.include({ 'url.full': 'https://files.tus.vimeo.com/[REDACTED]', 'http.response.status_code': 204 })
+  })
+})
+
+describe('Vimeo logging', () => {
+  it('logs requests without the credentials of the client', () => {
+    const logger = { debug: sinon.fake(), warn: sinon.fake(), error: sinon.fake() }
+    const vimeo = new Vimeo('id', 's3cr3t', null, { logger, logBodies: true })
+    sinon.stub(vimeo, '_performRequest').callsFake((requestOptions, callOptions, done) => {
+      done(null, { statusCode: 200, body: { access_token: 't0k3n', error: 'Invalid secret s3cr3t' }, headers: {} })
     })
 
-    it('sets the correct body Content-Length', async () => {
-      await vimeo.request({ method: 'POST', path: '/path', query: { a: 'b' }, headers: { 'Content-Type': 'application/json' } })
+    vimeo.request({ method: 'POST', path: '/oauth/authorize/client', query: { grant_type: 'client_credentials', client_secret: 's3cr3t' } }, () => {})
 
-      sinon.assert.calledOnce(mockHttpsRequest)
-      sinon.assert.calledWith(mockHttpsRequest, sinon.match({ headers: sinon.match.has('Content-Length', 9) }))
+    const logged = JSON.stringify(logger.debug.args)
+    expect(logged).to.not.contain('s3cr3t')
+    expect(logged).to.not.contain(Buffer.from('id:s3cr3t').toString('base64'))
+    expect(logged).to.not.contain('t0k3n')
+    sinon.assert.calledWith(logger.debug, 'POST https://api.vimeo.com/oauth/authorize/client', sinon.match({ headers: sinon.match({ Authorization: '[REDACTED]' }) }))
+  })
+
+  it('logs the body of accessToken requests without the code', () => {
+    const logger = { debug: sinon.fake(), warn: sinon.fake(), error: sinon.fake() }
+    const vimeo = new Vimeo('id', 'secret', null, { logger, logBodies: true })
+    sinon.stub(vimeo, '_performRequest').callsFake((requestOptions, callOptions, done) => {
+      done(null, { statusCode: 200, body: { access_token: 't0k3n' }, headers: {} })
     })
 
-    it('sets the correct body Content-Length', async () => {
-      await vimeo.request({ method: 'POST', path: '/path' })
+    vimeo.accessToken('THE_AUTH_CODE', 'https://example.com/callback', 'THE_VERIFIER', () => {})
 
-      sinon.assert.calledOnce(mockHttpsRequest)
-      sinon.assert.calledWith(mockHttpsRequest, sinon.match({ headers: sinon.match.has('Content-Length', 0) }))
-    })
+    const logged = JSON.stringify(logger.debug.args)
+    expect(logged).to.not.contain('THE_AUTH_CODE')
+    expect(logged).to.not.contain('THE_VERIFIER')
+    sinon.assert.calledWith(logger.debug, 'POST https://api.vimeo.com/oauth/access_token', sinon.match({
+      body: sinon.match({ grant_type: 'authorization_code', code: '[REDACTED]', code_verifier: '[REDACTED]' })
+    }))
+  })
 
-    it('calls req.write with the body', async () => {
-      await vimeo.request({ method: 'POST', path: '/path', query: { a: 'b' } })
+  it('logs failed requests', () => {
+    const logger = { debug: sinon.fake(), warn: sinon.fake(), error: sinon.fake() }
+    const vimeo = new Vimeo('id', 'secret', 'token', { logger })
+    sinon.stub(vimeo, '_performRequest').callsFake((requestOptions, callOptions, done) => done(new VimeoApiError(404)))
 
-      sinon.assert.calledOnce(mockReq.write)
-      sinon.assert.calledWith(mockReq.write, '{"a":"b"}')
-    })
+    vimeo.request({ path: '/videos/1' }, () => {})
 
-    it('doesn\'t call req.write if there is no body', async () => {
-      await vimeo.request({ method: 'POST', path: '/path' })
+    sinon.assert.calledWith(logger.debug, sinon.match(/^GET https:\/\/api.vimeo.com\/videos\/1 404 \d+ms$/))
+    sinon.assert.calledWith(logger.error, sinon.match(/^GET https:\/\/api.vimeo.com\/videos\/1 failed \(VimeoApiError: Request failed with status code 404\)/))
+  })
 
-      sinon.assert.notCalled(mockReq.write)
+  it('does not log by default', () => {
+    expect(new Vimeo('id', 'secret')._logger).to.equal(null)
+  })
+})
+
+describe('Vimeo cassette', () => {
+  let dir, file
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vimeo-cassette-'))
+    file = path.join(dir, 'cassette.json')
+  })
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true })
+  })
+
+  it('replays the requests it recorded', async () => {
+    const recorder = new Vimeo('id', 'secret', 't0k3n', { cassette: { path: file, mode: 'record' } })
+    sinon.stub(recorder, '_performRequest').callsFake((requestOptions, callOptions, done) => {
+      done(null, { statusCode: 200, body: { name: 'video' }, headers: {} })
     })
+    await recorder.request({ path: '/videos/1', query: { fields: 'name' } })
 
-    it('calls req.end()', async () => {
-      await vimeo.request({ path: '/path' })
+    const vimeo = new Vimeo('id', 'secret', 'other', { cassette: file })
+    const performRequestStub = sinon.stub(vimeo, '_performRequest')
+    const response = await vimeo.request({ path: '/videos/1', query: { fields: 'name' } })
 
-      sinon.assert.calledOnce(mockReq.end)
+    sinon.assert.notCalled(performRequestStub)
+    expect(response.body).to.deep.equal({ name: 'video' })
+    expect(response.meta).to.include({ statusCode: 200, retries: 0 })
+    expect(fs.readFileSync(file, 'utf8')).to.not.contain('t0k3n')
+  })
+})
+
+describe('Vimeo scopes', () => {
+  const respond = (vimeo, scope) => sinon.stub(vimeo, '_performRequest').callsFake((requestOptions, callOptions, done) => {
+    if (requestOptions.path === authEndpoints.verify) {
+      return done(null, { statusCode: 200, body: { scope }, headers: {} })
+    }
+
+    done(null, { statusCode: 200, body: {}, headers: {} })
+  })
+
+  it('does not check scopes by default', async () => {
+    const vimeo = new Vimeo('id', 'secret', 'token')
+    const performRequestStub = respond(vimeo, 'public')
+
+    await vimeo.request({ method: 'PATCH', path: '/videos/1' })
+
+    sinon.assert.calledOnce(performRequestStub)
+    expect(vimeo._scopeGuard).to.equal(null)
+  })
+
+  it('fails requests without sending them when the token lacks a scope', async () => {
+    const vimeo = new Vimeo('id', 'secret', 'token', { checkScopes: true, scope: 'public private' })
+    const performRequestStub = respond(vimeo, 'public')
+    const callback = sinon.fake()
+
+    const err = await vimeo.request({ method: 'DELETE', path: '/videos/1' }).catch((e) => e)
+    vimeo.request({ method: 'PATCH', path: '/videos/1' }, callback)
+    await new Promise((resolve) => setImmediate(resolve))
+
+    expect(err).to.be.instanceOf(InsufficientScopeError)
+    expect(err.missingScopes).to.deep.equal(['delete'])
+    sinon.assert.calledOnceWithExactly(callback, sinon.match.instanceOf(InsufficientScopeError), undefined, undefined, undefined)
+    sinon.assert.notCalled(performRequestStub)
+  })
+
+  it('does not check requests to other hosts', async () => {
+    const vimeo = new Vimeo('id', 'secret', 'token', { checkScopes: true, scope: 'public private upload' })
+    const performRequestStub = respond(vimeo, 'public')
+
+    await vimeo.request({ method: 'PUT', hostname: 'captions.cloud.vimeo.com', path: '/captions/1.vtt', body: 'WEBVTT' })
+    const err = await vimeo.request({ method: 'PUT', path: '/videos/1/tags/tag' }).catch((e) => e)
+
+    sinon.assert.calledOnce(performRequestStub)
+    expect(err).to.be.instanceOf(InsufficientScopeError)
+  })
+
+  it('checks requests to the host of the baseUrl', async () => {
+    const vimeo = new Vimeo('id', 'secret', 'token', { baseUrl: 'http://127.0.0.1:8080', checkScopes: true, scope: 'public' })
+    respond(vimeo, 'public')
+
+    const err = await vimeo.request({ method: 'PATCH', path: '/videos/1' }).catch((e) => e)
+
+    expect(err).to.be.instanceOf(InsufficientScopeError)
+  })
+
+  it('learns the scopes of the token with verifyToken', async () => {
+    const vimeo = new Vimeo('id', 'secret', 'token', { checkScopes: true })
+    const performRequestStub = respond(vimeo, 'public edit')
+
+    await vimeo.request({ method: 'PATCH', path: '/videos/1' })
+    await vimeo.request({ method: 'PATCH', path: '/videos/2' })
+
+    expect(performRequestStub.args.map((args) => args[0].path)).to.deep.equal([authEndpoints.verify, '/videos/1', '/videos/2'])
+  })
+
+  it('learns the scopes of new tokens', async () => {
+    const vimeo = new Vimeo('id', 'secret', 'token', { checkScopes: true, scope: 'public' })
+    const performRequestStub = respond(vimeo, 'public')
+
+    vimeo.setAccessToken('other', 'public edit')
+    await vimeo.request({ method: 'PATCH', path: '/videos/1' })
+    vimeo.setAccessToken('third')
+    const err = await vimeo.request({ method: 'PATCH', path: '/videos/1' }).catch((e) => e)
+
+    expect(err).to.be.instanceOf(InsufficientScopeError)
+    expect(performRequestStub.args.map((args) => args[0].path)).to.deep.equal(['/videos/1', authEndpoints.verify])
+  })
+
+  it('learns the scopes of tokens issued to the client', async () => {
+    const vimeo = new Vimeo('id', 'secret', null, { checkScopes: true })
+    const performRequestStub = respond(vimeo, 'public edit')
+    performRequestStub.withArgs(sinon.match({ path: authEndpoints.accessToken })).callsFake((requestOptions, callOptions, done) => {
+      done(null, { statusCode: 200, body: { access_token: 'issued', token_type: 'bearer', scope: 'public' }, headers: {} })
+    })
+    performRequestStub.withArgs(sinon.match({ path: authEndpoints.clientCredentials })).callsFake((requestOptions, callOptions, done) => {
+      done(null, { statusCode: 200, body: { access_token: 'unauthenticated', token_type: 'bearer', scope: 'public' }, headers: {} })
     })
 
-    it('returns the correct response when the Promise is fullfilled', async () => {
-      const req = await vimeo.request({ method: 'POST', path: '/path' })
-      expect(req).to.equal('Success.')
+    const token = await vimeo.accessToken('code', 'https://example.com/callback')
+    vimeo.setAccessToken(token.body.access_token)
+    const err = await vimeo.request({ method: 'PATCH', path: '/videos/1' }).catch((e) => e)
+
+    await new Promise((resolve) => vimeo.generateClientCredentials('public', resolve))
+    vimeo.setAccessToken('unauthenticated')
+    const clientErr = await vimeo.request({ method: 'PATCH', path: '/videos/1' }).catch((e) => e)
+
+    expect(err).to.be.instanceOf(InsufficientScopeError)
+    expect(err.scopes).to.deep.equal(['public'])
+    expect(clientErr).to.be.instanceOf(InsufficientScopeError)
+    expect(performRequestStub.args.map((args) => args[0].path)).to.not.include(authEndpoints.verify)
+  })
+
+  it('does not use the scopes of issued tokens for other tokens', async () => {
+    const vimeo = new Vimeo('id', 'secret', null, { checkScopes: true })
+    const performRequestStub = respond(vimeo, 'public edit')
+    performRequestStub.withArgs(sinon.match({ path: authEndpoints.accessToken })).callsFake((requestOptions, callOptions, done) => {
+      done(null, { statusCode: 200, body: { access_token: 'issued', token_type: 'bearer', scope: 'public' }, headers: {} })
     })
 
-    it('returns the error object when the Promise is rejected', async () => {
-      handleRequestStub.resetBehavior()
+    await vimeo.accessToken('code', 'https://example.com/callback')
+    vimeo.setAccessToken('other')
+    await vimeo.request({ method: 'PATCH', path: '/videos/1' })
 
-      const err = new Error('Request Error')
-      handleRequestStub.callsFake((resolve, reject) => {
-        reject(err)
-      })
+    expect(performRequestStub.args.map((args) => args[0].path)).to.deep.equal([authEndpoints.accessToken, authEndpoints.verify, '/videos/1'])
+  })
 
-      await vimeo.request({ method: 'POST', path: '/path' }).catch((e) => {
-        expect(e).to.equal(err)
-      })
+  it('fails uploads before they start', async () => {
+    const vimeo = new Vimeo('id', 'secret', 'token', { checkScopes: true, scope: 'public' })
+    const performRequestStub = respond(vimeo, 'public')
+    sinon.stub(fs, 'statSync').returns({ size: 10 })
+    const errorCallback = sinon.fake()
+
+    const err = await vimeo.upload('video.mp4', {}).catch((e) => e)
+    vimeo.upload('video.mp4', {}, sinon.fake(), sinon.fake(), errorCallback)
+    await new Promise((resolve) => setImmediate(resolve))
+
+    expect(err).to.be.instanceOf(InsufficientScopeError)
+    expect(err.message).to.equal('The access token is missing the upload scope required by POST /me/videos.')
+    sinon.assert.calledOnceWithExactly(errorCallback, sinon.match.instanceOf(InsufficientScopeError))
+    sinon.assert.notCalled(performRequestStub)
+  })
+})
+
+describe('Vimeo.request timeouts and cancellation', () => {
+  let clock, mockReq, mockHttpsRequest
+
+  beforeEach(() => {
+    clock = sinon.useFakeTimers()
+    mockReq = new events.EventEmitter()
+    mockReq.end = sinon.fake()
+    mockReq.write = sinon.fake()
+    mockReq.destroy = sinon.fake()
+
+    mockHttpsRequest = sinon.fake.returns(mockReq)
+    sinon.replace(https, 'request', mockHttpsRequest)
+  })
+
+  it('does not time out by default', () => {
+    const vimeo = new Vimeo('id', 'secret', 'token')
+    const mockCallback = sinon.fake()
+
+    vimeo.request({ path: '/path' }, mockCallback)
+    clock.tick(600000)
+
+    sinon.assert.notCalled(mockCallback)
+    sinon.assert.notCalled(mockReq.destroy)
+  })
+
+  it('aborts the request after the client timeout', () => {
+    const vimeo = new Vimeo('id', 'secret', 'token', { timeout: 1000 })
+    const mockCallback = sinon.fake()
+
+    vimeo.request({ path: '/path' }, mockCallback)
+    clock.tick(999)
+    sinon.assert.notCalled(mockCallback)
+
+    clock.tick(1)
+    sinon.assert.calledOnce(mockReq.destroy)
+    sinon.assert.calledOnce(mockCallback)
+    sinon.assert.calledWith(mockCallback, sinon.match.instanceOf(VimeoTimeoutError)
+      .and(sinon.match({ code: 'ETIMEDOUT', timeout: 1000, method: 'GET', path: '/path' })))
+  })
+
+  it('uses the request timeout over the client timeout', async () => {
+    const vimeo = new Vimeo('id', 'secret', 'token', { timeout: 1000 })
+
+    const req = vimeo.request({ path: '/path', timeout: 50 })
+    clock.tick(50)
+
+    const err = await req.catch(e => e)
+    expect(err).to.be.an.instanceOf(VimeoTimeoutError)
+    expect(err.timeout).to.equal(50)
+  })
+
+  it('rejects immediately if the signal is already aborted', async () => {
+    const vimeo = new Vimeo('id', 'secret', 'token')
+    const controller = new AbortController()
+    controller.abort()
+
+    const err = await vimeo.request({ path: '/path', signal: controller.signal }).catch(e => e)
+    expect(err).to.be.an.instanceOf(VimeoAbortError)
+    sinon.assert.notCalled(mockHttpsRequest)
+  })
+
+  it('aborts the request in flight when the signal is aborted', async () => {
+    const vimeo = new Vimeo('id', 'secret', 'token')
+    const controller = new AbortController()
+
+    const req = vimeo.request({ path: '/path', signal: controller.signal })
+    controller.abort()
+
+    const err = await req.catch(e => e)
+    expect(err).to.be.an.instanceOf(VimeoAbortError)
+    expect(err.code).to.equal('ABORT_ERR')
+    sinon.assert.calledOnce(mockReq.destroy)
+    sinon.assert.calledWith(mockReq.destroy, err)
+  })
+
+  it('cancels a pending retry when the signal is aborted', async () => {
+    const vimeo = new Vimeo('id', 'secret', 'token', { retry: true })
+    const controller = new AbortController()
+    const performRequestStub = sinon.stub(vimeo, '_performRequest').callsFake((requestOptions, callOptions, done) => {
+      done(new VimeoApiError(503))
     })
 
-    it('sets on error listener', async () => {
-      handleRequestStub.resetBehavior()
+    const req = vimeo.request({ path: '/path', signal: controller.signal })
+    controller.abort()
+    clock.runAll()
 
-      const req = vimeo.request({ path: '/path' }).catch((error) => {
-        sinon.assert.match(error, sinon.match.instanceOf(Error).and(sinon.match.has('message', 'Error Emitted')))
-      })
-      mockReq.emit('error', new Error('Error Emitted'))
+    const err = await req.catch(e => e)
+    expect(err).to.be.an.instanceOf(VimeoAbortError)
+    sinon.assert.calledOnce(performRequestStub)
+  })
 
-      sinon.assert.calledOnce(mockReq.on)
-      sinon.assert.calledWith(mockReq.on, 'error', sinon.match.func)
+  it('passes timeout and signal of upload params to the upload request', () => {
+    const vimeo = new Vimeo('id', 'secret', 'token')
+    const controller = new AbortController()
+    const mockRequest = sinon.fake()
+    sinon.replace(vimeo, 'request', mockRequest)
+    sinon.replace(fs, 'statSync', sinon.fake.returns({ size: 1 }))
 
-      return req
+    vimeo.upload('/real/file', { name: 'name', timeout: 50, signal: controller.signal }, () => {}, () => {}, () => {})
+
+    sinon.assert.calledWith(mockRequest, {
+      path: '/me/videos?fields=uri,name,upload',
+      method: 'POST',
+      query: { name: 'name', upload: { approach: 'tus', size: 1 } },
+      timeout: 50,
+      signal: controller.signal
     })
+  })
 
-    it('throws an error when the Promise rejects', async () => {
-      handleRequestStub.resetBehavior()
-      handleRequestStub.callsFake((resolve, reject) => { reject(new Error('Failure.')) })
+  it('does not wrap timeouts of the upload request', async () => {
+    const vimeo = new Vimeo('id', 'secret', 'token')
+    const error = new VimeoTimeoutError(50)
+    sinon.stub(vimeo, 'request').rejects(error)
+    sinon.replace(fs, 'statSync', sinon.fake.returns({ size: 1 }))
 
-      const error = sinon.match.instanceOf(Error).and(sinon.match.has('message', 'Failure.'))
+    const err = await vimeo.replace('/real/file', '/videos/1', { timeout: 50 }).catch(e => e)
+    expect(err).to.equal(error)
+  })
+})
 
-      await vimeo.request('https://example.com:1234/path').catch((e) => {
-        sinon.assert.match(e, error)
-      })
+describe('Vimeo.request streaming', () => {
+  let server, vimeo
 
-      sinon.assert.calledOnce(mockHttpsRequest)
-      sinon.assert.calledWith(mockHttpsRequest, sinon.match({ method: 'GET', path: '/path', host: 'example.com', port: '1234' }))
-      sinon.assert.calledOnce(handleRequestStub)
+  beforeEach((done) => {
+    server = http.createServer((req, res) => {
+      res.setHeader('Content-Type', 'application/octet-stream')
+      res.write('first,')
+
+      if (req.url === '/download') {
+        res.end('second')
+      }
+    })
+    server.listen(0, '127.0.0.1', () => {
+      vimeo = new Vimeo('id', 'secret', 'token', { baseUrl: 'http://127.0.0.1:' + server.address().port })
+      done()
     })
   })
+
+  afterEach((done) => {
+    server.closeAllConnections()
+    server.close(done)
+  })
+
+  it('resolves with the response stream', async () => {
+    const response = await vimeo.request({ path: '/download', stream: true })
+    const chunks = []
+
+    for await (const chunk of response.body) {
+      chunks.push(chunk)
+    }
+
+    expect(response.statusCode).to.equal(200)
+    expect(response.headers['content-type']).to.equal('application/octet-stream')
+    expect(Buffer.concat(chunks).toString()).to.equal('first,second')
+  })
+
+  it('destroys the stream when the signal is aborted', async () => {
+    const controller = new AbortController()
+    const response = await vimeo.request({ path: '/slow', stream: true, signal: controller.signal })
+
+    const error = new Promise((resolve) => response.body.once('error', resolve))
+    controller.abort()
+
+    expect(await error).to.be.instanceOf(VimeoAbortError)
+    expect(response.body.destroyed).to.equal(true)
+  })
 })
 
 describe('Vimeo._handleRequest', () => {
@@ -612,6 +2009,59 @@ describe('Vimeo._handleRequest', () => {
     sinon.assert.calledWith(mockCallback, sinon.match.instanceOf(Error), '', mockRes.statusCode, mockRes.headers)
   })
 
+  it('calls callback with a VimeoApiError describing the failed request', () => {
+    const mockCallback = sinon.fake()
+    const handler = vimeo._handleRequest(mockCallback, undefined, { method: 'PATCH', path: '/videos/1' })
+    const body = JSON.stringify({
+      error: 'Something strange occurred.',
+      error_code: 2204,
+      developer_message: 'The parameters passed to this API endpoint did not pass validation.',
+      invalid_parameters: [{ field: 'name', error_code: 2205 }]
+    })
+
+    mockRes.read = sinon.fake.returns(body)
+    mockRes.headers = { 'x-request-id': 'abc123' }
+    mockRes.statusCode = 400
+    handler(mockRes)
+
+    mockRes.emit('readable')
+    mockRes.emit('end')
+    sinon.assert.calledOnce(mockCallback)
+
+    const err = mockCallback.firstCall.args[0]
+    expect(err).to.be.an.instanceOf(VimeoApiError)
+    expect(err.name).to.equal('VimeoApiError')
+    expect(err.message).to.equal('Something strange occurred.')
+    expect(err.statusCode).to.equal(400)
+    expect(err.headers).to.equal(mockRes.headers)
+    expect(err.body).to.equal(body)
+    expect(err.error_code).to.equal(2204)
+    expect(err.developer_message).to.equal('The parameters passed to this API endpoint did not pass validation.')
+    expect(err.invalid_parameters).to.deep.equal([{ field: 'name', error_code: 2205 }])
+    expect(err.method).to.equal('PATCH')
+    expect(err.path).to.equal('/videos/1')
+    expect(err.requestId).to.equal('abc123')
+  })
+
+  it('calls callback with a VimeoApiError if the error body is not JSON', () => {
+    const mockCallback = sinon.fake()
+    const handler = vimeo._handleRequest(mockCallback)
+
+    mockRes.read = sinon.fake.returns('<html>Bad Gateway</html>')
+    mockRes.statusCode = 502
+    handler(mockRes)
+
+    mockRes.emit('readable')
+    mockRes.emit('end')
+
+    const err = mockCallback.firstCall.args[0]
+    expect(err).to.be.an.instanceOf(VimeoApiError)
+    expect(err.message).to.equal('Request failed with status code 502')
+    expect(err.body).to.equal('<html>Bad Gateway</html>')
+    expect(err.error_code).to.equal(null)
+    expect(err.requestId).to.equal(null)
+  })
+
   it('calls callback no error if status code < 400', () => {
     const mockCallback = sinon.fake()
     const handler = vimeo._handleRequest(mockCallback)
@@ -654,6 +2104,88 @@ describe('Vimeo._handleRequest', () => {
     sinon.assert.calledWith(mockCallback, null, { good: 'json' }, mockRes.statusCode, mockRes.headers)
   })
 
+  it('calls callback with the body as a string for text responses', () => {
+    const mockCallback = sinon.fake()
+    const handler = vimeo._handleRequest(mockCallback)
+
+    mockRes.read = sinon.fake.returns('WEBVTT')
+    mockRes.headers = { 'content-type': 'text/vtt' }
+    mockRes.statusCode = 200
+    handler(mockRes)
+
+    mockRes.emit('readable')
+    mockRes.emit('end')
+    sinon.assert.calledWith(mockCallback, null, 'WEBVTT', 200, mockRes.headers)
+  })
+
+  it('calls callback with the body as a Buffer for binary responses', () => {
+    const mockCallback = sinon.fake()
+    const handler = vimeo._handleRequest(mockCallback)
+
+    mockRes.read = sinon.stub()
+    mockRes.read.onFirstCall().returns(Buffer.from([1, 2]))
+    mockRes.read.onSecondCall().returns(Buffer.from([3]))
+    mockRes.headers = { 'content-type': 'image/jpeg' }
+    mockRes.statusCode = 200
+    handler(mockRes)
+
+    mockRes.emit('readable')
+    mockRes.emit('readable')
+    mockRes.emit('end')
+    sinon.assert.notCalled(mockRes.setEncoding)
+    sinon.assert.calledWith(mockCallback, null, Buffer.from([1, 2, 3]), 200, mockRes.headers)
+  })
+
+  it('calls callback with a null body for 204 responses', () => {
+    const mockCallback = sinon.fake()
+    const handler = vimeo._handleRequest(mockCallback)
+
+    mockRes.statusCode = 204
+    handler(mockRes)
+
+    mockRes.emit('end')
+    sinon.assert.calledWith(mockCallback, null, null, 204, mockRes.headers)
+  })
+
+  it('uses the responseType instead of the content type', () => {
+    const mockCallback = sinon.fake()
+    const handler = vimeo._handleRequest(mockCallback, undefined, {}, { responseType: 'json' })
+
+    mockRes.read = sinon.fake.returns('{"good": "json"}')
+    mockRes.headers = { 'content-type': 'text/plain' }
+    mockRes.statusCode = 200
+    handler(mockRes)
+
+    mockRes.emit('readable')
+    mockRes.emit('end')
+    sinon.assert.calledWith(mockCallback, null, { good: 'json' }, 200, mockRes.headers)
+  })
+
+  it('calls callback with the response stream as soon as the headers arrive when streaming', () => {
+    const mockCallback = sinon.fake()
+    const handler = vimeo._handleRequest(mockCallback, undefined, {}, { stream: true })
+
+    mockRes.statusCode = 200
+    handler(mockRes)
+
+    sinon.assert.notCalled(mockRes.setEncoding)
+    sinon.assert.calledWith(mockCallback, null, mockRes, 200, mockRes.headers)
+  })
+
+  it('reads error responses entirely when streaming', () => {
+    const mockCallback = sinon.fake()
+    const handler = vimeo._handleRequest(mockCallback, undefined, {}, { stream: true })
+
+    mockRes.read = sinon.fake.returns('{"error": "Not found"}')
+    mockRes.statusCode = 404
+    handler(mockRes)
+    sinon.assert.notCalled(mockCallback)
+
+    mockRes.emit('readable')
+    mockRes.emit('end')
+    sinon.assert.calledWith(mockCallback, sinon.match.instanceOf(VimeoApiError).and(sinon.match.has('error', 'Not found')))
+  })
+
   describe('when there is a second fn passed in, calls the second fn on error', () => {
     let mockResolve, mockReject, handler
 
@@ -676,7 +2208,7 @@ describe('Vimeo._handleRequest', () => {
 
       mockRes.emit('end')
       sinon.assert.calledOnce(mockReject)
-      sinon.assert.calledWith(mockReject, sinon.match.instanceOf(Error))
+      sinon.assert.calledWith(mockReject, sinon.match.instanceOf(VimeoApiError).and(sinon.match.has('statusCode', 404)))
     })
 
     it('calls the first fn with no error if status code < 400', () => {
@@ -704,6 +2236,14 @@ describe('Vimeo._handleRequest', () => {
         mockRes.headers)
     })
 
+    it('calls the first fn with the response stream when streaming', () => {
+      handler = vimeo._handleRequest(mockResolve, mockReject, {}, { stream: true })
+      mockRes.statusCode = 200
+      handler(mockRes)
+
+      sinon.assert.calledWith(mockResolve, { body: mockRes, headers: mockRes.headers, statusCode: 200 })
+    })
+
     it('calls the first fn if the body parsed as JSON', () => {
       mockRes.read = sinon.fake.returns('{"good": "json"}')
 
@@ -0,0 +1,28 @@
+// Compiled with `npm run types` to check that `index.d.mts` matches the ES module entry point,
+// resolved through the `exports` map of the package. Nothing is run.
+
+import vimeoModule, {
+  Vimeo,
+  VimeoApiError,
+  VimeoResponse,
+  Video,
+  generatePkce,
+  authEndpoints
+} from '@vimeo/vimeo'
+
+const client = new vimeoModule.Vimeo('id', 'secret', 'token')
+const other: Vimeo = new Vimeo('id', null)
+
+async function request (): Promise<void> {
+  const response: VimeoResponse<Video> = await client.request<Video>('/videos/1')
+  console.log(response.body.name, generatePkce().codeChallenge, authEndpoints.accessToken)
+
+  await other.request('/videos/1').catch((err) => {
+    if (err instanceof VimeoApiError) {
+      console.log(err.statusCode)
+    }
+  })
+}
+
+// @ts-expect-error Only the named exports of the CommonJS entry point exist.
+console.log(vimeoModule.missing, request)
@@ -0,0 +1,210 @@
+// Compiled with `npm run types` to check that `index.d.ts` matches the library. Nothing is run.
+
+import {
+  Vimeo,
+  VimeoApiError,
+  VimeoTimeoutError,
+  VimeoAbortError,
+  VimeoResponse,
+  Video,
+  User,
+  Folder,
+  Collection,
+  RateLimit,
+  createFetchTransport,
+  generatePkce,
+  generateState,
+  verifyState,
+  VimeoOAuthError,
+  InsufficientScopeError,
+  vimeo_module as vimeoModule
+} from '../..'
+
+const client = new Vimeo('id', 'secret', 'token', {
+  baseUrl: 'https://api.vimeo.com',
+  apiVersion: '3.4',
+  timeout: 5000,
+  retry: { maxAttempts: 5 },
+  throttle: { reserve: 10 },
+  cache: { ttl: 1000 },
+  tracing: true,
+  logger: console,
+  transport: createFetchTransport()
+})
+
+new Vimeo('id', 'secret')
+
+new Vimeo('id', 'secret', undefined, { cassette: { path: 'cassette.json', mode: 'replay' } })
+
+// @ts-expect-error Cassettes are recorded, replayed or both.
+new Vimeo('id', 'secret', undefined, { cassette: { path: 'cassette.json', mode: 'once' } })
+
+new Vimeo('id', 'secret', undefined, { logger: (level, message) => console.error(level, message), logBodies: true })
+
+// @ts-expect-error The client secret is required.
+new Vimeo('id')
+
+async function requests (): Promise<void> {
+  const response: VimeoResponse<Video> = await client.request<Video>({ path: '/videos/1', timeout: 1000 })
+  const name: string = response.body.name
+  const status: number = response.statusCode
+  const elapsed: number | undefined = response.meta?.elapsed
+
+  const me = await client.request<User>('/me')
+  const link: string = me.body.link
+
+  const folders = await client.request<Collection<Folder>>({ path: '/me/projects', query: { per_page: 10 } })
+  const next: string | null = folders.body.paging.next
+
+  const captions = await client.request<string>({ path: '/texttracks/1', responseType: 'text' })
+  const vtt: string = captions.body
+
+  const download = await client.request({ path: '/videos/1/download', stream: true })
+  download.body.pipe(process.stdout)
+
+  // @ts-expect-error Unknown response type.
+  await client.request({ path: '/me', responseType: 'xml' })
+
+  // @ts-expect-error The path is required.
+  await client.request({ method: 'GET' })
+
+  // @ts-expect-error Unknown HTTP method.
+  await client.request({ path: '/me', method: 'FETCH' })
+
+  console.log(name, status, elapsed, link, next, vtt)
+}
+
+client.request({ path: '/me' }, (err, body, statusCode, headers) => {
+  const error: Error | null = err
+  console.log(error, body, statusCode, headers)
+})
+
+async function pagination (): Promise<void> {
+  for await (const video of client.paginate<Video>('/me/videos', { per_page: 100, limit: 500 })) {
+    const uri: string = video.uri
+    console.log(uri)
+  }
+
+  for await (const page of client.paginate<Video>('/me/videos', { pages: true })) {
+    const total: number = page.total
+    const videos: Video[] = page.data
+    console.log(total, videos)
+  }
+}
+
+client.use(async (requestOptions, next, options) => {
+  requestOptions.headers['X-Trace-Id'] = 'trace'
+  const response = await next(requestOptions)
+  console.log(options.path, response.statusCode)
+  return response
+}).use(async (requestOptions, next) => next())
+
+client.on('response', (event) => {
+  const duration: number = event.duration
+  const statusCode: number = event.statusCode
+  console.log(event.method, event.path, statusCode, duration)
+}).on('upload:progress', (event) => {
+  console.log(event.bytesUploaded / event.bytesTotal)
+}).on('tokenChanged', (event) => {
+  const hasToken: boolean = event.hasToken
+  console.log(hasToken)
+})
+
+const rateLimit: RateLimit | null = client.getRateLimit()
+console.log(rateLimit?.remaining)
+
+async function auth (): Promise<void> {
+  const url: string = client.buildAuthorizationEndpoint('https://example.com/callback', ['public', 'private'], 'state')
+  const token = await client.accessToken('code', url)
+  client.setAccessToken(token.body.access_token)
+
+  const credentials = await client.generateClientCredentials('public')
+  console.log(credentials.body.scope)
+
+  client.generateClientCredentials(['public'], (err, body) => {
+    console.log(err, body?.access_token)
+  })
+
+  const verified = await client.verifyToken()
+  console.log(verified.body.scope, verified.body.app?.name, verified.body.user?.name)
+  client.verifyToken((err, body) => {
+    console.log(err, body?.scope)
+  })
+  await client.revokeToken()
+  client.setAccessToken(token.body.access_token, token.body.scope)
+
+  const scoped = new Vimeo('id', 'secret', 'token', { checkScopes: true, scope: ['public', 'upload'] })
+  await scoped.request({ method: 'POST', path: '/me/albums', scope: 'create' }).catch((err) => {
+    if (err instanceof InsufficientScopeError) {
+      console.log(err.missingScopes.join(' '), err.scopes, err.path)
+    }
+  })
+  await scoped.request({ method: 'PATCH', path: '/me', scope: false })
+  client.revokeToken((err) => {
+    console.log(err)
+  })
+
+  const pkce = generatePkce()
+  const publicClient = new Vimeo('id', null)
+  const pkceUrl: string = publicClient.buildAuthorizationEndpoint('https://example.com/callback', 'public', 'state', pkce)
+  await publicClient.accessToken('code', pkceUrl, pkce.codeVerifier)
+  publicClient.accessToken('code', pkceUrl, pkce, (err, body) => {
+    console.log(err, body?.access_token)
+  })
+
+  const state: string = generateState({ secret: 'secret', expiresIn: 60000, data: { returnTo: '/videos' } })
+  const data = verifyState<{ returnTo: string }>(state, { expected: state, secret: 'secret' })
+  console.log(data?.returnTo, verifyState(generateState(), { expected: 'state' }))
+
+  const callback = await client.handleAuthorizationCallback('/callback?code=code&state=state', { redirectUri: url, state })
+  console.log(callback.body.access_token, callback.stateData)
+  // @ts-expect-error The kept state is required.
+  await client.handleAuthorizationCallback(url, { stateSecret: 'secret' })
+  client.handleAuthorizationCallback(url, { state, stateSecret: 'secret', codeVerifier: pkce }, (err, body, status, headers, stateData) => {
+    if (err instanceof VimeoOAuthError) {
+      console.log(err.error, err.error_description)
+    }
+    console.log(body?.access_token, stateData)
+  })
+}
+
+async function uploads (): Promise<void> {
+  const uri: string = await client.upload('video.mp4', { name: 'Video', timeout: 1000 }, (uploaded, total) => {
+    console.log(uploaded / total)
+  })
+
+  client.upload(
+    'video.mp4',
+    { name: 'Video' },
+    (uri: string) => console.log(uri),
+    (uploaded: number, total: number) => console.log(uploaded / total),
+    (error: Error | string) => console.log(error)
+  )
+
+  const replaced: string = await client.replace('video.mp4', '/videos/1')
+
+  // @ts-expect-error The file must be a path.
+  await client.upload(Buffer.from(''))
+
+  console.log(uri, replaced)
+}
+
+function errors (err: unknown): void {
+  if (err instanceof VimeoApiError) {
+    const statusCode: number = err.statusCode
+    const developerMessage: string | null = err.developer_message
+    console.log(statusCode, developerMessage, err.requestId, err.meta?.retries)
+  } else if (err instanceof VimeoTimeoutError) {
+    const timeout: number = err.timeout
+    console.log(timeout)
+  } else if (err instanceof VimeoAbortError) {
+    const code: 'ABORT_ERR' = err.code
+    console.log(code)
+  }
+}
+
+const authorizationPath: string = vimeoModule.authEndpoints.authorization
+vimeoModule.request_defaults.headers['User-Agent'] = 'my-app'
+console.log(authorizationPath, new vimeoModule.Vimeo('id', 'secret') instanceof Vimeo)
+
+export { requests, pagination, auth, uploads, errors }